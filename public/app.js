@@ -6,8 +6,21 @@ const removalsLabelEl = document.getElementById("summary-removals-label");
 const removalsEl = document.getElementById("summary-removals");
 const totalLabelEl = document.getElementById("summary-total-label");
 const totalEl = document.getElementById("summary-total");
+const replacementsEl = document.getElementById("summary-replacements");
+const movesEl = document.getElementById("summary-moves");
+const strippedLinesEl = document.getElementById("stripped-lines");
 const diffLeft = document.getElementById("diff-left");
 const diffRight = document.getElementById("diff-right");
+const pageJumpLeftEl = document.getElementById("page-jump-left");
+const pageJumpRightEl = document.getElementById("page-jump-right");
+const sectionsCountEl = document.getElementById("sections-count");
+const sectionsSummaryEl = document.getElementById("sections-summary");
+const sectionsOutlineEl = document.getElementById("sections-outline");
+const tablesCardEl = document.getElementById("tables");
+const tablesCountEl = document.getElementById("tables-count");
+const tablesListEl = document.getElementById("tables-list");
+const tableDiffEl = document.getElementById("table-diff");
+const tableKeyEl = document.getElementById("table-key");
 const diffInline = document.getElementById("diff-inline");
 const extractLeft = document.getElementById("extract-left");
 const extractRight = document.getElementById("extract-right");
@@ -24,6 +37,13 @@ const structuredConfigEl = document.getElementById("structured-config");
 const structuredPresetEl = document.getElementById("structured-preset");
 const structuredPromptEl = document.getElementById("structured-prompt");
 const structuredSchemaEl = document.getElementById("structured-schema");
+const ignoreRulesEl = document.getElementById("ignore-rules");
+const ignoreRuleSetEl = document.getElementById("ignore-rule-set");
+const policyRulesEl = document.getElementById("policy-rules");
+const policyEl = document.getElementById("policy");
+const policyVerdictEl = document.getElementById("policy-verdict");
+const policyCountsEl = document.getElementById("policy-counts");
+const policyFindingsEl = document.getElementById("policy-findings");
 
 const insightsAddedEl = document.getElementById("insights-added");
 const insightsRemovedEl = document.getElementById("insights-removed");
@@ -33,8 +53,25 @@ const insightsCategoriesEl = document.getElementById("insights-categories");
 const insightsChecksEl = document.getElementById("insights-checks");
 const insightsRisksEl = document.getElementById("insights-risks");
 const insightsConfidenceEl = document.getElementById("insights-confidence");
+const insightsActionsEl = document.getElementById("insights-actions");
+const insightsRegenerateEl = document.getElementById("insights-regenerate");
 const structuredDiffCountEl = document.getElementById("structured-diff-count");
 const structuredDiffRowsEl = document.getElementById("structured-diff-rows");
+const structuredHideFormatEl = document.getElementById("structured-hide-format");
+const structuredValidationEl = document.getElementById("structured-validation");
+const reportActionsEl = document.getElementById("report-actions");
+const reportHtmlEl = document.getElementById("report-html");
+const reportPdfEl = document.getElementById("report-pdf");
+const structuredExportActionsEl = document.getElementById("structured-export-actions");
+const structuredExportCsvEl = document.getElementById("structured-export-csv");
+const structuredExportXlsxEl = document.getElementById("structured-export-xlsx");
+const moreFilesEl = document.getElementById("more-files");
+const timelineEl = document.getElementById("timeline");
+const timelineStepsEl = document.getElementById("timeline-steps");
+const timelineAttributionEl = document.getElementById("timeline-attribution");
+
+// Comparison whose insights the Regenerate button refreshes.
+let insightsComparisonId = null;
 
 const structuredPresets = {
   contract: {
@@ -84,7 +121,8 @@ const structuredPresets = {
               amount: { type: "number" }
             },
             required: ["description", "amount"]
-          }
+          },
+          "x-match-key": "description"
         }
       },
       required: ["invoice_number", "total"]
@@ -103,10 +141,51 @@ const getHeaderOffset = () => {
   return navbar?.offsetHeight || 0;
 };
 
+const NORMALIZATION_FIELDS = [
+  "ignore_whitespace",
+  "ignore_case",
+  "fold_quotes",
+  "dehyphenate",
+  "ignore_punctuation"
+];
+
+const REGEX_RULE_RE = /^\/(.+)\/([imsu]*)$/;
+
+const parseIgnoreRuleLines = (value) =>
+  String(value || "")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const match = line.match(REGEX_RULE_RE);
+      return match ? { type: "regex", pattern: match[1], flags: match[2] } : { type: "literal", pattern: line };
+    });
+
+// Text matched by ignore rules stays visible but greyed out.
+const renderExtractedText = (el, text, ranges = []) => {
+  if (!text) {
+    el.textContent = "No text returned.";
+    return;
+  }
+  el.replaceChildren();
+  let pos = 0;
+  ranges.forEach(([start, end]) => {
+    if (start > pos) el.append(text.slice(pos, start));
+    const span = document.createElement("span");
+    span.className = "ignored-text";
+    span.title = "Ignored by a rule";
+    span.textContent = text.slice(start, end);
+    el.append(span);
+    pos = end;
+  });
+  el.append(text.slice(pos));
+};
+
 const SECTION_STEPS = [
   { sectionId: "upload", tabId: "tab-upload", requiresResults: false },
   { sectionId: "summary", tabId: "tab-summary", requiresResults: true },
   { sectionId: "insights", tabId: "tab-insights", requiresResults: true },
+  { sectionId: "sections", tabId: "tab-sections", requiresResults: true },
   { sectionId: "inline", tabId: "tab-inline", requiresResults: true },
   { sectionId: "side-by-side", tabId: "tab-side", requiresResults: true }
 ];
@@ -224,6 +303,88 @@ const setStatus = (message, type = "info") => {
   }
 };
 
+const PROGRESS_ROWS = [
+  { key: "left", label: "Document A" },
+  { key: "right", label: "Document B" },
+  { key: "diff", label: "Diff" },
+  { key: "insights", label: "Insights" }
+];
+
+const createProgressState = (leftName, rightName) => ({
+  left: { name: leftName, state: "pending", detail: "Waiting to start" },
+  right: { name: rightName, state: "pending", detail: "Waiting to start" },
+  diff: { state: "pending", detail: "Waiting for extraction" },
+  insights: { state: "pending", detail: "Waiting for diff" }
+});
+
+const describeExtractionEvent = (event) => {
+  switch (event.status) {
+    case "submitted":
+      return event.mode === "async" ? "Submitted to Pulse (async job)" : "Submitted to Pulse";
+    case "polling":
+      return `Polling Pulse job: ${event.jobStatus || "pending"} (check ${event.attempt || 1})`;
+    case "fetching-result":
+      return "Fetching URL-backed result";
+    case "done":
+      return event.cacheHit ? "Loaded from extraction cache" : "Extraction complete";
+    default:
+      return event.status || "";
+  }
+};
+
+const applyProgressEvent = (progress, event) => {
+  if (event.stage === "extraction") {
+    const row = progress[event.side];
+    if (!row) return;
+    row.state = event.status === "done" ? "done" : "active";
+    row.detail = describeExtractionEvent(event);
+    return;
+  }
+  if (event.stage === "diff") {
+    progress.diff.state = event.status === "done" ? "done" : "active";
+    progress.diff.detail =
+      event.status === "done" ? `Diff ready (${event.totalParts ?? 0} chunks)` : "Computing diff";
+    return;
+  }
+  if (event.stage === "insights") {
+    progress.insights.state = event.status === "done" ? "done" : "active";
+    progress.insights.detail =
+      event.status === "done"
+        ? event.enabled
+          ? "Insights ready"
+          : "Insights unavailable"
+        : "Generating insights";
+  }
+};
+
+const renderProgress = (progress) => {
+  statusEl.innerHTML = "";
+  statusEl.classList.remove("hidden", "error");
+
+  const title = document.createElement("div");
+  title.textContent = "Comparing documents...";
+  statusEl.appendChild(title);
+
+  const list = document.createElement("div");
+  list.className = "progress-list";
+  PROGRESS_ROWS.forEach(({ key, label }) => {
+    const entry = progress[key];
+    const row = document.createElement("div");
+    row.className = `progress-row progress-${entry.state}`;
+
+    const name = document.createElement("strong");
+    name.textContent = entry.name ? `${label} · ${entry.name}` : label;
+
+    const detail = document.createElement("span");
+    detail.textContent = entry.detail;
+
+    row.appendChild(name);
+    row.appendChild(detail);
+    list.appendChild(row);
+  });
+  statusEl.appendChild(list);
+};
+
 const clearStatus = () => {
   statusEl.textContent = "";
   statusEl.classList.add("hidden");
@@ -235,15 +396,147 @@ const setLoading = (isLoading) => {
   submitBtn.textContent = isLoading ? "Comparing..." : "Compare Documents";
 };
 
+const renderPageJumps = (container, panel, pages) => {
+  if (!container) return;
+  container.innerHTML = "";
+  const changedPages = (pages || []).filter((entry) => entry.changes > 0);
+  changedPages.forEach(({ page, changes }) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "page-jump-step";
+    button.textContent = `p. ${page} · ${changes}`;
+    button.title = `${changes} change${changes === 1 ? "" : "s"} on page ${page}`;
+    button.addEventListener("click", () => {
+      panel.querySelector(`.page-badge[data-page="${page}"]`)?.scrollIntoView({ behavior: "smooth", block: "center" });
+    });
+    container.appendChild(button);
+  });
+  container.classList.toggle("hidden", !changedPages.length);
+};
+
+const SECTION_STATUS_LABELS = {
+  added: "Added",
+  removed: "Removed",
+  modified: "Modified",
+  unchanged: "Unchanged"
+};
+
+const describeSectionFlags = (item) => {
+  const flags = [];
+  if (item.renumbered) flags.push(`renumbered ${item.left.number ?? "–"} → ${item.right.number ?? "–"}`);
+  if (item.renamed) flags.push(`was “${item.left.heading}”`);
+  if (item.moved) flags.push("moved");
+  return flags.join(" · ");
+};
+
+// Nests each section under its parent heading as collapsible <details>.
+const renderSections = (sections) => {
+  if (!sectionsOutlineEl) return;
+  sectionsOutlineEl.innerHTML = "";
+  const items = sections?.items || [];
+  const summary = sections?.summary || {};
+  const changed = (summary.added || 0) + (summary.removed || 0) + (summary.modified || 0);
+  if (sectionsCountEl) sectionsCountEl.textContent = `${changed} changed`;
+  if (sectionsSummaryEl) {
+    sectionsSummaryEl.textContent = items.length
+      ? ["modified", "added", "removed", "unchanged"]
+          .map((status) => `${summary[status] || 0} ${status}`)
+          .join(" · ")
+      : "No headings found.";
+  }
+
+  const childLists = new Map();
+  items.forEach((item) => {
+    const details = document.createElement("details");
+    details.className = `outline-item is-${item.status}`;
+
+    const summaryEl = document.createElement("summary");
+    const status = document.createElement("span");
+    status.className = "outline-status";
+    status.textContent = SECTION_STATUS_LABELS[item.status] || item.status;
+    const heading = document.createElement("span");
+    heading.className = "outline-heading";
+    heading.textContent = item.heading ?? "Before the first heading";
+    summaryEl.append(status, heading);
+    const flags = describeSectionFlags(item);
+    if (flags) {
+      const flagsEl = document.createElement("span");
+      flagsEl.className = "outline-flags";
+      flagsEl.textContent = flags;
+      summaryEl.append(flagsEl);
+    }
+    const counts = document.createElement("span");
+    counts.className = "outline-counts";
+    counts.textContent = `+${item.additions} −${item.removals}`;
+    summaryEl.append(counts);
+
+    const body = document.createElement("div");
+    body.className = "outline-body";
+    const diff = document.createElement("div");
+    diff.className = "diff-panel";
+    diff.innerHTML = item.html || "";
+    const children = document.createElement("div");
+    children.className = "outline-children";
+    body.append(diff, children);
+    details.append(summaryEl, body);
+    childLists.set(item.id, children);
+
+    (childLists.get(item.parentId) || sectionsOutlineEl).appendChild(details);
+  });
+};
+
+const describeTable = (table, index) => {
+  const { rowsAdded, rowsRemoved, rowsModified, cellsChanged } = table.summary;
+  const details =
+    table.status === "modified"
+      ? `${rowsModified} rows changed (${cellsChanged} cells), ${rowsAdded} added, ${rowsRemoved} removed`
+      : table.status;
+  return `Table ${index + 1} · ${details}${table.key ? ` · matched on “${table.key}”` : ""}`;
+};
+
+const renderTables = (tables) => {
+  if (!tablesListEl) return;
+  tablesListEl.innerHTML = "";
+  tablesCardEl?.classList.toggle("hidden", !tables);
+  if (!tables) return;
+  if (tablesCountEl) tablesCountEl.textContent = `${tables.summary.cellsChanged} cells changed`;
+  if (!tables.items.length) {
+    tablesListEl.innerHTML = '<p class="muted">No tables found.</p>';
+    return;
+  }
+  tables.items.forEach((table, index) => {
+    const wrapper = document.createElement("div");
+    const title = document.createElement("h3");
+    title.className = "table-diff-title";
+    title.textContent = describeTable(table, index);
+    const scroll = document.createElement("div");
+    scroll.className = "table-diff-scroll";
+    scroll.innerHTML = table.html;
+    wrapper.append(title, scroll);
+    tablesListEl.appendChild(wrapper);
+  });
+};
+
 const resetResults = () => {
   additionsEl.textContent = "0";
   removalsEl.textContent = "0";
   totalEl.textContent = "0";
+  if (replacementsEl) replacementsEl.textContent = "0";
+  if (movesEl) movesEl.textContent = "0";
+  if (strippedLinesEl) {
+    strippedLinesEl.textContent = "";
+    strippedLinesEl.classList.add("hidden");
+  }
+  policyEl?.classList.add("hidden");
   if (additionsLabelEl) additionsLabelEl.textContent = "Words added";
   if (removalsLabelEl) removalsLabelEl.textContent = "Words removed";
   if (totalLabelEl) totalLabelEl.textContent = "Diff chunks";
   diffLeft.innerHTML = "";
   diffRight.innerHTML = "";
+  renderPageJumps(pageJumpLeftEl, diffLeft, []);
+  renderPageJumps(pageJumpRightEl, diffRight, []);
+  renderSections(null);
+  renderTables(null);
   diffInline.innerHTML = "";
   extractLeft.textContent = "";
   extractRight.textContent = "";
@@ -257,8 +550,18 @@ const resetResults = () => {
   if (insightsChecksEl) insightsChecksEl.innerHTML = "";
   if (insightsRisksEl) insightsRisksEl.innerHTML = "";
   if (insightsConfidenceEl) insightsConfidenceEl.innerHTML = "";
+  insightsActionsEl?.classList.add("hidden");
+  insightsComparisonId = null;
   if (structuredDiffCountEl) structuredDiffCountEl.textContent = "0 changes";
   if (structuredDiffRowsEl) structuredDiffRowsEl.innerHTML = "";
+  if (structuredValidationEl) {
+    structuredValidationEl.innerHTML = "";
+    structuredValidationEl.classList.add("hidden");
+  }
+  reportActionsEl?.classList.add("hidden");
+  structuredExportActionsEl?.classList.add("hidden");
+  timelineEl?.classList.add("hidden");
+  if (timelineStepsEl) timelineStepsEl.innerHTML = "";
   if (resultsSection) {
     resultsSection.dataset.hasResults = "false";
   }
@@ -283,6 +586,9 @@ const loadPreset = (presetKey) => {
 };
 
 structuredEnabledEl?.addEventListener("change", toggleStructuredConfig);
+structuredHideFormatEl?.addEventListener("change", () => {
+  if (lastStructuredDiff) renderStructuredChanges(lastStructuredDiff);
+});
 structuredPresetEl?.addEventListener("change", () => {
   const value = structuredPresetEl.value;
   if (value === "custom") return;
@@ -292,6 +598,9 @@ structuredPresetEl?.addEventListener("change", () => {
 toggleStructuredConfig();
 
 resetBtn.addEventListener("click", () => {
+  if (window.location.hash) {
+    history.replaceState(null, "", `${window.location.pathname}${window.location.search}`);
+  }
   form.reset();
   clearStatus();
   resetResults();
@@ -301,356 +610,688 @@ resetBtn.addEventListener("click", () => {
 resetResults();
 scheduleTabsProgress();
 
-form.addEventListener("submit", async (event) => {
-  event.preventDefault();
-  clearStatus();
-  setLoading(true);
+const renderEmptyKv = (target, message) => {
+  if (!target) return;
+  target.innerHTML = "";
+  const div = document.createElement("div");
+  div.className = "kv";
+  div.textContent = message;
+  target.appendChild(div);
+};
 
-  const leftFile = document.getElementById("left-file").files[0];
-  const rightFile = document.getElementById("right-file").files[0];
+const renderHighlights = (target, highlights, emptyMessage) => {
+  if (!target) return;
+  target.innerHTML = "";
+  const items = Array.isArray(highlights) ? highlights : [];
+  if (!items.length) {
+    renderEmptyKv(target, emptyMessage);
+    return;
+  }
+  items.forEach((h) => {
+    const item = document.createElement("div");
+    item.className = "kv";
 
-  if (!leftFile || !rightFile) {
-    setStatus("Please upload both documents.", "error");
-    setLoading(false);
+    const row = document.createElement("div");
+    row.className = "kv-row";
+
+    const label = document.createElement("strong");
+    label.textContent = h?.title || "Highlight";
+
+    row.appendChild(label);
+    item.appendChild(row);
+
+    if (h?.evidence) {
+      const samples = document.createElement("div");
+      samples.className = "samples";
+      samples.textContent = h.evidence;
+      item.appendChild(samples);
+    }
+
+    target.appendChild(item);
+  });
+};
+
+const renderCategories = (target, categories) => {
+  if (!target) return;
+  target.innerHTML = "";
+  const items = Array.isArray(categories) ? categories : [];
+  if (!items.length) {
+    renderEmptyKv(target, "No categories detected.");
     return;
   }
+  items.forEach((c) => {
+    const item = document.createElement("div");
+    item.className = "kv";
 
-  resetResults();
+    const row = document.createElement("div");
+    row.className = "kv-row";
 
-  const formData = new FormData();
-  formData.append("left", leftFile);
-  formData.append("right", rightFile);
+    const label = document.createElement("strong");
+    label.textContent = c?.category ? c.category.replaceAll("_", " ") : "other";
 
-  const diffMode = form.querySelector('input[name="diff_mode"]:checked')?.value || "words";
-  formData.append("diff_mode", diffMode);
+    row.appendChild(label);
+    item.appendChild(row);
 
-  const structuredEnabled = Boolean(structuredEnabledEl?.checked);
-  formData.append("structured_enabled", structuredEnabled ? "true" : "false");
-  if (structuredEnabled) {
-    formData.append("structured_schema", structuredSchemaEl.value || "");
-    formData.append("structured_prompt", structuredPromptEl.value || "");
+    if (c?.summary) {
+      const samples = document.createElement("div");
+      samples.className = "samples";
+      samples.textContent = c.summary;
+      item.appendChild(samples);
+    }
+
+    target.appendChild(item);
+  });
+};
+
+const renderChecks = (target, checks) => {
+  if (!target) return;
+  target.innerHTML = "";
+  const items = Array.isArray(checks) ? checks : [];
+  if (!items.length) {
+    renderEmptyKv(target, "No suggested checks.");
+    return;
+  }
+  items.forEach((text) => {
+    const item = document.createElement("div");
+    item.className = "kv";
+    item.textContent = text;
+    target.appendChild(item);
+  });
+};
+
+const renderRisks = (target, risks) => {
+  if (!target) return;
+  target.innerHTML = "";
+  const items = Array.isArray(risks) ? risks : [];
+  if (!items.length) {
+    renderEmptyKv(target, "No risks flagged.");
+    return;
   }
+  items.forEach((r) => {
+    const level = (r?.severity || "unknown").toString().toLowerCase();
+    const item = document.createElement("div");
+    item.className = `kv kv-risk kv-risk-${level}`;
 
-  setStatus("Extracting documents with Pulse API...", "info");
+    const row = document.createElement("div");
+    row.className = "kv-row";
 
+    const label = document.createElement("strong");
+    label.textContent = r?.message || "Risk";
+
+    const sev = document.createElement("span");
+    sev.textContent = r?.severity || "";
+
+    row.appendChild(label);
+    row.appendChild(sev);
+    item.appendChild(row);
+
+    target.appendChild(item);
+  });
+};
+
+const renderConfidence = (target, confidence) => {
+  if (!target) return;
+  target.innerHTML = "";
+  const item = document.createElement("div");
+  const level = (confidence || "unknown").toString().toLowerCase();
+  item.className = `kv kv-confidence kv-confidence-${level}`;
+  item.textContent = confidence ? String(confidence) : "unknown";
+  target.appendChild(item);
+};
+
+const isCitationPath = (path) => {
+  const p = String(path || "");
+  return p === "citations" || p.startsWith("citations.") || p.startsWith("citations[");
+};
+
+const formatStructuredValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "string") return value;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
   try {
-    const response = await fetch("/api/compare", {
-      method: "POST",
-      body: formData
-    });
+    return JSON.stringify(value, null, 2);
+  } catch {
+    return String(value);
+  }
+};
 
-    const data = await response.json().catch(() => ({}));
+const normalizeStructuredPath = (path) => {
+  const p = String(path || "");
+  if (!p) return "(root)";
+  if (p === "values") return "(values)";
+  if (p.startsWith("values.")) return p.slice("values.".length);
+  return p;
+};
 
-    if (!response.ok) {
-      throw new Error(data.error || "Comparison failed");
+const formatUnitLabel = (unit) => {
+  const value = unit || "words";
+  return value.charAt(0).toUpperCase() + value.slice(1);
+};
+
+const describeStrippedLines = (label, entries) =>
+  entries?.length
+    ? `${label}: ${entries.map((entry) => `“${entry.line}” (${entry.position}, ${entry.removed}×)`).join(", ")}`
+    : "";
+
+const renderStrippedLines = (strippedLines) => {
+  if (!strippedLinesEl) return;
+  const parts = [
+    describeStrippedLines("Left", strippedLines?.left),
+    describeStrippedLines("Right", strippedLines?.right)
+  ].filter(Boolean);
+  strippedLinesEl.textContent = parts.length ? `Stripped page headers and footers. ${parts.join(" · ")}` : "";
+  strippedLinesEl.classList.toggle("hidden", !parts.length);
+};
+
+const renderStructuredValidation = (validation) => {
+  if (!structuredValidationEl) return;
+  structuredValidationEl.innerHTML = "";
+  structuredValidationEl.classList.toggle("hidden", !validation);
+  if (!validation) return;
+
+  [
+    ["left", "Document A"],
+    ["right", "Document B"]
+  ].forEach(([side, label]) => {
+    const errors = validation[side]?.errors || [];
+    const block = document.createElement("div");
+    block.className = `validation-side ${errors.length ? "is-invalid" : "is-valid"}`;
+    const title = document.createElement("div");
+    title.className = "validation-title";
+    title.textContent = errors.length
+      ? `${label}: ${errors.length} schema violation${errors.length === 1 ? "" : "s"}`
+      : `${label}: matches the schema`;
+    block.appendChild(title);
+    if (errors.length) {
+      const list = document.createElement("ul");
+      errors.forEach((error) => {
+        const item = document.createElement("li");
+        const path = document.createElement("code");
+        path.textContent = error.path ? normalizeStructuredPath(error.path) : "(root)";
+        item.append(path, ` ${error.message}`);
+        list.appendChild(item);
+      });
+      block.appendChild(list);
     }
+    structuredValidationEl.appendChild(block);
+  });
+};
 
-    additionsEl.textContent = data.summary.additions;
-    removalsEl.textContent = data.summary.removals;
-    totalEl.textContent = data.summary.totalParts;
-
-    const unit = data.summary?.unit === "lines" ? "Lines" : "Words";
-    if (additionsLabelEl) additionsLabelEl.textContent = `${unit} added`;
-    if (removalsLabelEl) removalsLabelEl.textContent = `${unit} removed`;
-    if (totalLabelEl) totalLabelEl.textContent = "Diff chunks";
-
-    diffLeft.innerHTML = data.sideBySideHtml.left;
-    diffRight.innerHTML = data.sideBySideHtml.right;
-    diffInline.innerHTML = data.inlineHtml;
-
-    extractLeft.textContent = data.extracted.left || "No text returned.";
-    extractRight.textContent = data.extracted.right || "No text returned.";
-
-    structuredLeft.textContent = data.structuredOutput?.left
-      ? JSON.stringify(data.structuredOutput.left, null, 2)
-      : "No structured output returned.";
-    structuredRight.textContent = data.structuredOutput?.right
-      ? JSON.stringify(data.structuredOutput.right, null, 2)
-      : "No structured output returned.";
-
-    const renderEmptyKv = (target, message) => {
-      if (!target) return;
-      target.innerHTML = "";
-      const div = document.createElement("div");
-      div.className = "kv";
-      div.textContent = message;
-      target.appendChild(div);
-    };
+let lastStructuredDiff = null;
+
+const renderStructuredChanges = (structuredDiff) => {
+  lastStructuredDiff = structuredDiff;
+  if (!structuredDiffRowsEl) return;
+  structuredDiffRowsEl.innerHTML = "";
+  const allChanges = (structuredDiff?.changes || []).filter((change) => !isCitationPath(change?.path));
+  const hiddenCitations = (structuredDiff?.changes?.length || 0) - allChanges.length;
+  const formatOnlyCount = allChanges.filter((change) => change?.formatOnly).length;
+  const hideFormatOnly = Boolean(structuredHideFormatEl?.checked);
+  const visibleChanges = hideFormatOnly ? allChanges.filter((change) => !change?.formatOnly) : allChanges;
+
+  const breakdown = visibleChanges.reduce((acc, change) => {
+    const key = change?.type || "changed";
+    acc[key] = (acc[key] || 0) + 1;
+    return acc;
+  }, {});
+  if (structuredDiffCountEl) {
+    const structuredTotal = visibleChanges.length;
+    structuredDiffCountEl.textContent = `${structuredTotal} change${structuredTotal === 1 ? "" : "s"}`;
+    const breakdownText = ["added", "removed", "changed", "modified", "moved"]
+      .filter((key) => breakdown[key])
+      .map((key) => `${breakdown[key]} ${key}`)
+      .join(", ");
+    const extra = hiddenCitations ? `Hidden evidence refs: ${hiddenCitations}` : "";
+    const formatNote = formatOnlyCount ? `Format-only: ${formatOnlyCount}${hideFormatOnly ? " (hidden)" : ""}` : "";
+    structuredDiffCountEl.title = [breakdownText, formatNote, extra].filter(Boolean).join(" • ");
+  }
 
-    const renderHighlights = (target, highlights, emptyMessage) => {
-      if (!target) return;
-      target.innerHTML = "";
-      const items = Array.isArray(highlights) ? highlights : [];
-      if (!items.length) {
-        renderEmptyKv(target, emptyMessage);
-        return;
-      }
-      items.forEach((h) => {
-        const item = document.createElement("div");
-        item.className = "kv";
+  const maxRows = 50;
+  if (!visibleChanges.length) {
+    const row = document.createElement("div");
+    row.className = "table-row";
+
+    const field = document.createElement("div");
+    field.className = "cell-mono";
+    const hidden = [hiddenCitations && "evidence refs", hideFormatOnly && formatOnlyCount && "format-only changes"];
+    const hiddenText = hidden.filter(Boolean).join(" and ");
+    field.textContent = hiddenText ? `No value changes detected (${hiddenText} hidden).` : "No value changes detected.";
+
+    const left = document.createElement("div");
+    left.className = "cell-mono";
+    left.textContent = "";
+
+    const right = document.createElement("div");
+    right.className = "cell-mono";
+    right.textContent = "";
+
+    row.appendChild(field);
+    row.appendChild(left);
+    row.appendChild(right);
+    structuredDiffRowsEl.appendChild(row);
+  }
 
-        const row = document.createElement("div");
-        row.className = "kv-row";
+  visibleChanges.slice(0, maxRows).forEach((change) => {
+    const row = document.createElement("div");
+    row.className = "table-row";
 
-        const label = document.createElement("strong");
-        label.textContent = h?.title || "Highlight";
+    const field = document.createElement("div");
+    field.className = "cell-mono cell-field";
 
-        row.appendChild(label);
-        item.appendChild(row);
+    const badge = document.createElement("span");
+    badge.className = `badge badge-${change.type || "changed"}`;
+    badge.textContent = change.type || "changed";
 
-        if (h?.evidence) {
-          const samples = document.createElement("div");
-          samples.className = "samples";
-          samples.textContent = h.evidence;
-          item.appendChild(samples);
-        }
+    const path = document.createElement("div");
+    path.className = "cell-path";
+    path.textContent = normalizeStructuredPath(change.path);
+    if (change.leftPath && change.leftPath !== change.path) {
+      path.textContent += ` (was ${normalizeStructuredPath(change.leftPath)})`;
+    }
 
-        target.appendChild(item);
-      });
-    };
+    field.appendChild(badge);
+    (change.validation || []).forEach((finding) => {
+      const note = document.createElement("span");
+      note.className = "badge badge-invalid";
+      note.textContent = `${finding.keyword === "required" ? "missing required" : "invalid"} in ${finding.side === "left" ? "A" : "B"}`;
+      note.title = finding.message;
+      field.appendChild(note);
+    });
+    if (change.formatOnly) {
+      const note = document.createElement("span");
+      note.className = "badge badge-format";
+      note.textContent = change.tolerance ? "within tolerance" : "format only";
+      field.appendChild(note);
+    }
+    field.appendChild(path);
 
-    const renderCategories = (target, categories) => {
-      if (!target) return;
-      target.innerHTML = "";
-      const items = Array.isArray(categories) ? categories : [];
-      if (!items.length) {
-        renderEmptyKv(target, "No categories detected.");
-        return;
-      }
-      items.forEach((c) => {
-        const item = document.createElement("div");
-        item.className = "kv";
+    const left = document.createElement("div");
+    left.className = "cell-mono";
+    left.textContent = formatStructuredValue(change.left);
 
-        const row = document.createElement("div");
-        row.className = "kv-row";
+    const right = document.createElement("div");
+    right.className = "cell-mono";
+    right.textContent = formatStructuredValue(change.right);
 
-        const label = document.createElement("strong");
-        label.textContent = c?.category ? c.category.replaceAll("_", " ") : "other";
+    row.appendChild(field);
+    row.appendChild(left);
+    row.appendChild(right);
+    structuredDiffRowsEl.appendChild(row);
+  });
 
-        row.appendChild(label);
-        item.appendChild(row);
+  if (visibleChanges.length > maxRows) {
+    const row = document.createElement("div");
+    row.className = "kv";
+    row.textContent = `Showing ${maxRows} of ${visibleChanges.length} structured changes. Export CSV or XLSX for the full list.`;
+    structuredDiffRowsEl.appendChild(row);
+  }
+};
 
-        if (c?.summary) {
-          const samples = document.createElement("div");
-          samples.className = "samples";
-          samples.textContent = c.summary;
-          item.appendChild(samples);
-        }
+const renderPolicy = (policy) => {
+  if (!policyEl) return;
+  policyEl.classList.toggle("hidden", !policy);
+  if (!policy) return;
+  policyVerdictEl.textContent = policy.verdict;
+  policyVerdictEl.className = `badge badge-${policy.verdict === "pass" ? "added" : "removed"}`;
+  const counts = Object.entries(policy.counts)
+    .filter(([, count]) => count)
+    .reverse()
+    .map(([severity, count]) => `${count} ${severity}`);
+  policyCountsEl.textContent = counts.length
+    ? `Policy findings: ${counts.join(", ")}`
+    : `No policy findings (${policy.rules} rule${policy.rules === 1 ? "" : "s"} checked)`;
+  if (policy.truncated) policyCountsEl.textContent += ` (first ${policy.findings.length} listed)`;
+  policyFindingsEl.innerHTML = "";
+  policy.findings.forEach((finding) => {
+    const item = document.createElement("li");
+    const severity = document.createElement("span");
+    severity.className = `severity severity-${finding.severity}`;
+    severity.textContent = finding.fail ? `${finding.severity} · must not change` : finding.severity;
+    const text = document.createElement("span");
+    text.textContent = finding.description ? `${finding.description}: ${finding.message}` : finding.message;
+    item.append(severity, text);
+    policyFindingsEl.appendChild(item);
+  });
+};
 
-        target.appendChild(item);
-      });
-    };
+const renderInsights = (insights) => {
+  const result = insights?.result || null;
+  if (!insights?.enabled || !result) {
+    if (insightsSummaryEl) {
+      insightsSummaryEl.textContent = insights?.error
+        ? `Insights unavailable: ${insights.error}`
+        : "Insights unavailable.";
+    }
+    if (insightsMetaEl) {
+      insightsMetaEl.textContent =
+        insights?.provider === "openai" && !insights?.enabled
+          ? "Set OPENAI_API_KEY in .env to enable AI-powered insights."
+          : "";
+    }
+    renderEmptyKv(insightsAddedEl, "No insights.");
+    renderEmptyKv(insightsRemovedEl, "No insights.");
+    renderEmptyKv(insightsCategoriesEl, "No insights.");
+    renderEmptyKv(insightsChecksEl, "No insights.");
+    renderEmptyKv(insightsRisksEl, "No insights.");
+    renderConfidence(insightsConfidenceEl, "");
+  } else {
+    if (insightsSummaryEl) insightsSummaryEl.textContent = result.overall_summary || "";
+    if (insightsMetaEl) {
+      const meta = [];
+      if (insights.provider === "heuristic") meta.push("offline heuristics");
+      else if (insights.provider) meta.push(insights.provider);
+      if (insights.model) meta.push(insights.model);
+      if (result.confidence) meta.push(`confidence: ${result.confidence}`);
+      if (insights.cached) meta.push("cached");
+      insightsMetaEl.textContent = meta.join(" • ");
+    }
 
-    const renderChecks = (target, checks) => {
-      if (!target) return;
-      target.innerHTML = "";
-      const items = Array.isArray(checks) ? checks : [];
-      if (!items.length) {
-        renderEmptyKv(target, "No suggested checks.");
-        return;
-      }
-      items.forEach((text) => {
-        const item = document.createElement("div");
-        item.className = "kv";
-        item.textContent = text;
-        target.appendChild(item);
-      });
-    };
+    renderHighlights(insightsAddedEl, result.added_highlights, "No added highlights.");
+    renderHighlights(insightsRemovedEl, result.removed_highlights, "No removed highlights.");
+    renderCategories(insightsCategoriesEl, result.change_categories);
+    renderChecks(insightsChecksEl, result.suggested_checks);
+    renderRisks(insightsRisksEl, result.risks);
+    renderConfidence(insightsConfidenceEl, result.confidence);
+  }
+};
 
-    const renderRisks = (target, risks) => {
-      if (!target) return;
-      target.innerHTML = "";
-      const items = Array.isArray(risks) ? risks : [];
-      if (!items.length) {
-        renderEmptyKv(target, "No risks flagged.");
-        return;
-      }
-      items.forEach((r) => {
-        const level = (r?.severity || "unknown").toString().toLowerCase();
-        const item = document.createElement("div");
-        item.className = `kv kv-risk kv-risk-${level}`;
+insightsRegenerateEl?.addEventListener("click", async () => {
+  if (!insightsComparisonId) return;
+  const comparisonId = insightsComparisonId;
+  insightsRegenerateEl.disabled = true;
+  insightsRegenerateEl.textContent = "Regenerating…";
+  try {
+    const response = await fetch("/api/insights", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ comparisonId, refresh: true })
+    });
+    const insights = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(insights.error || "Regenerating insights failed");
+    }
+    if (comparisonId === insightsComparisonId) renderInsights(insights);
+  } catch (error) {
+    setStatus(error.message, "error");
+  } finally {
+    insightsRegenerateEl.disabled = false;
+    insightsRegenerateEl.textContent = "Regenerate insights";
+  }
+});
+
+const renderResults = (data) => {
+  additionsEl.textContent = data.summary.additions;
+  removalsEl.textContent = data.summary.removals;
+  totalEl.textContent = data.summary.totalParts;
+  if (replacementsEl) replacementsEl.textContent = data.summary.replacements ?? 0;
+  if (movesEl) movesEl.textContent = data.summary.moves ?? 0;
+  renderStrippedLines(data.strippedLines);
+  renderPolicy(data.policy);
+
+  const unit = formatUnitLabel(data.summary?.unit);
+  if (additionsLabelEl) additionsLabelEl.textContent = `${unit} added`;
+  if (removalsLabelEl) removalsLabelEl.textContent = `${unit} removed`;
+  if (totalLabelEl) totalLabelEl.textContent = "Diff chunks";
+
+  diffLeft.innerHTML = data.sideBySideHtml.left;
+  diffRight.innerHTML = data.sideBySideHtml.right;
+  renderPageJumps(pageJumpLeftEl, diffLeft, data.pages?.summary?.left);
+  renderPageJumps(pageJumpRightEl, diffRight, data.pages?.summary?.right);
+  renderSections(data.sections);
+  renderTables(data.tables);
+  diffInline.innerHTML = data.inlineHtml;
+
+  if (data.id && reportActionsEl) {
+    const reportUrl = `/api/comparisons/${encodeURIComponent(data.id)}/report`;
+    reportHtmlEl.href = `${reportUrl}?format=html`;
+    reportPdfEl.href = `${reportUrl}?format=pdf`;
+    reportActionsEl.classList.remove("hidden");
+  }
 
-        const row = document.createElement("div");
-        row.className = "kv-row";
+  if (structuredExportActionsEl) {
+    const hasChanges = Boolean(data.id && data.structuredDiff?.total);
+    structuredExportActionsEl.classList.toggle("hidden", !hasChanges);
+    if (hasChanges) {
+      const exportUrl = `/api/comparisons/${encodeURIComponent(data.id)}/structured-diff`;
+      structuredExportCsvEl.href = `${exportUrl}?format=csv`;
+      structuredExportXlsxEl.href = `${exportUrl}?format=xlsx`;
+    }
+  }
 
-        const label = document.createElement("strong");
-        label.textContent = r?.message || "Risk";
+  renderExtractedText(extractLeft, data.extracted.left, data.ignoredRanges?.left);
+  renderExtractedText(extractRight, data.extracted.right, data.ignoredRanges?.right);
 
-        const sev = document.createElement("span");
-        sev.textContent = r?.severity || "";
+  structuredLeft.textContent = data.structuredOutput?.left
+    ? JSON.stringify(data.structuredOutput.left, null, 2)
+    : "No structured output returned.";
+  structuredRight.textContent = data.structuredOutput?.right
+    ? JSON.stringify(data.structuredOutput.right, null, 2)
+    : "No structured output returned.";
 
-        row.appendChild(label);
-        row.appendChild(sev);
-        item.appendChild(row);
+  renderInsights(data.insights || {});
+  insightsComparisonId = data.insights ? data.id || null : null;
+  insightsActionsEl?.classList.toggle("hidden", !insightsComparisonId);
 
-        target.appendChild(item);
-      });
-    };
+  renderStructuredValidation(data.structuredValidation);
+  renderStructuredChanges(data.structuredDiff);
 
-    const renderConfidence = (target, confidence) => {
-      if (!target) return;
-      target.innerHTML = "";
-      const item = document.createElement("div");
-      const level = (confidence || "unknown").toString().toLowerCase();
-      item.className = `kv kv-confidence kv-confidence-${level}`;
-      item.textContent = confidence ? String(confidence) : "unknown";
-      target.appendChild(item);
-    };
+  if (resultsSection) {
+    resultsSection.dataset.hasResults = "true";
+  }
+  setTabsEnabled(true);
+  scheduleTabsProgress();
+};
 
-    const insights = data.insights || {};
-    const result = insights?.result || null;
-    if (!insights?.enabled || !result) {
-      if (insightsSummaryEl) {
-        insightsSummaryEl.textContent = insights?.error
-          ? `Insights unavailable: ${insights.error}`
-          : "Insights unavailable.";
-      }
-      if (insightsMetaEl) {
-        insightsMetaEl.textContent =
-          insights?.provider === "openai" && !insights?.enabled
-            ? "Set OPENAI_API_KEY in .env to enable AI-powered insights."
-            : "";
-      }
-      renderEmptyKv(insightsAddedEl, "No insights.");
-      renderEmptyKv(insightsRemovedEl, "No insights.");
-      renderEmptyKv(insightsCategoriesEl, "No insights.");
-      renderEmptyKv(insightsChecksEl, "No insights.");
-      renderEmptyKv(insightsRisksEl, "No insights.");
-      renderConfidence(insightsConfidenceEl, "");
-    } else {
-      if (insightsSummaryEl) insightsSummaryEl.textContent = result.overall_summary || "";
-      if (insightsMetaEl) {
-        const meta = [];
-        if (insights.provider) meta.push(insights.provider);
-        if (insights.model) meta.push(insights.model);
-        if (result.confidence) meta.push(`confidence: ${result.confidence}`);
-        insightsMetaEl.textContent = meta.join(" • ");
-      }
+const chainView = (chain, diff) => ({
+  summary: diff.summary,
+  inlineHtml: diff.inlineHtml,
+  sideBySideHtml: diff.sideBySideHtml,
+  extracted: { left: chain.extracted[diff.from], right: chain.extracted[diff.to] },
+  insights: { enabled: false, error: "not generated for version chains." },
+  structuredOutput: {},
+  structuredDiff: { total: 0, changes: [] }
+});
+
+const renderAttribution = (chain) => {
+  if (!timelineAttributionEl) return;
+  timelineAttributionEl.innerHTML = "";
+  const unit = chain.overall.summary?.unit || "words";
+  chain.overall.attribution.forEach((entry) => {
+    const item = document.createElement("div");
+    item.className = "kv";
+    item.textContent = `${entry.label} • ${entry.name}: +${entry.additions} / −${entry.removals} ${unit} still in ${
+      chain.versions[chain.versions.length - 1].label
+    }`;
+    timelineAttributionEl.appendChild(item);
+  });
+};
 
-      renderHighlights(insightsAddedEl, result.added_highlights, "No added highlights.");
-      renderHighlights(insightsRemovedEl, result.removed_highlights, "No removed highlights.");
-      renderCategories(insightsCategoriesEl, result.change_categories);
-      renderChecks(insightsChecksEl, result.suggested_checks);
-      renderRisks(insightsRisksEl, result.risks);
-      renderConfidence(insightsConfidenceEl, result.confidence);
+const renderVersionChain = (chain) => {
+  if (!timelineEl || !timelineStepsEl) return;
+  const first = chain.versions[0];
+  const last = chain.versions[chain.versions.length - 1];
+  const views = [
+    ...chain.steps.map((step) => ({
+      diff: step,
+      label: `${chain.versions[step.from].label} → ${chain.versions[step.to].label}`,
+      title: `${chain.versions[step.from].name} → ${chain.versions[step.to].name}`
+    })),
+    {
+      diff: chain.overall,
+      label: `Overall ${first.label} → ${last.label}`,
+      title: "Hover a change to see which version made it.",
+      overall: true
     }
+  ];
+
+  timelineStepsEl.innerHTML = "";
+  const buttons = views.map((view, index) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "timeline-step";
+    button.setAttribute("role", "tab");
+    button.textContent = view.label;
+    button.title = view.title;
+    button.addEventListener("click", () => select(index));
+    timelineStepsEl.appendChild(button);
+    return button;
+  });
 
-    const isCitationPath = (path) => {
-      const p = String(path || "");
-      return p === "citations" || p.startsWith("citations.") || p.startsWith("citations[");
-    };
+  const select = (index) => {
+    const view = views[index];
+    renderResults(chainView(chain, view.diff));
+    buttons.forEach((button, i) => {
+      button.classList.toggle("is-active", i === index);
+      button.setAttribute("aria-selected", i === index ? "true" : "false");
+    });
+    timelineAttributionEl?.classList.toggle("hidden", !view.overall);
+  };
+
+  renderAttribution(chain);
+  timelineEl.classList.remove("hidden");
+  select(views.length - 1);
+};
+
+const compareVersions = async (files, diffMode) => {
+  const formData = new FormData();
+  files.forEach((file) => formData.append("versions", file));
+  formData.append("diff_mode", diffMode);
 
-    const formatStructuredValue = (value) => {
-      if (value === null || value === undefined) return "—";
-      if (typeof value === "string") return value;
-      if (typeof value === "number" || typeof value === "boolean") return String(value);
+  setStatus(`Extracting and comparing ${files.length} versions...`);
+  const response = await fetch("/api/compare/versions", { method: "POST", body: formData });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || "Comparison failed");
+  }
+  return data;
+};
+
+const fetchComparison = async (id) => {
+  const response = await fetch(`/api/comparisons/${encodeURIComponent(id)}`);
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || "Comparison failed");
+  }
+  return data;
+};
+
+const waitForComparison = (id, onProgress) =>
+  new Promise((resolve, reject) => {
+    const finish = async () => {
       try {
-        return JSON.stringify(value, null, 2);
-      } catch {
-        return String(value);
+        const job = await fetchComparison(id);
+        if (job.state === "failed") throw new Error(job.error || "Comparison failed");
+        if (job.state !== "done") throw new Error("Comparison did not finish.");
+        resolve(job.result);
+      } catch (error) {
+        reject(error);
       }
     };
 
-    const normalizeStructuredPath = (path) => {
-      const p = String(path || "");
-      if (!p) return "(root)";
-      if (p === "values") return "(values)";
-      if (p.startsWith("values.")) return p.slice("values.".length);
-      return p;
+    const source = new EventSource(`/api/comparisons/${encodeURIComponent(id)}/events`);
+    source.addEventListener("progress", (event) => {
+      onProgress(JSON.parse(event.data));
+    });
+    source.addEventListener("state", (event) => {
+      const { state } = JSON.parse(event.data);
+      if (state !== "done" && state !== "failed") return;
+      source.close();
+      finish();
+    });
+    source.onerror = () => {
+      if (source.readyState !== EventSource.CLOSED) return;
+      finish();
     };
+  });
 
-    if (structuredDiffRowsEl) {
-      structuredDiffRowsEl.innerHTML = "";
-      const allChanges = data.structuredDiff?.changes || [];
-      const visibleChanges = allChanges.filter((change) => !isCitationPath(change?.path));
-      const hiddenCitations = Math.max(0, allChanges.length - visibleChanges.length);
-
-      const breakdown = visibleChanges.reduce((acc, change) => {
-        const key = change?.type || "changed";
-        acc[key] = (acc[key] || 0) + 1;
-        return acc;
-      }, {});
-      if (structuredDiffCountEl) {
-        const structuredTotal = visibleChanges.length;
-        structuredDiffCountEl.textContent = `${structuredTotal} change${structuredTotal === 1 ? "" : "s"}`;
-        const breakdownText = ["added", "removed", "changed"]
-          .filter((key) => breakdown[key])
-          .map((key) => `${breakdown[key]} ${key}`)
-          .join(", ");
-        const extra = hiddenCitations ? `Hidden evidence refs: ${hiddenCitations}` : "";
-        structuredDiffCountEl.title = [breakdownText, extra].filter(Boolean).join(" • ");
-      }
+form.addEventListener("submit", async (event) => {
+  event.preventDefault();
+  clearStatus();
+  setLoading(true);
 
-      const maxRows = 50;
-      if (!visibleChanges.length) {
-        const row = document.createElement("div");
-        row.className = "table-row";
-
-        const field = document.createElement("div");
-        field.className = "cell-mono";
-        field.textContent = hiddenCitations
-          ? "No value changes detected (evidence refs hidden)."
-          : "No value changes detected.";
-
-        const left = document.createElement("div");
-        left.className = "cell-mono";
-        left.textContent = "";
-
-        const right = document.createElement("div");
-        right.className = "cell-mono";
-        right.textContent = "";
-
-        row.appendChild(field);
-        row.appendChild(left);
-        row.appendChild(right);
-        structuredDiffRowsEl.appendChild(row);
-      }
+  const leftFile = document.getElementById("left-file").files[0];
+  const rightFile = document.getElementById("right-file").files[0];
 
-      visibleChanges.slice(0, maxRows).forEach((change) => {
-        const row = document.createElement("div");
-        row.className = "table-row";
+  if (!leftFile || !rightFile) {
+    setStatus("Please upload both documents.", "error");
+    setLoading(false);
+    return;
+  }
 
-        const field = document.createElement("div");
-        field.className = "cell-mono cell-field";
+  resetResults();
 
-        const badge = document.createElement("span");
-        badge.className = `badge badge-${change.type || "changed"}`;
-        badge.textContent = change.type || "changed";
+  const diffMode = form.querySelector('input[name="diff_mode"]:checked')?.value || "words";
+  const laterFiles = Array.from(moreFilesEl?.files || []).sort((a, b) =>
+    a.name.localeCompare(b.name, undefined, { numeric: true })
+  );
+
+  if (laterFiles.length) {
+    try {
+      const chain = await compareVersions([leftFile, rightFile, ...laterFiles], diffMode);
+      renderVersionChain(chain);
+      if (window.location.hash) history.pushState(null, "", window.location.pathname);
+      setStatus(
+        structuredEnabledEl?.checked
+          ? "Version chain complete. Structured extraction and insights are skipped for version chains."
+          : "Version chain complete. Step through the revisions in the timeline below."
+      );
+      document.getElementById("results")?.scrollIntoView({ behavior: "smooth", block: "start" });
+    } catch (error) {
+      setStatus(error.message, "error");
+    } finally {
+      setLoading(false);
+    }
+    return;
+  }
 
-        const path = document.createElement("div");
-        path.className = "cell-path";
-        path.textContent = normalizeStructuredPath(change.path);
+  const formData = new FormData();
+  formData.append("left", leftFile);
+  formData.append("right", rightFile);
+  formData.append("diff_mode", diffMode);
+  NORMALIZATION_FIELDS.forEach((name) => {
+    if (form.querySelector(`input[name="${name}"]`)?.checked) formData.append(name, "true");
+  });
+  const ignoreRules = parseIgnoreRuleLines(ignoreRulesEl?.value);
+  if (ignoreRules.length) formData.append("ignore_rules", JSON.stringify(ignoreRules));
+  if (ignoreRuleSetEl?.value) formData.append("ignore_rule_sets", ignoreRuleSetEl.value);
+  if (policyRulesEl?.value.trim()) formData.append("policy_rules", policyRulesEl.value.trim());
+  if (form.querySelector('input[name="strip_headers_footers"]')?.checked) {
+    formData.append("strip_headers_footers", "true");
+  }
+  if (tableDiffEl?.checked) {
+    formData.append("table_diff", "true");
+    if (tableKeyEl?.value.trim()) formData.append("table_key", tableKeyEl.value.trim());
+  }
 
-        field.appendChild(badge);
-        field.appendChild(path);
+  const structuredEnabled = Boolean(structuredEnabledEl?.checked);
+  formData.append("structured_enabled", structuredEnabled ? "true" : "false");
+  if (structuredEnabled) {
+    formData.append("structured_schema", structuredSchemaEl.value || "");
+    formData.append("structured_prompt", structuredPromptEl.value || "");
+  }
 
-        const left = document.createElement("div");
-        left.className = "cell-mono";
-        left.textContent = formatStructuredValue(change.left);
+  const progress = createProgressState(leftFile.name, rightFile.name);
+  renderProgress(progress);
 
-        const right = document.createElement("div");
-        right.className = "cell-mono";
-        right.textContent = formatStructuredValue(change.right);
+  try {
+    const response = await fetch("/api/comparisons", {
+      method: "POST",
+      body: formData
+    });
 
-        row.appendChild(field);
-        row.appendChild(left);
-        row.appendChild(right);
-        structuredDiffRowsEl.appendChild(row);
-      });
+    const job = await response.json().catch(() => ({}));
 
-      if (visibleChanges.length > maxRows) {
-        const row = document.createElement("div");
-        row.className = "kv";
-        row.textContent = `Showing ${maxRows} of ${visibleChanges.length} structured changes.`;
-        structuredDiffRowsEl.appendChild(row);
-      }
+    if (!response.ok) {
+      throw new Error(job.error || "Comparison failed");
     }
 
-    if (resultsSection) {
-      resultsSection.dataset.hasResults = "true";
-    }
-    setTabsEnabled(true);
-    scheduleTabsProgress();
+    const data = await waitForComparison(job.id, (progressEvent) => {
+      applyProgressEvent(progress, progressEvent);
+      renderProgress(progress);
+    });
+
+    renderResults(data);
+    if (data.id) history.pushState(null, "", `#/c/${data.id}`);
     setStatus("Comparison complete. Review the highlighted differences below.");
     document.getElementById("results")?.scrollIntoView({ behavior: "smooth", block: "start" });
   } catch (error) {
@@ -659,3 +1300,67 @@ form.addEventListener("submit", async (event) => {
     setLoading(false);
   }
 });
+
+// Move links jump between a moved block's source and destination without
+// replacing the permalink in the URL hash.
+resultsSection?.addEventListener("click", (event) => {
+  const link = event.target.closest?.(".diff-move-link");
+  if (!link) return;
+  event.preventDefault();
+  const target = document.getElementById(link.getAttribute("href").slice(1));
+  if (!target) return;
+  target.scrollIntoView({ behavior: "smooth", block: "center" });
+  target.classList.add("diff-move-flash");
+  setTimeout(() => target.classList.remove("diff-move-flash"), 1500);
+});
+
+const PERMALINK_RE = /^#\/c\/([A-Za-z0-9-]+)$/;
+
+const loadPermalink = async () => {
+  const id = window.location.hash.match(PERMALINK_RE)?.[1];
+  if (!id) return;
+
+  resetResults();
+  setStatus("Loading saved comparison...");
+
+  try {
+    const job = await fetchComparison(id);
+    let data = job.result;
+    if (job.state === "failed") throw new Error(job.error || "Comparison failed");
+    if (job.state !== "done") {
+      const progress = createProgressState("", "");
+      renderProgress(progress);
+      data = await waitForComparison(id, (progressEvent) => {
+        applyProgressEvent(progress, progressEvent);
+        renderProgress(progress);
+      });
+    }
+
+    renderResults(data);
+    setStatus("Loaded saved comparison. Review the highlighted differences below.");
+    document.getElementById("results")?.scrollIntoView({ behavior: "smooth", block: "start" });
+  } catch (error) {
+    setStatus(error.message, "error");
+  }
+};
+
+const loadIgnoreRuleSets = async () => {
+  if (!ignoreRuleSetEl) return;
+  try {
+    const response = await fetch("/api/ignore-rule-sets");
+    if (!response.ok) return;
+    const data = await response.json();
+    (data.items || []).forEach((ruleSet) => {
+      const option = document.createElement("option");
+      option.value = ruleSet.name;
+      option.textContent = `${ruleSet.name} (${ruleSet.rules.length} rules)`;
+      ignoreRuleSetEl.append(option);
+    });
+  } catch {
+    // Saved rule sets are optional; inline rules still work.
+  }
+};
+
+window.addEventListener("hashchange", loadPermalink);
+loadPermalink();
+loadIgnoreRuleSets();
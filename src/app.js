@@ -1,11 +1,32 @@
 import express from "express";
 import multer from "multer";
 import dotenv from "dotenv";
-import { diffWordsWithSpace, diffLines } from "diff";
+import { diffChars, diffLines, diffSentences, diffWordsWithSpace } from "diff";
 import { PulseClient, PulseError } from "pulse-ts-sdk";
+import crypto from "node:crypto";
 import fs from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import { createComparisonStore } from "./comparison-store.js";
+import { createExtractionCache, hashBuffer } from "./extraction-cache.js";
+import { createIgnoreRuleStore, RULE_SET_NAME_RE } from "./ignore-rule-store.js";
+import { generateHeuristicInsights } from "./heuristic-insights.js";
+import { findIgnoredRanges, mergeRanges, parseIgnoreRules } from "./ignore-rules.js";
+import { createInsightsProvider } from "./insights-providers.js";
+import { detectMoves } from "./move-detection.js";
+import { diffNormalized, isNormalizationActive, NORMALIZATION_OPTIONS } from "./normalize.js";
+import { annotatePages, findPageStarts, stripRunningLines, summarizePages } from "./pages.js";
+import { createUnifiedDiff, createWordDiff } from "./patch.js";
+import { evaluatePolicy, mergePolicies, parsePolicy } from "./policy.js";
+import { groupReplacements } from "./replacements.js";
+import { createReportBuilder } from "./report.js";
+import { annotateChanges, validateStructuredOutput } from "./schema-validation.js";
+import { diffSections } from "./sections.js";
+import { collectArrayKeys, collectTolerances, diffStructured, stripAnnotations } from "./structured-diff.js";
+import { splitStructuredChanges, structuredChangesToCsv, structuredChangesToXlsx } from "./structured-export.js";
+import { diffTables } from "./tables.js";
+import { classifyStructuredThreeWay, countThreeWayTypes, mergeThreeWay } from "./three-way.js";
+import { attributeDiffParts, attributeVersionChain } from "./version-chain.js";
 
 dotenv.config();
 
@@ -18,6 +39,7 @@ class HttpError extends Error {
 }
 
 const WORD_RE = /[\p{L}\p{N}]+(?:[’'\-][\p{L}\p{N}]+)*/gu;
+const SENTENCE_RE = /[^.!?]*[\p{L}\p{N}][^.!?]*(?:[.!?]+|$)/gu;
 
 export const createApp = (overrides = {}) => {
   const __dirname = path.dirname(fileURLToPath(import.meta.url));
@@ -35,23 +57,67 @@ export const createApp = (overrides = {}) => {
       Number(process.env.PULSE_LARGE_FILE_THRESHOLD_MB || 10) * 1024 * 1024
     ),
     maxUploadBytes: Math.max(1, Number(process.env.PULSE_MAX_UPLOAD_MB || 50) * 1024 * 1024),
+    maxVersions: Math.max(2, Number(process.env.MAX_COMPARISON_VERSIONS || 10)),
+    moveDetectionEnabled: (process.env.MOVE_DETECTION_ENABLED || "true").toLowerCase() === "true",
+    moveMinWords: Math.max(1, Number(process.env.MOVE_MIN_WORDS || 5)),
+    moveMinSimilarity: Math.min(1, Math.max(0.5, Number(process.env.MOVE_MIN_SIMILARITY || 0.9))),
+    extractionCacheEnabled: (process.env.PULSE_CACHE_ENABLED || "true").toLowerCase() === "true",
+    extractionCacheDir:
+      process.env.PULSE_CACHE_DIR || path.join(rootDir, "data", "extraction-cache"),
+    extractionCacheMaxBytes: Math.max(
+      1,
+      Number(process.env.PULSE_CACHE_MAX_MB || 500) * 1024 * 1024
+    ),
+    extractionCacheTtlMs: Math.max(
+      1,
+      Number(process.env.PULSE_CACHE_TTL_HOURS || 168) * 60 * 60 * 1000
+    ),
+    comparisonJobTtlMs: Math.max(
+      1,
+      Number(process.env.COMPARISON_JOB_TTL_MINUTES || 60) * 60 * 1000
+    ),
+    sseHeartbeatMs: Math.max(1000, Number(process.env.COMPARISON_EVENTS_HEARTBEAT_SECONDS || 15) * 1000),
+    historyEnabled: (process.env.COMPARISON_HISTORY_ENABLED || "true").toLowerCase() === "true",
+    historyDir: process.env.COMPARISON_HISTORY_DIR || path.join(rootDir, "data", "comparisons"),
+    historyRetentionMs:
+      Math.max(0, Number(process.env.COMPARISON_RETENTION_DAYS ?? 30)) * 24 * 60 * 60 * 1000,
+    ignoreRulesDir: process.env.IGNORE_RULES_DIR || path.join(rootDir, "data", "ignore-rules"),
+    policyFile: process.env.POLICY_RULES_FILE || "",
+    heuristicInsightsEnabled: (process.env.HEURISTIC_INSIGHTS_ENABLED || "true").toLowerCase() === "true",
+    insightsCacheMaxEntries: Math.max(0, Number(process.env.INSIGHTS_CACHE_MAX_ENTRIES ?? 200)),
     ...overrides.config
   };
 
+  const loadPolicyFile = (filePath) => {
+    if (!filePath) return { failOn: null, rules: [] };
+    try {
+      return parsePolicy(JSON.parse(fs.readFileSync(filePath, "utf8")), "POLICY_RULES_FILE");
+    } catch (error) {
+      throw new Error(`Could not load policy rules from ${filePath}: ${error.message}`);
+    }
+  };
+  const configuredPolicy = loadPolicyFile(config.policyFile);
+
   const upload = multer({
     storage: multer.memoryStorage(),
     limits: { fileSize: config.maxUploadBytes }
   });
 
   const openaiConfig = {
+    provider: process.env.INSIGHTS_PROVIDER || "openai",
     apiKey: process.env.OPENAI_API_KEY || "",
     model: process.env.OPENAI_MODEL || "gpt-4o-mini",
+    baseUrl: process.env.OPENAI_BASE_URL || "",
+    anthropicApiKey: process.env.ANTHROPIC_API_KEY || "",
+    anthropicModel: process.env.ANTHROPIC_MODEL || "claude-3-5-haiku-latest",
+    anthropicBaseUrl: process.env.ANTHROPIC_BASE_URL || "",
     enabled: (process.env.OPENAI_INSIGHTS_ENABLED || "true").toLowerCase() === "true",
     timeoutMs: Number(process.env.OPENAI_TIMEOUT_MS || 12000),
     ...overrides.openaiConfig
   };
 
   const fetchFn = overrides.fetchFn || globalThis.fetch;
+  const insightsProvider = createInsightsProvider(openaiConfig, { fetchFn });
 
   const logDebug =
     overrides.logDebug ||
@@ -121,7 +187,7 @@ export const createApp = (overrides = {}) => {
     }
   };
 
-  const resolveUrlBackedResult = async (payload) => {
+  const resolveUrlBackedResult = async (payload, onProgress = () => {}) => {
     if (!payload || typeof payload !== "object") return payload;
 
     const url =
@@ -150,6 +216,7 @@ export const createApp = (overrides = {}) => {
       safeUrlForLogs = url.slice(0, 80);
     }
     logDebug("Fetching URL-backed extraction result", { url: safeUrlForLogs });
+    onProgress({ status: "fetching-result" });
     const resolved = await fetchJsonWithTimeout(url);
     if (!resolved || typeof resolved !== "object") return payload;
 
@@ -236,14 +303,17 @@ export const createApp = (overrides = {}) => {
     return { status: 502, message: rawMessage || "Pulse request failed." };
   };
 
-  const pollForResult = async (client, jobId) => {
+  const pollForResult = async (client, jobId, onProgress = () => {}) => {
     const deadline = Date.now() + config.pollTimeoutMs;
+    let attempt = 0;
     while (Date.now() < deadline) {
+      attempt += 1;
       logDebug("Polling job status", jobId);
       const payload = await client.jobs.getJob({ jobId });
       logDebug("Poll response", payload);
 
       const status = payload.status;
+      onProgress({ status: "polling", jobId, jobStatus: status || "pending", attempt });
       if (status === "completed" || payload.result) {
         return payload;
       }
@@ -269,8 +339,11 @@ export const createApp = (overrides = {}) => {
 
   const isLargeFile = (file) => getFileSizeBytes(file) >= config.largeFileThresholdBytes;
 
-  const extractDocument = async (file, structuredOutput, useAsync) => {
+  const extractDocument = async (file, structuredOutput, useAsync, onProgress = () => {}) => {
     const client = createPulseClient();
+    const pulseStructuredOutput = structuredOutput
+      ? { schema: structuredOutput.schema, schemaPrompt: structuredOutput.schemaPrompt }
+      : undefined;
     const fileUpload = {
       data: file.buffer,
       filename: file.originalname,
@@ -282,11 +355,15 @@ export const createApp = (overrides = {}) => {
         logDebug("Submitting async extraction request", { name: file.originalname });
         const job = await client.extractAsync({
           file: fileUpload,
-          structuredOutput: structuredOutput || undefined
+          structuredOutput: pulseStructuredOutput
         });
         logDebug("Async job enqueued", job);
-        const finalPayload = await pollForResult(client, job.job_id);
-        const resultPayload = await resolveUrlBackedResult(finalPayload.result || finalPayload);
+        onProgress({ status: "submitted", mode: "async", jobId: job.job_id });
+        const finalPayload = await pollForResult(client, job.job_id, onProgress);
+        const resultPayload = await resolveUrlBackedResult(
+          finalPayload.result || finalPayload,
+          onProgress
+        );
         return {
           payload: resultPayload,
           text: extractTextFromPayload(resultPayload),
@@ -298,9 +375,10 @@ export const createApp = (overrides = {}) => {
       }
 
       logDebug("Submitting sync extraction request", { name: file.originalname });
+      onProgress({ status: "submitted", mode: "sync" });
       const payload = await client.extract({
         file: fileUpload,
-        structuredOutput: structuredOutput || undefined
+        structuredOutput: pulseStructuredOutput
       });
       logDebug("Extraction response", payload);
       return {
@@ -335,33 +413,155 @@ export const createApp = (overrides = {}) => {
     }
   };
 
+  const extractionCache = config.extractionCacheEnabled
+    ? overrides.extractionCache ||
+      createExtractionCache({
+        dir: config.extractionCacheDir,
+        maxBytes: config.extractionCacheMaxBytes,
+        ttlMs: config.extractionCacheTtlMs,
+        logDebug
+      })
+    : null;
+
+  const extractDocumentCached = async (file, structuredOutput, useAsync, onProgress = () => {}) => {
+    const fileHash = hashBuffer(file.buffer);
+    if (!extractionCache) {
+      const result = await extractDocument(file, structuredOutput, useAsync, onProgress);
+      onProgress({ status: "done", cacheHit: false });
+      return { ...result, fileHash, cacheHit: false };
+    }
+
+    const cacheKey = extractionCache.buildKey(fileHash, structuredOutput);
+    try {
+      const cached = await extractionCache.get(cacheKey);
+      if (cached) {
+        logDebug("Extraction cache hit", { name: file.originalname, fileHash });
+        onProgress({ status: "done", cacheHit: true });
+        return { ...cached, fileHash, cacheHit: true };
+      }
+    } catch (error) {
+      logDebug("Extraction cache read failed", { message: error?.message || String(error) });
+    }
+
+    const result = await extractDocument(file, structuredOutput, useAsync, onProgress);
+    try {
+      await extractionCache.set(cacheKey, result);
+    } catch (error) {
+      logDebug("Extraction cache write failed", { message: error?.message || String(error) });
+    }
+    onProgress({ status: "done", cacheHit: false });
+    return { ...result, fileHash, cacheHit: false };
+  };
+
+  const partTitle = (part) => (part.note ? ` title="${escapeHtml(part.note)}"` : "");
+
+  // Moved blocks get an anchor per view (`scope`) and a link to their counterpart.
+  const moveMarkup = (part, scope) => {
+    const { id, role } = part.move;
+    const other = role === "source" ? "destination" : "source";
+    return {
+      className: `diff-moved diff-moved-${role}`,
+      attrs: ` id="${scope}-${id}-${role}" data-move="${id}"`,
+      link: `<a class="diff-move-link" href="#${scope}-${id}-${other}">${
+        role === "source" ? "moved to ↷" : "moved from ↶"
+      }</a>`
+    };
+  };
+
+  const buildChangeSpan = (part, className, scope) => {
+    const safeValue = escapeHtml(part.value);
+    if (!part.move) return `<span class="${className}"${partTitle(part)}>${safeValue}</span>`;
+    const move = moveMarkup(part, scope);
+    return `<span class="${move.className}"${move.attrs}>${safeValue}</span>${move.link}`;
+  };
+
+  const buildChangeLine = (part, className, html, scope, lineIndex) => {
+    if (!part.move) return `<div class="diff-line ${className}"${partTitle(part)}>${html}</div>`;
+    const move = moveMarkup(part, scope);
+    return lineIndex === 0
+      ? `<div class="diff-line ${move.className}"${move.attrs}>${html}${move.link}</div>`
+      : `<div class="diff-line ${move.className}">${html}</div>`;
+  };
+
+  // Side-by-side views mark the first change on each page with a page badge.
+  const createPageBadges = () => {
+    const last = { left: null, right: null };
+    return (part, side) => {
+      const page = part?.page?.[side];
+      if (!page || page === last[side]) return "";
+      last[side] = page;
+      return `<span class="page-badge" data-page="${page}">p. ${page}</span>`;
+    };
+  };
+
+  const TABLE_ROW_MARKERS = { added: "+", removed: "−", modified: "~", unchanged: "" };
+
+  const buildTableCell = (cell) =>
+    cell.changed
+      ? `<td class="cell-changed"><span class="diff-removed">${escapeHtml(cell.left)}</span> <span class="diff-added">${escapeHtml(cell.right)}</span></td>`
+      : `<td>${escapeHtml(cell.right ?? cell.left ?? "")}</td>`;
+
+  const buildTableDiffHtml = (table) => {
+    const head = table.columns
+      .map((column) => `<th class="col-${column.status}">${escapeHtml(column.name)}</th>`)
+      .join("");
+    const body = table.rows
+      .map(
+        (row) =>
+          `<tr class="row-${row.status}"><td class="row-marker">${TABLE_ROW_MARKERS[row.status]}</td>${row.cells
+            .map(buildTableCell)
+            .join("")}</tr>`
+      )
+      .join("");
+    return `<table class="diff-table"><thead><tr><th class="row-marker"></th>${head}</tr></thead><tbody>${body}</tbody></table>`;
+  };
+
+  const buildReplacementSpan = (part, html) =>
+    `<span class="diff-replaced" data-replacement="${part.replacement.id}">${html}</span>`;
+
   const buildDiffHtml = (diffParts) =>
     diffParts
-      .map((part) => {
-        const safeValue = escapeHtml(part.value);
-        if (part.added) return `<span class="diff-added">${safeValue}</span>`;
-        if (part.removed) return `<span class="diff-removed">${safeValue}</span>`;
-        return `<span>${safeValue}</span>`;
+      .map((part, index) => {
+        if (part.replacement) {
+          if (part.added) return "";
+          const next = diffParts[index + 1];
+          return buildReplacementSpan(
+            part,
+            `<span class="diff-removed">${escapeHtml(part.value)}</span><span class="diff-added">${escapeHtml(next.value)}</span>`
+          );
+        }
+        if (part.added) return buildChangeSpan(part, "diff-added", "inline");
+        if (part.removed) return buildChangeSpan(part, "diff-removed", "inline");
+        return `<span>${escapeHtml(part.value)}</span>`;
       })
       .join("");
 
   const buildSideBySide = (diffParts) => {
     const left = [];
     const right = [];
+    const badge = createPageBadges();
 
     diffParts.forEach((part) => {
       const safeValue = escapeHtml(part.value);
+      if (part.replacement) {
+        const [side, name] = part.added ? [right, "right"] : [left, "left"];
+        side.push(
+          badge(part, name) +
+            buildReplacementSpan(part, `<span class="${part.added ? "diff-added" : "diff-removed"}">${safeValue}</span>`)
+        );
+        return;
+      }
       if (part.added) {
-        right.push(`<span class="diff-added">${safeValue}</span>`);
-        left.push(`<span class="diff-empty">${" ".repeat(part.value.length)}</span>`);
+        right.push(badge(part, "right") + buildChangeSpan(part, "diff-added", "side"));
+        left.push(`${badge(part, "left")}<span class="diff-empty">${" ".repeat(part.value.length)}</span>`);
         return;
       }
       if (part.removed) {
-        left.push(`<span class="diff-removed">${safeValue}</span>`);
-        right.push(`<span class="diff-empty">${" ".repeat(part.value.length)}</span>`);
+        left.push(badge(part, "left") + buildChangeSpan(part, "diff-removed", "side"));
+        right.push(`${badge(part, "right")}<span class="diff-empty">${" ".repeat(part.value.length)}</span>`);
         return;
       }
-      left.push(`<span>${safeValue}</span>`);
+      left.push(`<span>${escapeHtml(part.leftValue ?? part.value)}</span>`);
       right.push(`<span>${safeValue}</span>`);
     });
 
@@ -370,21 +570,85 @@ export const createApp = (overrides = {}) => {
 
   const splitLinesPreserve = (value) => String(value ?? "").split("\n");
 
+  // Pairs the lines of a removed block with the lines of the added block that
+  // replaces it and marks the words that differ inside each pair.
+  const highlightLinePairs = (removedValue, addedValue) => {
+    const removedLines = splitLinesPreserve(removedValue);
+    const addedLines = splitLinesPreserve(addedValue);
+    const endsWithNewline = (lines) => lines.length > 1 && lines[lines.length - 1] === "";
+    const contentLength = (lines) => (endsWithNewline(lines) ? lines.length - 1 : lines.length);
+    const pairCount = Math.min(contentLength(removedLines), contentLength(addedLines));
+    const pairs = removedLines
+      .slice(0, pairCount)
+      .map((line, i) => diffWordsWithSpace(line, addedLines[i]));
+    const render = (wordParts, skip, mark, className) =>
+      wordParts
+        .filter((part) => !part[skip])
+        .map((part) =>
+          part[mark] ? `<span class="${className}">${escapeHtml(part.value)}</span>` : escapeHtml(part.value)
+        )
+        .join("");
+
+    return {
+      left: removedLines.map((line, i) =>
+        i < pairCount ? render(pairs[i], "added", "removed", "diff-word-removed") : escapeHtml(line)
+      ),
+      right: addedLines.map((line, i) =>
+        i < pairCount ? render(pairs[i], "removed", "added", "diff-word-added") : escapeHtml(line)
+      )
+    };
+  };
+
+  const isLinePair = (part, next) => Boolean(part?.removed && next?.added && !part.move && !next.move);
+
   const buildLineSideBySide = (diffParts) => {
     const leftLines = [];
     const rightLines = [];
+    const badge = createPageBadges();
+
+    diffParts.forEach((part, index) => {
+      const next = diffParts[index + 1];
+      if (isLinePair(part, next)) {
+        const { left, right } = highlightLinePairs(part.value, next.value);
+        left[0] = badge(part, "left") + left[0];
+        right[0] = badge(next, "right") + right[0];
+        for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+          leftLines.push(
+            i < left.length
+              ? `<div class="diff-line diff-removed"${partTitle(part)}>${left[i]}</div>`
+              : `<div class="diff-line diff-empty"></div>`
+          );
+          rightLines.push(
+            i < right.length
+              ? `<div class="diff-line diff-added"${partTitle(next)}>${right[i]}</div>`
+              : `<div class="diff-line diff-empty"></div>`
+          );
+        }
+        return;
+      }
+      if (isLinePair(diffParts[index - 1], part)) return;
+
+      if (!part.added && !part.removed && part.leftValue !== undefined) {
+        const left = splitLinesPreserve(part.leftValue);
+        const right = splitLinesPreserve(part.value);
+        for (let i = 0; i < Math.max(left.length, right.length); i += 1) {
+          leftLines.push(`<div class="diff-line">${escapeHtml(left[i] ?? "")}</div>`);
+          rightLines.push(`<div class="diff-line">${escapeHtml(right[i] ?? "")}</div>`);
+        }
+        return;
+      }
 
-    diffParts.forEach((part) => {
-      splitLinesPreserve(part.value).forEach((line) => {
+      splitLinesPreserve(part.value).forEach((line, lineIndex) => {
         const safeLine = escapeHtml(line);
+        const badges = lineIndex === 0 ? { left: badge(part, "left"), right: badge(part, "right") } : {};
         if (part.added) {
-          leftLines.push(`<div class="diff-line diff-empty"></div>`);
-          rightLines.push(`<div class="diff-line diff-added">${safeLine}</div>`);
+          leftLines.push(`<div class="diff-line diff-empty">${badges.left || ""}</div>`);
+          rightLines.push(buildChangeLine(part, "diff-added", (badges.right || "") + safeLine, "side", lineIndex));
           return;
         }
         if (part.removed) {
-          leftLines.push(`<div class="diff-line diff-removed">${safeLine}</div>`);
-          rightLines.push(`<div class="diff-line diff-empty"></div>`);
+          leftLines.push(buildChangeLine(part, "diff-removed", (badges.left || "") + safeLine, "side", lineIndex));
+          rightLines.push(`<div class="diff-line diff-empty">${badges.right || ""}</div>`);
           return;
         }
         leftLines.push(`<div class="diff-line">${safeLine}</div>`);
@@ -400,17 +664,29 @@ export const createApp = (overrides = {}) => {
 
   const buildLineInline = (diffParts) => {
     const lines = [];
-    diffParts.forEach((part) => {
-      splitLinesPreserve(part.value).forEach((line) => {
+    diffParts.forEach((part, index) => {
+      const next = diffParts[index + 1];
+      if (isLinePair(part, next)) {
+        const { left, right } = highlightLinePairs(part.value, next.value);
+        left.forEach((html) => lines.push(`<div class="diff-line diff-removed"${partTitle(part)}>${html}</div>`));
+        right.forEach((html) => lines.push(`<div class="diff-line diff-added"${partTitle(next)}>${html}</div>`));
+        return;
+      }
+      if (isLinePair(diffParts[index - 1], part)) return;
+
+      splitLinesPreserve(part.value).forEach((line, lineIndex) => {
         const safeLine = escapeHtml(line);
-        if (part.added) return lines.push(`<div class="diff-line diff-added">${safeLine}</div>`);
-        if (part.removed) return lines.push(`<div class="diff-line diff-removed">${safeLine}</div>`);
+        if (part.added) return lines.push(buildChangeLine(part, "diff-added", safeLine, "inline", lineIndex));
+        if (part.removed) return lines.push(buildChangeLine(part, "diff-removed", safeLine, "inline", lineIndex));
         lines.push(`<div class="diff-line">${safeLine}</div>`);
       });
     });
     return `<div class="diff-lines">${lines.join("")}</div>`;
   };
 
+  const renderInlineDiff = (diffParts, diffMode) =>
+    diffMode === "lines" ? buildLineInline(diffParts) : buildDiffHtml(diffParts);
+
   const parseStructuredOutput = (req) => {
     const enabled = (req.body?.structured_enabled || "").toString().toLowerCase() === "true";
     if (!enabled) return null;
@@ -433,40 +709,19 @@ export const createApp = (overrides = {}) => {
       throw new HttpError(400, "Structured schema must be a JSON object.");
     }
 
-    return { schema, schemaPrompt: schemaPrompt || undefined };
-  };
-
-  const diffStructured = (left, right) => {
-    const changes = [];
-
-    const walk = (pathKey, a, b) => {
-      if (a === undefined && b === undefined) return;
-      if (a === undefined) return changes.push({ path: pathKey, type: "added", left: null, right: b ?? null });
-      if (b === undefined) return changes.push({ path: pathKey, type: "removed", left: a ?? null, right: null });
-
-      const aIsArray = Array.isArray(a);
-      const bIsArray = Array.isArray(b);
-      if (aIsArray || bIsArray) {
-        if (!aIsArray || !bIsArray) return changes.push({ path: pathKey, type: "changed", left: a ?? null, right: b ?? null });
-        const maxLen = Math.max(a.length, b.length);
-        for (let i = 0; i < maxLen; i += 1) walk(`${pathKey}[${i}]`, a[i], b[i]);
-        return;
-      }
-
-      const aIsObj = a != null && typeof a === "object";
-      const bIsObj = b != null && typeof b === "object";
-      if (aIsObj || bIsObj) {
-        if (!aIsObj || !bIsObj) return changes.push({ path: pathKey, type: "changed", left: a ?? null, right: b ?? null });
-        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
-        for (const key of keys) walk(pathKey ? `${pathKey}.${key}` : key, a[key], b[key]);
-        return;
-      }
+    let tolerances;
+    try {
+      tolerances = collectTolerances(schema);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
 
-      if (a !== b) changes.push({ path: pathKey, type: "changed", left: a ?? null, right: b ?? null });
+    return {
+      schema: stripAnnotations(schema),
+      schemaPrompt: schemaPrompt || undefined,
+      arrayKeys: collectArrayKeys(schema),
+      tolerances
     };
-
-    walk("", left, right);
-    return changes;
   };
 
   const insightsTemplatePath = path.join(rootDir, "prompts", "insights_prompt.jinja");
@@ -501,12 +756,21 @@ export const createApp = (overrides = {}) => {
     const seen = new Set();
     const added = [];
     const removed = [];
+    const replaced = [];
+
+    diffParts.forEach((part, index) => {
+      if (!part.replacement || !part.removed || replaced.length >= maxSnippets) return;
+      const from = truncateText(collapseWhitespace(part.value), maxLen);
+      const to = truncateText(collapseWhitespace(diffParts[index + 1]?.value), maxLen);
+      if (from || to) replaced.push({ from, to });
+    });
 
     for (const part of diffParts) {
+      if (part.replacement) continue;
       const bucket = part.added ? added : part.removed ? removed : null;
-      if (!bucket) continue;
+      if (!bucket || part.move) continue;
       if (bucket.length >= maxSnippets) continue;
-      const cleaned = collapseWhitespace(part.value);
+      const cleaned = collapseWhitespace(part.maskedValue ?? part.value);
       if (!cleaned || cleaned.length < 4) continue;
       const snippet = truncateText(cleaned, maxLen);
       const key = snippet.toLowerCase();
@@ -516,12 +780,24 @@ export const createApp = (overrides = {}) => {
       if (added.length >= maxSnippets && removed.length >= maxSnippets) break;
     }
 
-    return { added, removed };
+    return { added, removed, replaced };
+  };
+
+  const listPageChanges = (diffParts, { maxLen = 120 } = {}) => {
+    const excerpt = (value) => truncateText(collapseWhitespace(value), maxLen);
+    return diffParts.flatMap((part, index) => {
+      if (!part.page || (part.replacement && part.added)) return [];
+      if (part.replacement) {
+        return [{ type: "replaced", from: excerpt(part.value), to: excerpt(diffParts[index + 1]?.value), page: part.page }];
+      }
+      return [{ type: part.move ? "moved" : part.added ? "added" : "removed", text: excerpt(part.value), page: part.page }];
+    });
   };
 
   const buildInsightsInput = ({ leftName, rightName, summary, diffParts, structuredDiff }) => {
     const snippets = collectDiffSnippets(diffParts);
-    const structuredSample = (structuredDiff || []).slice(0, 30).map((c) => ({
+    const valueChanges = (structuredDiff || []).filter((c) => !c.formatOnly);
+    const structuredSample = valueChanges.slice(0, 30).map((c) => ({
       path: c.path || "",
       type: c.type || "changed",
       left: typeof c.left === "string" ? truncateText(c.left, 120) : c.left,
@@ -536,110 +812,34 @@ export const createApp = (overrides = {}) => {
         unit: summary?.unit || "words",
         additions: Number(summary?.additions || 0),
         removals: Number(summary?.removals || 0),
+        moved_blocks: Number(summary?.moves || 0),
+        replacements: Number(summary?.replacements || 0),
         diff_chunks: Number(summary?.totalParts || 0),
-        structured_changes: Number(structuredDiff?.length || 0)
+        structured_changes: valueChanges.length
       },
       excerpts: {
         added: snippets.added,
-        removed: snippets.removed
+        removed: snippets.removed,
+        replaced: snippets.replaced
       },
       structured_diff_sample: structuredSample
     };
   };
 
-  const OPENAI_INSIGHTS_SCHEMA = {
-    type: "object",
-    additionalProperties: false,
-    properties: {
-      overall_summary: { type: "string" },
-      added_highlights: {
-        type: "array",
-        items: {
-          type: "object",
-          additionalProperties: false,
-          properties: { title: { type: "string" }, evidence: { type: "string" } },
-          required: ["title", "evidence"]
-        }
-      },
-      removed_highlights: {
-        type: "array",
-        items: {
-          type: "object",
-          additionalProperties: false,
-          properties: { title: { type: "string" }, evidence: { type: "string" } },
-          required: ["title", "evidence"]
-        }
-      },
-      change_categories: {
-        type: "array",
-        items: {
-          type: "object",
-          additionalProperties: false,
-          properties: {
-            category: {
-              type: "string",
-              enum: ["numbers", "dates", "money", "links", "people", "organizations", "sections", "formatting", "other"]
-            },
-            summary: { type: "string" }
-          },
-          required: ["category", "summary"]
-        }
-      },
-      risks: {
-        type: "array",
-        items: {
-          type: "object",
-          additionalProperties: false,
-          properties: {
-            severity: { type: "string", enum: ["Low", "Medium", "High"] },
-            message: { type: "string" }
-          },
-          required: ["severity", "message"]
-        }
-      },
-      suggested_checks: { type: "array", items: { type: "string" } },
-      confidence: { type: "string", enum: ["Low", "Medium", "High"] }
-    },
-    required: [
-      "overall_summary",
-      "added_highlights",
-      "removed_highlights",
-      "change_categories",
-      "risks",
-      "suggested_checks",
-      "confidence"
-    ]
-  };
-
-  const extractOpenAIOutputText = (payload) => {
-    if (!payload) return "";
-    if (typeof payload.output_text === "string") return payload.output_text;
-    const output = Array.isArray(payload.output) ? payload.output : [];
-    const chunks = [];
-    for (const item of output) {
-      const content = item?.content;
-      if (!Array.isArray(content)) continue;
-      for (const part of content) {
-        if (typeof part?.text === "string") chunks.push(part.text);
-        if (typeof part?.content === "string") chunks.push(part.content);
-      }
-    }
-    return chunks.join("\n").trim();
-  };
-
-  const generateInsightsWithOpenAI = async (insightsInput) => {
+  const generateInsightsWithLLM = async (insightsInput) => {
+    const { name, label, model } = insightsProvider;
     if (!openaiConfig.enabled) {
       return {
         enabled: false,
-        provider: "openai",
+        provider: name,
         error: "Insights disabled by OPENAI_INSIGHTS_ENABLED."
       };
     }
-    if (!openaiConfig.apiKey) {
-      return { enabled: false, provider: "openai", error: "Missing OPENAI_API_KEY." };
+    if (insightsProvider.missing) {
+      return { enabled: false, provider: name, error: insightsProvider.missing };
     }
     if (!insightsPromptTemplate) {
-      return { enabled: false, provider: "openai", error: "Missing insights prompt template file." };
+      return { enabled: false, provider: name, error: "Missing insights prompt template file." };
     }
 
     const controller = new AbortController();
@@ -648,59 +848,100 @@ export const createApp = (overrides = {}) => {
       const inputJson = JSON.stringify(insightsInput, null, 2);
       const prompt = renderTemplate(insightsPromptTemplate, { input_json: inputJson });
 
-      logDebug("Generating OpenAI insights", { model: openaiConfig.model });
-      const response = await fetchFn("https://api.openai.com/v1/responses", {
-        method: "POST",
-        headers: {
-          Authorization: `Bearer ${openaiConfig.apiKey}`,
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          model: openaiConfig.model,
-          input: prompt,
-          temperature: 0.2,
-          text: {
-            format: {
-              type: "json_schema",
-              name: "document_diff_insights",
-              strict: true,
-              schema: OPENAI_INSIGHTS_SCHEMA
-            }
-          }
-        }),
-        signal: controller.signal
-      });
-
-      const payload = await response.json().catch(() => ({}));
-      if (!response.ok) {
-        const detail =
-          payload?.error?.message ||
-          payload?.message ||
-          `OpenAI request failed (${response.status} ${response.statusText})`;
-        throw new Error(detail);
-      }
-
-      const text = extractOpenAIOutputText(payload);
-      const parsed = typeof payload?.output_parsed === "object" ? payload.output_parsed : JSON.parse(text);
-
-      return {
-        enabled: true,
-        provider: "openai",
-        model: openaiConfig.model,
-        result: parsed
-      };
+      logDebug("Generating insights", { provider: name, model });
+      const result = await insightsProvider.generate(prompt, { signal: controller.signal });
+      return { enabled: true, provider: name, model, result };
     } catch (error) {
       const message =
         error?.name === "AbortError"
           ? `Insights timed out after ${openaiConfig.timeoutMs}ms.`
-          : error?.message || "OpenAI insights failed.";
-      logDebug("OpenAI insights failed", { message });
-      return { enabled: false, provider: "openai", error: message };
+          : error?.message || `${label} insights failed.`;
+      logDebug("Insights failed", { provider: name, message });
+      return { enabled: false, provider: name, error: message };
     } finally {
       clearTimeout(timeout);
     }
   };
 
+  // Falls back to the offline heuristics whenever the LLM provider is disabled,
+  // unconfigured or fails, so air-gapped deployments still get an Insights tab.
+  const generateInsights = async (insightsInput, diffParts) => {
+    const insights = await generateInsightsWithLLM(insightsInput);
+    if (insights.enabled || !config.heuristicInsightsEnabled) return insights;
+    return {
+      enabled: true,
+      provider: "heuristic",
+      fallbackReason: insights.error,
+      result: generateHeuristicInsights(insightsInput, diffParts)
+    };
+  };
+
+  // LLM insights keyed by a hash of the input and the provider/model. Failures
+  // and heuristic fallbacks are not cached, so a retry reaches the provider.
+  const insightsCache = new Map();
+
+  const generateInsightsCached = async (insightsInput, diffParts, { refresh = false } = {}) => {
+    const key = crypto
+      .createHash("sha256")
+      .update(JSON.stringify({ provider: insightsProvider.name, model: insightsProvider.model, input: insightsInput }))
+      .digest("hex");
+    const hit = refresh ? null : insightsCache.get(key);
+    if (hit) {
+      insightsCache.delete(key);
+      insightsCache.set(key, hit);
+      return { ...hit, cached: true };
+    }
+
+    const insights = await generateInsights(insightsInput, diffParts);
+    if (insights.enabled && insights.provider !== "heuristic" && config.insightsCacheMaxEntries > 0) {
+      insightsCache.set(key, insights);
+      while (insightsCache.size > config.insightsCacheMaxEntries) {
+        insightsCache.delete(insightsCache.keys().next().value);
+      }
+    }
+    return insights;
+  };
+
+  // Rebuilds diff parts from the excerpts of a posted insights input, so the
+  // heuristic fallback has text to scan.
+  const diffPartsFromExcerpts = (excerpts) => {
+    const strings = (list) => (Array.isArray(list) ? list.filter((item) => typeof item === "string") : []);
+    const replaced = Array.isArray(excerpts?.replaced) ? excerpts.replaced : [];
+    return [
+      ...strings(excerpts?.removed).map((value) => [{ value, removed: true }]),
+      ...strings(excerpts?.added).map((value) => [{ value, added: true }]),
+      ...replaced.map((item) => [
+        { value: String(item?.from ?? ""), removed: true },
+        { value: String(item?.to ?? ""), added: true }
+      ])
+    ].flatMap((parts) => [...parts, { value: "\n" }]);
+  };
+
+  // What is wrong with a client-supplied insights input, or null when it has the
+  // shape buildInsightsInput produces.
+  const insightsInputError = (input) => {
+    const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+    const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string");
+    if (!isObject(input)) return "input must be an object.";
+    if (!isObject(input.meta)) return "input.meta must be an object.";
+    const { excerpts = {}, structured_diff_sample: sample = [] } = input;
+    if (!isObject(excerpts)) return "input.excerpts must be an object.";
+    for (const key of ["added", "removed"]) {
+      if (excerpts[key] !== undefined && !isStringList(excerpts[key])) {
+        return `input.excerpts.${key} must be an array of strings.`;
+      }
+    }
+    const replaced = excerpts.replaced ?? [];
+    const isReplacement = (item) => isObject(item) && typeof item.from === "string" && typeof item.to === "string";
+    if (!Array.isArray(replaced) || !replaced.every(isReplacement)) {
+      return "input.excerpts.replaced must be an array of { from, to } strings.";
+    }
+    if (!Array.isArray(sample) || !sample.every((change) => isObject(change) && typeof change.path === "string")) {
+      return "input.structured_diff_sample must be an array of objects with a string path.";
+    }
+    return null;
+  };
+
   const countLogicalLines = (value) => {
     if (!value) return 0;
     const lines = String(value).split("\n");
@@ -708,119 +949,971 @@ export const createApp = (overrides = {}) => {
     return lines.length;
   };
 
+  const countCharacters = (value) => Array.from(String(value ?? "")).length;
+
+  const countSentences = (value) => (String(value ?? "").match(SENTENCE_RE) || []).length;
+
+  const DIFF_MODES = {
+    words: { diff: diffWordsWithSpace, unit: "words", count: countWords, groupReplacements: true },
+    lines: { diff: diffLines, unit: "lines", count: countLogicalLines },
+    chars: { diff: diffChars, unit: "characters", count: countCharacters },
+    sentences: { diff: diffSentences, unit: "sentences", count: countSentences }
+  };
+
+  const parseDiffMode = (req) => {
+    const diffMode = (req.body?.diff_mode || "words").toString().toLowerCase();
+    if (!DIFF_MODES[diffMode]) {
+      throw new HttpError(400, `diff_mode must be one of ${Object.keys(DIFF_MODES).join(", ")}.`);
+    }
+    return diffMode;
+  };
+
+  const diffTexts = (leftText, rightText, diffMode, normalization = null, ignored = null) =>
+    isNormalizationActive(normalization) || ignored?.left.length || ignored?.right.length
+      ? diffNormalized(leftText, rightText, DIFF_MODES[diffMode].diff, normalization, {
+          keepNewlines: diffMode === "lines",
+          ignored: ignored || undefined
+        })
+      : DIFF_MODES[diffMode].diff(leftText, rightText);
+
+  const NORMALIZATION_FIELDS = {
+    whitespace: "ignore_whitespace",
+    case: "ignore_case",
+    quotes: "fold_quotes",
+    dehyphenate: "dehyphenate",
+    punctuation: "ignore_punctuation"
+  };
+
+  const parseIgnoreRuleFields = (req) => {
+    let ignoreRules = [];
+    const raw = req.body?.ignore_rules;
+    if (raw) {
+      try {
+        ignoreRules = parseIgnoreRules(JSON.parse(raw));
+      } catch (error) {
+        throw new HttpError(400, error instanceof SyntaxError ? "ignore_rules must be valid JSON." : error.message);
+      }
+    }
+    const ignoreRuleSets = (req.body?.ignore_rule_sets || "")
+      .toString()
+      .split(",")
+      .map((name) => name.trim())
+      .filter(Boolean);
+    const invalid = ignoreRuleSets.find((name) => !RULE_SET_NAME_RE.test(name));
+    if (invalid) {
+      throw new HttpError(400, `Invalid ignore rule set name "${invalid}".`);
+    }
+    return { ignoreRules, ignoreRuleSets };
+  };
+
+  const parsePolicyField = (req) => {
+    const raw = req.body?.policy_rules;
+    if (!raw) return null;
+    try {
+      return parsePolicy(JSON.parse(raw), "policy_rules");
+    } catch (error) {
+      throw new HttpError(400, error instanceof SyntaxError ? "policy_rules must be valid JSON." : error.message);
+    }
+  };
+
+  // Appends the rules of every named set to the request's inline rules.
+  const resolveIgnoreRuleSets = async (params) => {
+    const rules = [...params.ignoreRules];
+    for (const name of params.ignoreRuleSets) {
+      const ruleSet = await ignoreRuleStore.get(name);
+      if (!ruleSet) {
+        throw new HttpError(400, `Unknown ignore rule set "${name}".`);
+      }
+      rules.push(...ruleSet.rules);
+    }
+    return { ...params, ignoreRules: rules };
+  };
+
+  const parseNormalization = (req) =>
+    Object.fromEntries(
+      NORMALIZATION_OPTIONS.map((name) => [
+        name,
+        (req.body?.[NORMALIZATION_FIELDS[name]] || "").toString().toLowerCase() === "true"
+      ])
+    );
+
+  // Text matched by ignore rules (`maskedValue` without it) is left out of the counts.
+  const countPart = (part, count) => {
+    if (part.maskedValue === undefined) return count(part.value);
+    return part.maskedValue.trim() ? count(part.maskedValue) : 0;
+  };
+
+  const summarizeDiff = (diffParts, diffMode) => {
+    const { count, unit } = DIFF_MODES[diffMode];
+    const total = (flag) =>
+      diffParts.filter((part) => part[flag] && !part.move).reduce((sum, part) => sum + countPart(part, count), 0);
+    return {
+      additions: total("added"),
+      removals: total("removed"),
+      moves: diffParts.filter((part) => part.move?.role === "source").length,
+      replacements: diffParts.filter((part) => part.replacement && part.removed).length,
+      totalParts: diffParts.length,
+      diffMode,
+      unit
+    };
+  };
+
+  const rangesWithin = (ranges, start, length) =>
+    ranges
+      .filter(([from, to]) => to > start && from < start + length)
+      .map(([from, to]) => [Math.max(from, start) - start, Math.min(to, start + length) - start]);
+
+  // Section bodies are diffed with the same mode, normalization and ignore rules
+  // as the whole text; ignored ranges are shifted to each body's offset.
+  const buildSectionDiff = (texts, diffMode, normalization, ignored) => {
+    const { summary, items } = diffSections(texts.left, texts.right, {
+      diff: (left, right) => {
+        const parts = diffTexts(left.text, right.text, diffMode, normalization, {
+          left: rangesWithin(ignored.left, left.start, left.text.length),
+          right: rangesWithin(ignored.right, right.start, right.text.length)
+        });
+        return DIFF_MODES[diffMode].groupReplacements ? groupReplacements(parts) : parts;
+      },
+      count: (part) => countPart(part, DIFF_MODES[diffMode].count)
+    });
+    return {
+      summary,
+      items: items.map(({ parts, ...item }) => ({ ...item, html: renderInlineDiff(parts, diffMode) }))
+    };
+  };
+
+  const renderSideBySide = (diffParts, diffMode) =>
+    diffMode === "lines" ? buildLineSideBySide(diffParts) : buildSideBySide(diffParts);
+
   const app = express();
   if (!overrides.disableStatic) {
     app.use(express.static(path.join(rootDir, "public")));
   }
 
-  app.post(
-    "/api/compare",
-    upload.fields([
-      { name: "left", maxCount: 1 },
-      { name: "right", maxCount: 1 }
-    ]),
-    async (req, res) => {
-      try {
-        const leftFile = req.files?.left?.[0];
-        const rightFile = req.files?.right?.[0];
+  const parseTableOptions = (req) => {
+    const tableKey = (req.body?.table_key || "").toString().trim();
+    if (tableKey.length > 200) {
+      throw new HttpError(400, "table_key must be at most 200 characters.");
+    }
+    return {
+      tableDiff: (req.body?.table_diff || "").toString().toLowerCase() === "true",
+      tableKey: tableKey || null
+    };
+  };
+
+  const parseComparisonRequest = (req) => {
+    const leftFile = req.files?.left?.[0];
+    const rightFile = req.files?.right?.[0];
+
+    if (!leftFile || !rightFile) {
+      throw new HttpError(400, "Please upload both documents.");
+    }
+
+    const diffMode = parseDiffMode(req);
+    const structuredOutput = parseStructuredOutput(req);
+
+    const output = (req.body?.output || "json").toString().toLowerCase();
+    if (output !== "json" && output !== "patch") {
+      throw new HttpError(400, "output must be json or patch.");
+    }
+
+    const rawContext = req.body?.context;
+    const context = rawContext === undefined || rawContext === "" ? 3 : Number(rawContext);
+    if (!Number.isInteger(context) || context < 0 || context > 1000) {
+      throw new HttpError(400, "context must be a whole number between 0 and 1000.");
+    }
+
+    return {
+      leftFile,
+      rightFile,
+      diffMode,
+      normalization: parseNormalization(req),
+      stripHeadersFooters: (req.body?.strip_headers_footers || "").toString().toLowerCase() === "true",
+      ...parseTableOptions(req),
+      ...parseIgnoreRuleFields(req),
+      policy: parsePolicyField(req),
+      structuredOutput,
+      output,
+      context
+    };
+  };
+
+  const renderPatch = (record, context) => {
+    // Built from the extracted text: normalized or masked diff parts show the new text for unchanged lines,
+    // so they cannot be applied as a patch.
+    const { left, right } = record.result.extracted;
+    const createPatch = record.diffMode === "lines" ? createUnifiedDiff : createWordDiff;
+    return createPatch({ oldText: left, newText: right, oldName: record.leftName, newName: record.rightName, context });
+  };
+
+  const comparisonStore = config.historyEnabled
+    ? overrides.comparisonStore ||
+      createComparisonStore({
+        dir: config.historyDir,
+        retentionMs: config.historyRetentionMs,
+        logDebug
+      })
+    : null;
+
+  const ignoreRuleStore = overrides.ignoreRuleStore || createIgnoreRuleStore({ dir: config.ignoreRulesDir });
+
+  const saveComparison = async (record) => {
+    if (!comparisonStore) return;
+    try {
+      await comparisonStore.save(record);
+    } catch (error) {
+      logDebug("Saving comparison history failed", {
+        id: record.id,
+        message: error?.message || String(error)
+      });
+    }
+  };
+
+  const runComparison = async (
+    {
+      leftFile,
+      rightFile,
+      diffMode,
+      normalization,
+      stripHeadersFooters,
+      tableDiff,
+      tableKey,
+      ignoreRules = [],
+      policy = null,
+      structuredOutput
+    },
+    { id = crypto.randomUUID(), onStage = () => {}, onProgress = () => {} } = {}
+  ) => {
+    const useAsyncLeft = isLargeFile(leftFile);
+    const useAsyncRight = isLargeFile(rightFile);
+
+    logDebug("Starting comparison", {
+      left: leftFile.originalname,
+      right: rightFile.originalname,
+      diffMode,
+      structured: Boolean(structuredOutput),
+      normalization,
+      stripHeadersFooters: Boolean(stripHeadersFooters),
+      tableDiff: Boolean(tableDiff),
+      extractionMode: {
+        left: useAsyncLeft ? "async" : "sync",
+        right: useAsyncRight ? "async" : "sync"
+      },
+      largeDetected: { left: useAsyncLeft, right: useAsyncRight }
+    });
+
+    const extractionProgress = (side) => (event) => onProgress({ stage: "extraction", side, ...event });
+
+    onStage("extracting");
+    const [leftResult, rightResult] = await Promise.all([
+      extractDocumentCached(leftFile, structuredOutput, useAsyncLeft, extractionProgress("left")),
+      extractDocumentCached(rightFile, structuredOutput, useAsyncRight, extractionProgress("right"))
+    ]);
+
+    onStage("diffing");
+    onProgress({ stage: "diff", status: "started" });
+    const stripping = {
+      left: stripHeadersFooters ? stripRunningLines(leftResult.text, leftResult.payload) : null,
+      right: stripHeadersFooters ? stripRunningLines(rightResult.text, rightResult.payload) : null
+    };
+    const texts = {
+      left: stripping.left?.text ?? leftResult.text,
+      right: stripping.right?.text ?? rightResult.text
+    };
+    const ignored = {
+      left: findIgnoredRanges(texts.left, ignoreRules),
+      right: findIgnoredRanges(texts.right, ignoreRules)
+    };
+    // With table diffs on, table regions are masked like ignored text so the text diff skips them.
+    const tables = tableDiff ? diffTables(texts.left, texts.right, { key: tableKey }) : null;
+    const masked = tables
+      ? {
+          left: mergeRanges([...ignored.left, ...tables.ranges.left]),
+          right: mergeRanges([...ignored.right, ...tables.ranges.right])
+        }
+      : ignored;
+    const textDiff = diffTexts(texts.left, texts.right, diffMode, normalization, masked);
+    const movedParts = config.moveDetectionEnabled
+      ? detectMoves(textDiff, { minWords: config.moveMinWords, minSimilarity: config.moveMinSimilarity })
+      : textDiff;
+    const groupedParts = DIFF_MODES[diffMode].groupReplacements ? groupReplacements(movedParts) : movedParts;
+    const pageStarts = {
+      left: findPageStarts(texts.left, leftResult.payload),
+      right: findPageStarts(texts.right, rightResult.payload)
+    };
+    const diffParts = annotatePages(groupedParts, pageStarts);
+    const summary = {
+      ...summarizeDiff(diffParts, diffMode),
+      normalization: NORMALIZATION_OPTIONS.filter((name) => normalization?.[name]),
+      ignoredMatches: { left: ignored.left.length, right: ignored.right.length },
+      strippedLineCount: {
+        left: stripping.left?.stripped.reduce((sum, entry) => sum + entry.removed, 0) ?? 0,
+        right: stripping.right?.stripped.reduce((sum, entry) => sum + entry.removed, 0) ?? 0
+      }
+    };
+
+    const structuredValidation = structuredOutput && {
+      left: validateStructuredOutput(leftResult.structuredOutput, structuredOutput.schema),
+      right: validateStructuredOutput(rightResult.structuredOutput, structuredOutput.schema)
+    };
+    const structuredDiff = annotateChanges(
+      leftResult.structuredOutput && rightResult.structuredOutput
+        ? diffStructured(leftResult.structuredOutput, rightResult.structuredOutput, structuredOutput)
+        : [],
+      structuredValidation
+    );
+
+    const sections = buildSectionDiff(texts, diffMode, normalization, masked);
+    const rules = mergePolicies(configuredPolicy, policy);
+    const policyResult = rules.rules.length
+      ? evaluatePolicy(rules, { structuredChanges: structuredDiff, diffParts, sections: sections.items })
+      : null;
+
+    const insightsInput = buildInsightsInput({
+      leftName: leftFile.originalname,
+      rightName: rightFile.originalname,
+      summary,
+      diffParts,
+      structuredDiff
+    });
+
+    onProgress({ stage: "diff", status: "done", totalParts: diffParts.length });
 
-        if (!leftFile || !rightFile) {
-          return res.status(400).json({ error: "Please upload both documents." });
+    onStage("insights");
+    onProgress({ stage: "insights", status: "started" });
+    const insights = await generateInsightsCached(insightsInput, diffParts);
+    onProgress({ stage: "insights", status: "done", enabled: insights.enabled });
+
+    const result = {
+      id,
+      summary: {
+        ...summary,
+        cacheHits: {
+          left: leftResult.cacheHit,
+          right: rightResult.cacheHit
         }
+      },
+      inlineHtml: renderInlineDiff(diffParts, diffMode),
+      sideBySideHtml: renderSideBySide(diffParts, diffMode),
+      extracted: texts,
+      ignoredRanges: ignored,
+      strippedLines: {
+        left: stripping.left?.stripped ?? [],
+        right: stripping.right?.stripped ?? []
+      },
+      sections,
+      tables: tables && {
+        summary: tables.summary,
+        items: tables.items.map((table) => ({ ...table, html: buildTableDiffHtml(table) }))
+      },
+      pages: {
+        count: { left: pageStarts.left.length, right: pageStarts.right.length },
+        summary: summarizePages(diffParts, pageStarts),
+        changes: listPageChanges(diffParts).slice(0, 500)
+      },
+      policy: policyResult,
+      insights,
+      structuredOutput: {
+        left: leftResult.structuredOutput || null,
+        right: rightResult.structuredOutput || null
+      },
+      structuredValidation,
+      structuredDiff: {
+        total: structuredDiff.length,
+        formatOnly: structuredDiff.filter((change) => change.formatOnly).length,
+        changes: structuredDiff.slice(0, 200)
+      }
+    };
+
+    const record = {
+      id,
+      createdAt: new Date().toISOString(),
+      leftName: leftFile.originalname,
+      rightName: rightFile.originalname,
+      leftHash: leftResult.fileHash,
+      rightHash: rightResult.fileHash,
+      diffMode,
+      summary: result.summary,
+      diffParts,
+      structuredDiff,
+      insights,
+      result
+    };
+    await saveComparison(record);
+
+    return record;
+  };
+
+  const runVersionChain = async ({ files, diffMode }) => {
+    logDebug("Starting version chain comparison", {
+      versions: files.map((file) => file.originalname),
+      diffMode
+    });
+
+    const extracted = await Promise.all(
+      files.map((file) => extractDocumentCached(file, null, isLargeFile(file)))
+    );
+    const texts = extracted.map((result) => result.text);
+    const versions = files.map((file, index) => ({
+      index,
+      label: `v${index + 1}`,
+      name: file.originalname,
+      fileHash: extracted[index].fileHash,
+      cacheHit: extracted[index].cacheHit
+    }));
+
+    const describeDiff = (from, to, diffParts) => ({
+      from,
+      to,
+      summary: summarizeDiff(diffParts, diffMode),
+      inlineHtml: renderInlineDiff(diffParts, diffMode),
+      sideBySideHtml: renderSideBySide(diffParts, diffMode)
+    });
+
+    const stepParts = texts.slice(1).map((text, i) => diffTexts(texts[i], text, diffMode));
+    const lastVersion = texts.length - 1;
+    const overallDiff = diffTexts(texts[0], texts[lastVersion], diffMode);
+    const overallParts = attributeDiffParts(
+      overallDiff,
+      attributeVersionChain(texts, stepParts),
+      { byLine: diffMode === "lines", lastVersion }
+    ).map((part) => {
+      if (part.version === undefined) return part;
+      const version = versions[part.version];
+      return { ...part, note: `${part.added ? "Added" : "Removed"} in ${version.label} (${version.name})` };
+    });
+
+    const attribution = versions.slice(1).map((version) => {
+      const parts = overallParts.filter((part) => part.version === version.index);
+      const { additions, removals } = summarizeDiff(parts, diffMode);
+      return { version: version.index, label: version.label, name: version.name, additions, removals };
+    });
+
+    return {
+      diffMode,
+      versions,
+      extracted: texts,
+      steps: stepParts.map((diffParts, i) => describeDiff(i, i + 1, diffParts)),
+      overall: {
+        ...describeDiff(0, lastVersion, overallParts),
+        summary: summarizeDiff(overallDiff, diffMode),
+        attribution
+      }
+    };
+  };
+
+  const buildThreeWayHtml = (regions, names) => {
+    const change = (value, className) => (value ? `<span class="${className}">${escapeHtml(value)}</span>` : "");
+    const label = (text) => `<span class="merge-label">${escapeHtml(text)}</span>`;
+    return regions
+      .map((region) => {
+        if (region.type === "unchanged") return `<span>${escapeHtml(region.base)}</span>`;
+        if (region.type === "conflicting") {
+          return `<span class="merge-region merge-conflicting" title="Conflict between ${escapeHtml(
+            names.left
+          )} and ${escapeHtml(names.right)}">${change(region.base, "diff-removed")}${label("A")}${change(
+            region.left,
+            "diff-added"
+          )}${label("B")}${change(region.right, "diff-added")}</span>`;
+        }
+        const title = {
+          "changed-left-only": `Changed in ${names.left}`,
+          "changed-right-only": `Changed in ${names.right}`,
+          "changed-both": "Same change on both sides"
+        }[region.type];
+        const value = region.type === "changed-right-only" ? region.right : region.left;
+        return `<span class="merge-region merge-${region.type}" title="${escapeHtml(title)}">${change(
+          region.base,
+          "diff-removed"
+        )}${change(value, "diff-added")}</span>`;
+      })
+      .join("");
+  };
+
+  const runThreeWayComparison = async ({ baseFile, leftFile, rightFile, diffMode, structuredOutput }) => {
+    logDebug("Starting three-way comparison", {
+      base: baseFile.originalname,
+      left: leftFile.originalname,
+      right: rightFile.originalname,
+      diffMode,
+      structured: Boolean(structuredOutput)
+    });
+
+    const [baseResult, leftResult, rightResult] = await Promise.all(
+      [baseFile, leftFile, rightFile].map((file) =>
+        extractDocumentCached(file, structuredOutput, isLargeFile(file))
+      )
+    );
+
+    const regions = mergeThreeWay(
+      baseResult.text,
+      diffTexts(baseResult.text, leftResult.text, diffMode),
+      diffTexts(baseResult.text, rightResult.text, diffMode)
+    );
+    const names = {
+      base: baseFile.originalname,
+      left: leftFile.originalname,
+      right: rightFile.originalname
+    };
+
+    const structuredChanges =
+      baseResult.structuredOutput && leftResult.structuredOutput && rightResult.structuredOutput
+        ? classifyStructuredThreeWay({
+            left: leftResult.structuredOutput,
+            right: rightResult.structuredOutput,
+            leftChanges: diffStructured(baseResult.structuredOutput, leftResult.structuredOutput, structuredOutput),
+            rightChanges: diffStructured(baseResult.structuredOutput, rightResult.structuredOutput, structuredOutput)
+          })
+        : [];
+
+    return {
+      diffMode,
+      names,
+      summary: countThreeWayTypes(regions),
+      regions,
+      inlineHtml: buildThreeWayHtml(regions, names),
+      extracted: {
+        base: baseResult.text,
+        left: leftResult.text,
+        right: rightResult.text
+      },
+      structuredOutput: {
+        base: baseResult.structuredOutput || null,
+        left: leftResult.structuredOutput || null,
+        right: rightResult.structuredOutput || null
+      },
+      structuredDiff: {
+        total: structuredChanges.length,
+        summary: countThreeWayTypes(structuredChanges),
+        changes: structuredChanges
+      }
+    };
+  };
+
+  const comparisonJobs = new Map();
+
+  const isJobFinished = (job) => job.state === "done" || job.state === "failed";
+
+  const pruneComparisonJobs = () => {
+    const cutoff = Date.now() - config.comparisonJobTtlMs;
+    for (const [id, job] of comparisonJobs) {
+      if (isJobFinished(job) && job.updatedAt < cutoff) comparisonJobs.delete(id);
+    }
+  };
+
+  const emitJobEvent = (job, type, data) => {
+    const event = { id: job.events.length + 1, type, data };
+    job.events.push(event);
+    for (const listener of job.listeners) listener(event);
+  };
+
+  const setJobState = (job, state, extra = {}) => {
+    Object.assign(job, extra, { state, updatedAt: Date.now() });
+    logDebug("Comparison job state", { id: job.id, state });
+    emitJobEvent(job, "state", {
+      state,
+      ...(state === "failed" ? { error: job.error, status: job.status } : {})
+    });
+  };
 
-        const diffMode = (req.body?.diff_mode || "words").toString().toLowerCase();
-        const structuredOutput = parseStructuredOutput(req);
-
-        const useAsyncLeft = isLargeFile(leftFile);
-        const useAsyncRight = isLargeFile(rightFile);
-
-        logDebug("Starting comparison", {
-          left: leftFile.originalname,
-          right: rightFile.originalname,
-          diffMode,
-          structured: Boolean(structuredOutput),
-          extractionMode: {
-            left: useAsyncLeft ? "async" : "sync",
-            right: useAsyncRight ? "async" : "sync"
-          },
-          largeDetected: { left: useAsyncLeft, right: useAsyncRight }
+  const startComparisonJob = (params) => {
+    pruneComparisonJobs();
+    const now = Date.now();
+    const job = {
+      id: crypto.randomUUID(),
+      state: "queued",
+      createdAt: now,
+      updatedAt: now,
+      result: null,
+      error: null,
+      status: null,
+      events: [],
+      listeners: new Set()
+    };
+    comparisonJobs.set(job.id, job);
+    emitJobEvent(job, "state", { state: job.state });
+
+    setImmediate(() => {
+      runComparison(params, {
+        id: job.id,
+        onStage: (stage) => setJobState(job, stage),
+        onProgress: (event) => emitJobEvent(job, "progress", event)
+      })
+        .then((record) => setJobState(job, "done", { result: record.result, record }))
+        .catch((error) => {
+          const status =
+            error instanceof HttpError && typeof error.status === "number" ? error.status : 500;
+          logDebug("Comparison job failed", { id: job.id, message: error?.message });
+          setJobState(job, "failed", {
+            error: error?.message || "Unexpected error occurred",
+            status
+          });
         });
+    });
+
+    return job;
+  };
+
+  const serializeJob = (job) => ({
+    id: job.id,
+    state: job.state,
+    createdAt: new Date(job.createdAt).toISOString(),
+    updatedAt: new Date(job.updatedAt).toISOString(),
+    ...(job.state === "done" ? { result: job.result } : {}),
+    ...(job.state === "failed" ? { error: job.error, status: job.status } : {})
+  });
+
+  const sendError = (res, error) => {
+    const message = error?.message || "Unexpected error occurred";
+    logDebug("Comparison failed", message);
+    const status = error instanceof HttpError && typeof error.status === "number" ? error.status : 500;
+    res.status(status).json({ error: message });
+  };
+
+  const comparisonUpload = upload.fields([
+    { name: "left", maxCount: 1 },
+    { name: "right", maxCount: 1 }
+  ]);
+
+  app.post("/api/compare", comparisonUpload, async (req, res) => {
+    try {
+      const params = await resolveIgnoreRuleSets(parseComparisonRequest(req));
+      const record = await runComparison(params);
+      if (params.output === "patch") {
+        res.set("X-Comparison-Id", record.id);
+        if (record.result.policy) res.set("X-Policy-Verdict", record.result.policy.verdict);
+        return res.type("text/x-diff; charset=utf-8").send(renderPatch(record, params.context));
+      }
+      res.json(record.result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.post("/api/compare/versions", upload.array("versions", config.maxVersions), async (req, res) => {
+    try {
+      const files = req.files || [];
+      if (files.length < 2) {
+        throw new HttpError(400, "Please upload at least two versions.");
+      }
+
+      res.json(await runVersionChain({ files, diffMode: parseDiffMode(req) }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  const threeWayUpload = upload.fields([
+    { name: "base", maxCount: 1 },
+    { name: "left", maxCount: 1 },
+    { name: "right", maxCount: 1 }
+  ]);
+
+  // Request fields /api/compare applies that the three-way merge does not, so
+  // sending one is rejected instead of being ignored.
+  const unsupportedThreeWayFields = (params) => {
+    const normalization = NORMALIZATION_OPTIONS.map((name) => [NORMALIZATION_FIELDS[name], params.normalization[name]]);
+    const used = {
+      ...Object.fromEntries(normalization),
+      strip_headers_footers: params.stripHeadersFooters,
+      table_diff: params.tableDiff,
+      table_key: Boolean(params.tableKey),
+      ignore_rules: params.ignoreRules.length > 0,
+      ignore_rule_sets: params.ignoreRuleSets.length > 0,
+      policy_rules: Boolean(params.policy),
+      output: params.output !== "json"
+    };
+    return Object.keys(used).filter((field) => used[field]);
+  };
+
+  app.post("/api/compare/three-way", threeWayUpload, async (req, res) => {
+    try {
+      const baseFile = req.files?.base?.[0];
+      if (!baseFile) {
+        throw new HttpError(400, "Please upload the base document.");
+      }
+      const params = parseComparisonRequest(req);
+      const unsupported = unsupportedThreeWayFields(params);
+      if (unsupported.length) {
+        throw new HttpError(400, `Three-way comparisons do not support ${unsupported.join(", ")}.`);
+      }
+      res.json(await runThreeWayComparison({ ...params, baseFile }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get("/api/ignore-rule-sets", async (req, res) => {
+    try {
+      res.json({ items: await ignoreRuleStore.list() });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get("/api/ignore-rule-sets/:name", async (req, res) => {
+    try {
+      const ruleSet = await ignoreRuleStore.get(req.params.name);
+      if (!ruleSet) {
+        return res.status(404).json({ error: "Ignore rule set not found." });
+      }
+      res.json(ruleSet);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.put("/api/ignore-rule-sets/:name", express.json({ limit: "100kb" }), async (req, res) => {
+    try {
+      if (!RULE_SET_NAME_RE.test(req.params.name)) {
+        throw new HttpError(400, "Rule set names may only contain letters, numbers, - and _ (up to 64 characters).");
+      }
+      let rules;
+      try {
+        rules = parseIgnoreRules(req.body?.rules);
+      } catch (error) {
+        throw new HttpError(400, error.message);
+      }
+      if (!rules.length) {
+        throw new HttpError(400, "A rule set needs at least one rule.");
+      }
+      res.json(await ignoreRuleStore.save(req.params.name, rules));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.delete("/api/ignore-rule-sets/:name", async (req, res) => {
+    try {
+      const removed = await ignoreRuleStore.remove(req.params.name);
+      if (!removed) {
+        return res.status(404).json({ error: "Ignore rule set not found." });
+      }
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.post("/api/comparisons", comparisonUpload, async (req, res) => {
+    try {
+      const job = startComparisonJob(await resolveIgnoreRuleSets(parseComparisonRequest(req)));
+      res.status(202).location(`/api/comparisons/${job.id}`).json(serializeJob(job));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  const parsePositiveInt = (value, fallback, max = Infinity) => {
+    const parsed = Number.parseInt(String(value ?? ""), 10);
+    if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+    return Math.min(parsed, max);
+  };
+
+  app.get("/api/comparisons", async (req, res) => {
+    if (!comparisonStore) {
+      return res.status(404).json({ error: "Comparison history is disabled." });
+    }
+    try {
+      const page = parsePositiveInt(req.query.page, 1);
+      const pageSize = parsePositiveInt(req.query.page_size, 20, 100);
+      res.json(await comparisonStore.list({ page, pageSize, q: req.query.q || "" }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get("/api/comparisons/:id", async (req, res) => {
+    const job = comparisonJobs.get(req.params.id);
+    if (job) {
+      return res.json(serializeJob(job));
+    }
+
+    const record = await comparisonStore?.get(req.params.id);
+    if (!record) {
+      return res.status(404).json({ error: "Comparison not found." });
+    }
+    res.json({
+      id: record.id,
+      state: "done",
+      createdAt: record.createdAt,
+      updatedAt: record.createdAt,
+      result: record.result
+    });
+  });
+
+  const reportBuilder = createReportBuilder({ escapeHtml, renderInlineDiff });
+
+  const loadComparisonRecord = async (id) => {
+    const job = comparisonJobs.get(id);
+    if (job?.record) return job.record;
+    return (await comparisonStore?.get(id)) || null;
+  };
 
-        const [leftResult, rightResult] = await Promise.all([
-          extractDocument(leftFile, structuredOutput, useAsyncLeft),
-          extractDocument(rightFile, structuredOutput, useAsyncRight)
-        ]);
-
-        const diffParts =
-          diffMode === "lines"
-            ? diffLines(leftResult.text, rightResult.text)
-            : diffWordsWithSpace(leftResult.text, rightResult.text);
-
-        const sideBySide =
-          diffMode === "lines" ? buildLineSideBySide(diffParts) : buildSideBySide(diffParts);
-
-        const additions =
-          diffMode === "lines"
-            ? diffParts.filter((part) => part.added).reduce((total, part) => total + countLogicalLines(part.value), 0)
-            : diffParts.filter((part) => part.added).reduce((total, part) => total + countWords(part.value), 0);
-        const removals =
-          diffMode === "lines"
-            ? diffParts.filter((part) => part.removed).reduce((total, part) => total + countLogicalLines(part.value), 0)
-            : diffParts.filter((part) => part.removed).reduce((total, part) => total + countWords(part.value), 0);
-
-        const structuredDiff =
-          leftResult.structuredOutput && rightResult.structuredOutput
-            ? diffStructured(leftResult.structuredOutput, rightResult.structuredOutput)
-            : [];
-
-        const insightsInput = buildInsightsInput({
-          leftName: leftFile.originalname,
-          rightName: rightFile.originalname,
-          summary: {
-            additions,
-            removals,
-            totalParts: diffParts.length,
-            diffMode,
-            unit: diffMode === "lines" ? "lines" : "words"
-          },
+  app.get("/api/comparisons/:id/report", async (req, res) => {
+    try {
+      const format = (req.query.format || "html").toString().toLowerCase();
+      if (format !== "html" && format !== "pdf") {
+        throw new HttpError(400, "Report format must be html or pdf.");
+      }
+
+      const record = await loadComparisonRecord(req.params.id);
+      if (!record) {
+        throw new HttpError(404, "Comparison not found.");
+      }
+
+      const filename = `comparison-${record.id}.${format}`;
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      if (format === "pdf") {
+        const { pdf, warning } = reportBuilder.renderPdf(record);
+        if (warning) {
+          logDebug("PDF report warning", { id: record.id, warning });
+          res.set("X-Report-Warning", warning);
+        }
+        return res.type("application/pdf").send(pdf);
+      }
+      res.type("html").send(reportBuilder.renderHtml(record));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get("/api/comparisons/:id/structured-diff", async (req, res) => {
+    try {
+      const format = (req.query.format || "csv").toString().toLowerCase();
+      if (format !== "csv" && format !== "xlsx") {
+        throw new HttpError(400, "Export format must be csv or xlsx.");
+      }
+      const citations = (req.query.citations || (format === "xlsx" ? "sheet" : "exclude")).toString().toLowerCase();
+      if (!["sheet", "exclude", "include"].includes(citations)) {
+        throw new HttpError(400, "citations must be sheet, exclude or include.");
+      }
+      if (citations === "sheet" && format === "csv") {
+        throw new HttpError(400, "CSV exports cannot hold a separate citations sheet; use exclude or include.");
+      }
+
+      const record = await loadComparisonRecord(req.params.id);
+      if (!record) {
+        throw new HttpError(404, "Comparison not found.");
+      }
+
+      const changes = Array.isArray(record.structuredDiff) ? record.structuredDiff : [];
+      const { fields, citations: citationChanges } = splitStructuredChanges(changes);
+      const rows = citations === "include" ? changes : fields;
+
+      const filename = `comparison-${record.id}-structured.${format}`;
+      res.set("Content-Disposition", `attachment; filename="${filename}"`);
+      if (format === "xlsx") {
+        return res
+          .type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet")
+          .send(structuredChangesToXlsx({ fields: rows, citations: citations === "sheet" ? citationChanges : null }));
+      }
+      res.type("text/csv; charset=utf-8").send(structuredChangesToCsv(rows));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  // Regenerates insights for a finished comparison (by id, without extracting
+  // again) or for a posted `buildInsightsInput` object.
+  app.post("/api/insights", express.json({ limit: "2mb" }), async (req, res) => {
+    try {
+      const { comparisonId, input, refresh = false } = req.body || {};
+      if (typeof refresh !== "boolean") throw new HttpError(400, "refresh must be true or false.");
+
+      let record = null;
+      let insightsInput;
+      let diffParts;
+      if (comparisonId !== undefined) {
+        record = await loadComparisonRecord(String(comparisonId));
+        if (!record) throw new HttpError(404, "Comparison not found.");
+        diffParts = Array.isArray(record.diffParts) ? record.diffParts : [];
+        insightsInput = buildInsightsInput({
+          leftName: record.leftName,
+          rightName: record.rightName,
+          summary: record.summary,
           diffParts,
-          structuredDiff
+          structuredDiff: record.structuredDiff
         });
+      } else if (input !== undefined) {
+        const problem = insightsInputError(input);
+        if (problem) throw new HttpError(400, `Invalid insights input: ${problem}`);
+        insightsInput = input;
+        diffParts = diffPartsFromExcerpts(input.excerpts);
+      } else {
+        throw new HttpError(400, "Send a comparisonId or an insights input object with meta and excerpts.");
+      }
 
-        const insights = await generateInsightsWithOpenAI(insightsInput);
-
-        res.json({
-          summary: {
-            additions,
-            removals,
-            totalParts: diffParts.length,
-            diffMode,
-            unit: diffMode === "lines" ? "lines" : "words"
-          },
-          inlineHtml: diffMode === "lines" ? buildLineInline(diffParts) : buildDiffHtml(diffParts),
-          sideBySideHtml: sideBySide,
-          extracted: {
-            left: leftResult.text,
-            right: rightResult.text
-          },
-          insights,
-          structuredOutput: {
-            left: leftResult.structuredOutput || null,
-            right: rightResult.structuredOutput || null
-          },
-          structuredDiff: {
-            total: structuredDiff.length,
-            changes: structuredDiff.slice(0, 200)
-          }
-        });
-      } catch (error) {
-        const message = error?.message || "Unexpected error occurred";
-        logDebug("Comparison failed", message);
-        const status = error instanceof HttpError && typeof error.status === "number" ? error.status : 500;
-        res.status(status).json({ error: message });
+      const insights = await generateInsightsCached(insightsInput, diffParts, { refresh });
+      if (record) {
+        record.insights = insights;
+        if (record.result) record.result.insights = insights;
+        await saveComparison(record);
       }
+      res.json(insights);
+    } catch (error) {
+      sendError(res, error);
     }
-  );
+  });
+
+  app.delete("/api/comparisons/:id", async (req, res) => {
+    const job = comparisonJobs.get(req.params.id);
+    if (job && !isJobFinished(job)) {
+      return res.status(409).json({ error: "Comparison is still running." });
+    }
+
+    try {
+      const removed = comparisonStore ? await comparisonStore.remove(req.params.id) : false;
+      if (!removed && !job) {
+        return res.status(404).json({ error: "Comparison not found." });
+      }
+      comparisonJobs.delete(req.params.id);
+      res.status(204).end();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  app.get("/api/comparisons/:id/events", (req, res) => {
+    const job = comparisonJobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Comparison not found." });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+
+    let heartbeat = null;
+    let closed = false;
+    const close = () => {
+      if (closed) return;
+      closed = true;
+      clearInterval(heartbeat);
+      job.listeners.delete(send);
+      res.end();
+    };
+    const write = (event) =>
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+    const send = (event) => {
+      write(event);
+      if (event.type === "state" && isJobFinished(job)) close();
+    };
+
+    const lastEventId = Number(req.get("Last-Event-ID") || 0);
+    for (const event of job.events) {
+      if (event.id > lastEventId) write(event);
+    }
+    if (isJobFinished(job)) return close();
+
+    job.listeners.add(send);
+    heartbeat = setInterval(() => res.write(": keep-alive\n\n"), config.sseHeartbeatMs);
+    req.on("close", close);
+  });
 
   app.use((error, _req, res, next) => {
     if (!error) return next();
@@ -833,6 +1926,12 @@ export const createApp = (overrides = {}) => {
           error: `File too large. Max upload size is ${maxMb}MB per file (configure via PULSE_MAX_UPLOAD_MB).`
         });
       }
+      // upload.array("versions") stops reading files past config.maxVersions.
+      if (error.code === "LIMIT_UNEXPECTED_FILE" && error.field === "versions") {
+        return res.status(400).json({
+          error: `Too many versions. Upload at most ${config.maxVersions} (configure via MAX_COMPARISON_VERSIONS).`
+        });
+      }
       if (error.code === "LIMIT_UNEXPECTED_FILE") {
         return res.status(400).json({ error: "Unexpected file field. Please upload both documents." });
       }
@@ -842,6 +1941,9 @@ export const createApp = (overrides = {}) => {
     if (error instanceof HttpError && typeof error.status === "number") {
       return res.status(error.status).json({ error: error.message || "Request failed." });
     }
+    if (error?.type === "entity.parse.failed") {
+      return res.status(400).json({ error: "Request body must be valid JSON." });
+    }
 
     return res.status(500).json({ error: error?.message || "Unexpected error occurred" });
   });
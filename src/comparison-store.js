@@ -0,0 +1,129 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+const ID_RE = /^[a-zA-Z0-9-]{1,64}$/;
+
+const toIndexEntry = (record) => ({
+  id: record.id,
+  createdAt: record.createdAt,
+  leftName: record.leftName,
+  rightName: record.rightName,
+  leftHash: record.leftHash,
+  rightHash: record.rightHash,
+  diffMode: record.diffMode,
+  summary: record.summary
+});
+
+export const createComparisonStore = ({ dir, retentionMs, logDebug = () => {} }) => {
+  const indexPath = path.join(dir, "index.json");
+  const recordPath = (id) => path.join(dir, `${id}.json`);
+
+  let index = null;
+  let queue = Promise.resolve();
+
+  // All index reads/writes go through one queue so concurrent saves don't clobber each other.
+  const serialize = (task) => {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const writeFileAtomic = async (filePath, body) => {
+    await fs.mkdir(dir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmpPath, body);
+    await fs.rename(tmpPath, filePath);
+  };
+
+  const loadIndex = async () => {
+    if (index) return index;
+    try {
+      const parsed = JSON.parse(await fs.readFile(indexPath, "utf8"));
+      index = Array.isArray(parsed) ? parsed : [];
+    } catch {
+      index = [];
+    }
+    return index;
+  };
+
+  const saveIndex = () => writeFileAtomic(indexPath, JSON.stringify(index));
+
+  const purgeExpiredLocked = async () => {
+    await loadIndex();
+    if (!retentionMs) return 0;
+    const cutoff = Date.now() - retentionMs;
+    const expired = index.filter((entry) => Date.parse(entry.createdAt) < cutoff);
+    if (!expired.length) return 0;
+
+    for (const entry of expired) {
+      await fs.rm(recordPath(entry.id), { force: true });
+    }
+    const expiredIds = new Set(expired.map((entry) => entry.id));
+    index = index.filter((entry) => !expiredIds.has(entry.id));
+    await saveIndex();
+    logDebug("Purged expired comparisons", { count: expired.length });
+    return expired.length;
+  };
+
+  const save = (record) =>
+    serialize(async () => {
+      if (!ID_RE.test(record.id)) throw new Error("Invalid comparison id.");
+      await loadIndex();
+      await writeFileAtomic(recordPath(record.id), JSON.stringify(record));
+      // Re-saving an existing comparison (e.g. regenerated insights) keeps its place.
+      const position = index.findIndex((entry) => entry.id === record.id);
+      if (position === -1) index = [toIndexEntry(record), ...index];
+      else index[position] = toIndexEntry(record);
+      await saveIndex();
+      await purgeExpiredLocked();
+      return record;
+    });
+
+  const get = async (id) => {
+    if (!ID_RE.test(String(id || ""))) return null;
+    try {
+      const record = JSON.parse(await fs.readFile(recordPath(id), "utf8"));
+      if (retentionMs && Date.parse(record.createdAt) < Date.now() - retentionMs) return null;
+      return record;
+    } catch {
+      return null;
+    }
+  };
+
+  const list = ({ page = 1, pageSize = 20, q = "" } = {}) =>
+    serialize(async () => {
+      await purgeExpiredLocked();
+      const needle = String(q || "").trim().toLowerCase();
+      const matches = needle
+        ? index.filter((entry) =>
+            [entry.id, entry.leftName, entry.rightName, entry.leftHash, entry.rightHash]
+              .filter(Boolean)
+              .some((value) => String(value).toLowerCase().includes(needle))
+          )
+        : index;
+      const start = (page - 1) * pageSize;
+      return {
+        items: matches.slice(start, start + pageSize),
+        total: matches.length,
+        page,
+        pageSize
+      };
+    });
+
+  const remove = (id) =>
+    serialize(async () => {
+      if (!ID_RE.test(String(id || ""))) return false;
+      await loadIndex();
+      const exists = index.some((entry) => entry.id === id);
+      await fs.rm(recordPath(id), { force: true });
+      if (!exists) return false;
+      index = index.filter((entry) => entry.id !== id);
+      await saveIndex();
+      return true;
+    });
+
+  const purgeExpired = () => serialize(purgeExpiredLocked);
+
+  return { save, get, list, remove, purgeExpired };
+};
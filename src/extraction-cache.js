@@ -0,0 +1,100 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const hashBuffer = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+export const createExtractionCache = ({ dir, maxBytes, ttlMs, logDebug = () => {} }) => {
+  const entryPath = (key) => path.join(dir, `${key}.json`);
+
+  const buildKey = (fileHash, structuredOutput) =>
+    crypto
+      .createHash("sha256")
+      .update(
+        JSON.stringify({
+          file: fileHash,
+          schema: structuredOutput?.schema ?? null,
+          prompt: structuredOutput?.schemaPrompt ?? null
+        })
+      )
+      .digest("hex");
+
+  const remove = async (key) => {
+    await fs.rm(entryPath(key), { force: true });
+  };
+
+  const get = async (key) => {
+    let raw;
+    try {
+      raw = await fs.readFile(entryPath(key), "utf8");
+    } catch {
+      return null;
+    }
+
+    let entry;
+    try {
+      entry = JSON.parse(raw);
+    } catch {
+      await remove(key);
+      return null;
+    }
+
+    if (typeof entry?.createdAt !== "number" || Date.now() - entry.createdAt > ttlMs) {
+      logDebug("Extraction cache entry expired", { key });
+      await remove(key);
+      return null;
+    }
+
+    // mtime doubles as the last-access time for LRU eviction.
+    const now = new Date();
+    await fs.utimes(entryPath(key), now, now).catch(() => {});
+    return entry.value ?? null;
+  };
+
+  const prune = async () => {
+    let names;
+    try {
+      names = await fs.readdir(dir);
+    } catch {
+      return;
+    }
+
+    const entries = [];
+    for (const name of names) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const stat = await fs.stat(path.join(dir, name));
+        entries.push({ name, size: stat.size, lastAccess: stat.mtimeMs });
+      } catch {
+        // Removed by a concurrent prune.
+      }
+    }
+
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    if (total <= maxBytes) return;
+
+    entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      await fs.rm(path.join(dir, entry.name), { force: true });
+      total -= entry.size;
+      logDebug("Evicted extraction cache entry", { name: entry.name, size: entry.size });
+    }
+  };
+
+  const set = async (key, value) => {
+    const body = JSON.stringify({ createdAt: Date.now(), value });
+    if (Buffer.byteLength(body) > maxBytes) {
+      logDebug("Extraction result too large to cache", { key });
+      return;
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    const tmpPath = `${entryPath(key)}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmpPath, body);
+    await fs.rename(tmpPath, entryPath(key));
+    await prune();
+  };
+
+  return { buildKey, get, set, remove, prune };
+};
@@ -0,0 +1,278 @@
+import { parseDate, parseNumber } from "./value-compare.js";
+
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)[a-z]*\\.?";
+const MAX_ITEMS = 6;
+
+// Entity detectors: `re` finds candidates, `pick` returns the value to report.
+const DETECTORS = [
+  {
+    kind: "money",
+    re: /(?:[$€£¥₹]\s?\d[\d,.]*\d|[$€£¥₹]\s?\d|\b(?:USD|EUR|GBP|CHF|CAD|AUD|JPY)\s?\d[\d,.]*|\b\d[\d,.]*\s?(?:USD|EUR|GBP|CHF|CAD|AUD|JPY|dollars|euros|pounds)\b)/gi
+  },
+  { kind: "percentages", re: /\b\d+(?:[.,]\d+)?\s?(?:%|percent\b)/gi },
+  {
+    kind: "dates",
+    re: new RegExp(
+      `\\b(?:\\d{4}-\\d{2}-\\d{2}|\\d{1,2}[/.]\\d{1,2}[/.]\\d{2,4}|${MONTH}\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+${MONTH},?\\s+\\d{4})\\b`,
+      "gi"
+    )
+  },
+  { kind: "emails", re: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g },
+  { kind: "urls", re: /\bhttps?:\/\/[^\s<>()"']+[^\s<>()"'.,;]|\bwww\.[^\s<>()"']+[^\s<>()"'.,;]/gi },
+  {
+    kind: "organizations",
+    re: /\b(?:[A-Z][\w&'-]*[ \t]+){0,4}[A-Z][\w&'-]*,?[ \t]+(?:Inc|LLC|Ltd|Limited|Corp|Corporation|GmbH|plc|PLC|LLP|AG|S\.A)\b\.?/g
+  },
+  {
+    kind: "people",
+    re: /\b(?:(?:Mr|Mrs|Ms|Dr|Prof)\.?[ \t]+([A-Z][a-z]+(?:[ \t]+[A-Z][a-z]+)*)|(?:Name|Signed|By|Attn|Attention|Contact)[ \t]*:[ \t]*([A-Z][a-z]+(?:[ \t]+[A-Z][a-z.]+){1,2}))/g,
+    pick: (match) => (match[1] ? match[0] : match[2])
+  },
+  {
+    kind: "headings",
+    re: /^[ \t]{0,3}(?:#{1,6}[ \t]+(.+?)[ \t#]*|((?:section|article|clause|schedule)[ \t]+[\divx.]+\b.{0,60}))$/gim,
+    pick: (match) => (match[1] || match[2]).trim()
+  }
+];
+
+// Which `change_categories` entry each entity kind feeds.
+const CATEGORY_OF = {
+  money: "money",
+  percentages: "numbers",
+  dates: "dates",
+  emails: "links",
+  urls: "links",
+  organizations: "organizations",
+  people: "people",
+  headings: "sections"
+};
+
+const LABELS = {
+  money: ["Amount", "amounts"],
+  percentages: ["Percentage", "percentages"],
+  dates: ["Date", "dates"],
+  emails: ["Email", "email addresses"],
+  urls: ["Link", "links"],
+  organizations: ["Organization", "organizations"],
+  people: ["Person", "people"],
+  headings: ["Section", "sections"]
+};
+
+const CHECKS = {
+  money: "Reconcile every changed amount against the source documents and any totals that depend on it.",
+  numbers: "Confirm changed percentages and rates are intentional.",
+  dates: "Check new dates and deadlines against the agreed timeline.",
+  links: "Verify that new links and email addresses are correct and trusted.",
+  organizations: "Confirm the organizations named in the changes are the intended parties.",
+  people: "Confirm the people named in the changes (signatories, contacts) are current.",
+  sections: "Review added and removed sections in full, not just the highlighted words."
+};
+
+const RISK_TERMS = [
+  ["liability", /\bliabilit/i],
+  ["indemnity", /\bindemn/i],
+  ["termination", /\bterminat/i],
+  ["penalties", /\bpenalt/i],
+  ["warranties", /\bwarrant/i],
+  ["exclusivity", /\bexclusiv/i],
+  ["governing law", /\bgoverning law|\bjurisdiction/i],
+  ["confidentiality", /\bconfidential/i],
+  ["renewal", /\b(?:auto-?)?renew/i]
+];
+
+const PATH_HINTS = [
+  ["money", /amount|total|price|fee|tax|cost|balance|payment|salary|rate/i],
+  ["dates", /date|deadline|expir|effective|due|term_end/i],
+  ["links", /email|url|website|link/i],
+  ["people", /signatory|contact|person|author/i],
+  ["organizations", /vendor|customer|party|parties|company|supplier|client/i]
+];
+
+const collapse = (value) => String(value ?? "").replace(/\s+/g, " ").trim();
+const clip = (value, max = 120) => (value.length > max ? `${value.slice(0, max - 1)}…` : value);
+const formatValue = (value) => clip(typeof value === "string" ? collapse(value) : JSON.stringify(value ?? null), 60);
+
+const evidenceAround = (text, index, length) => {
+  const start = Math.max(0, index - 40);
+  const end = Math.min(text.length, index + length + 40);
+  return `${start ? "…" : ""}${collapse(text.slice(start, end))}${end < text.length ? "…" : ""}`;
+};
+
+// Word diffs split tokens such as "$1,200" into an unchanged "$1," and a
+// changed "200", so entities are matched in one side's full text and kept when
+// they overlap a changed (not moved) part on that side.
+const scanSide = (diffParts, side) => {
+  const other = side === "added" ? "removed" : "added";
+  const spans = [];
+  let text = "";
+  for (const part of diffParts) {
+    if (part[other]) continue;
+    const value = part.maskedValue ?? part.value ?? "";
+    if (part[side] && !part.move) spans.push([text.length, text.length + value.length]);
+    text += value;
+  }
+
+  const found = Object.fromEntries(DETECTORS.map(({ kind }) => [kind, []]));
+  if (!spans.length) return found;
+  const seen = new Set();
+  const overlapsChange = (start, end) => spans.some(([from, to]) => start < to && end > from);
+  for (const { kind, re, pick } of DETECTORS) {
+    for (const match of text.matchAll(re)) {
+      if (!overlapsChange(match.index, match.index + match[0].length)) continue;
+      const value = collapse(pick ? pick(match) : match[0]);
+      const key = value.toLowerCase();
+      if (!value || seen.has(`${kind}:${key}`)) continue;
+      seen.add(`${kind}:${key}`);
+      found[kind].push({ value, evidence: evidenceAround(text, match.index, match[0].length) });
+    }
+  }
+  return found;
+};
+
+const categorizeField = (change) => {
+  const values = [change.left, change.right].filter((value) => value !== null && value !== undefined);
+  if (values.some((value) => typeof value === "string" && parseDate(value).length)) return "dates";
+  if (values.some((value) => ["USD", "EUR", "GBP", "JPY", "INR"].includes(parseNumber(value)?.unit))) return "money";
+  const hint = PATH_HINTS.find(([, re]) => re.test(change.path));
+  return hint ? hint[0] : "other";
+};
+
+const listValues = (entries) => entries.slice(0, 3).map((entry) => entry.value).join(", ");
+
+// Builds insights in the same shape as the OpenAI response from the diff alone:
+// entities found in added/removed text (money, dates, percentages, emails, URLs,
+// names, section headings) and the structured field changes feed highlights,
+// categories and rule-based risks.
+export const generateHeuristicInsights = (insightsInput, diffParts = []) => {
+  const meta = insightsInput?.meta || {};
+  const unit = meta.unit || "words";
+  const textOf = (part) => part.maskedValue ?? part.value ?? "";
+  const changed = diffParts.filter((part) => (part.added || part.removed) && !part.move);
+  const addedTexts = changed.filter((part) => part.added).map(textOf);
+  const removedTexts = changed.filter((part) => part.removed).map(textOf);
+  const added = scanSide(diffParts, "added");
+  const removed = scanSide(diffParts, "removed");
+  const sample = insightsInput?.structured_diff_sample;
+  const fields = (Array.isArray(sample) ? sample : [])
+    .filter((change) => typeof change?.path === "string")
+    .map((change) => ({
+      ...change,
+      path: change.path.replace(/^values\./, ""),
+      category: categorizeField(change)
+    }));
+
+  const highlightsFor = (found, verb) =>
+    DETECTORS.flatMap(({ kind }) =>
+      found[kind].map((entry) => ({ title: `${LABELS[kind][0]} ${verb}: ${clip(entry.value, 60)}`, evidence: entry.evidence }))
+    );
+  const fallbackHighlights = (texts, verb) =>
+    texts
+      .map(collapse)
+      .filter((text) => text.length >= 4)
+      .slice(0, 3)
+      .map((text) => ({ title: `Text ${verb}`, evidence: clip(text) }));
+
+  const fieldHighlights = (types) =>
+    fields
+      .filter((field) => types.includes(field.type))
+      .map((field) => ({
+        title: `Field ${field.type}: ${field.path}`,
+        evidence:
+          field.type === "changed"
+            ? `${formatValue(field.left)} → ${formatValue(field.right)}`
+            : formatValue(field.type === "removed" ? field.left : field.right)
+      }));
+
+  const addedHighlights = [...fieldHighlights(["added", "changed", "moved", "modified"]), ...highlightsFor(added, "added")];
+  const removedHighlights = [...fieldHighlights(["removed"]), ...highlightsFor(removed, "removed")];
+
+  const categories = new Map();
+  const note = (category, text) => {
+    if (!categories.has(category)) categories.set(category, []);
+    categories.get(category).push(text);
+  };
+  DETECTORS.forEach(({ kind }) => {
+    const parts = [];
+    if (added[kind].length) parts.push(`added ${listValues(added[kind])}`);
+    if (removed[kind].length) parts.push(`removed ${listValues(removed[kind])}`);
+    if (parts.length) note(CATEGORY_OF[kind], `${LABELS[kind][1]} ${parts.join("; ")}`);
+  });
+  fields.forEach((field) => note(field.category, `field ${field.path} ${field.type}`));
+
+  const changeCategories = [...categories].map(([category, notes]) => ({
+    category,
+    summary: clip(`${notes.slice(0, 4).join("; ")}${notes.length > 4 ? `; and ${notes.length - 4} more` : ""}`, 240)
+  }));
+  if (!changeCategories.length && changed.length) {
+    changeCategories.push({ category: "other", summary: "Wording changes without detectable amounts, dates or names." });
+  }
+
+  const risks = [];
+  const fieldsIn = (category) => fields.filter((field) => field.category === category);
+  const moneyFields = fieldsIn("money").filter((field) => field.type === "changed" || field.type === "removed");
+  if ((added.money.length && removed.money.length) || moneyFields.length) {
+    const example = moneyFields.length
+      ? `${moneyFields[0].path}: ${formatValue(moneyFields[0].left)} → ${formatValue(moneyFields[0].right)}`
+      : `${removed.money[0].value} → ${added.money[0].value}`;
+    risks.push({ severity: "High", message: `Monetary amounts changed (${example}).` });
+  } else if (added.money.length || removed.money.length) {
+    risks.push({ severity: "Medium", message: `Monetary amounts ${added.money.length ? "added" : "removed"}.` });
+  }
+  if (removed.headings.length) {
+    risks.push({ severity: "High", message: `Section removed: ${listValues(removed.headings)}.` });
+  }
+  if (added.dates.length || removed.dates.length || fieldsIn("dates").length) {
+    risks.push({ severity: "Medium", message: "Dates or deadlines changed." });
+  }
+  if (added.percentages.length || removed.percentages.length) {
+    risks.push({ severity: "Medium", message: "Percentages or rates changed." });
+  }
+  const touched = RISK_TERMS.filter(([, re]) => [...addedTexts, ...removedTexts].some((text) => re.test(text)));
+  if (touched.length) {
+    risks.push({
+      severity: "Medium",
+      message: `Changes touch ${touched.map(([term]) => term).join(", ")} wording.`
+    });
+  }
+  const additions = Number(meta.additions || 0);
+  const removals = Number(meta.removals || 0);
+  if (removals >= 50 && removals > additions * 2) {
+    risks.push({ severity: "Medium", message: `Substantial content removed (${removals} ${unit}).` });
+  }
+  if (added.headings.length) risks.push({ severity: "Low", message: `New section: ${listValues(added.headings)}.` });
+  if (added.emails.length || added.urls.length || removed.emails.length || removed.urls.length) {
+    risks.push({ severity: "Low", message: "Contact details or links changed." });
+  }
+
+  const suggestedChecks = changeCategories.map(({ category }) => CHECKS[category]).filter(Boolean);
+  if (changed.length || fields.length) {
+    suggestedChecks.push("Skim the side-by-side view for edits the heuristics cannot classify.");
+  }
+
+  const summaryParts = [];
+  if (additions || removals) {
+    summaryParts.push(`${meta.right_name || "Document B"} adds ${additions} ${unit} and removes ${removals} ${unit}`);
+  }
+  if (meta.moved_blocks) summaryParts.push(`moves ${meta.moved_blocks} block${meta.moved_blocks === 1 ? "" : "s"}`);
+  if (meta.structured_changes) {
+    summaryParts.push(`changes ${meta.structured_changes} structured field${meta.structured_changes === 1 ? "" : "s"}`);
+  }
+  const categoryNames = changeCategories.map(({ category }) => category).filter((category) => category !== "other");
+  const overallSummary = summaryParts.length
+    ? `${summaryParts.join(", ")}.${categoryNames.length ? ` Changes involve ${categoryNames.join(", ")}.` : ""}`
+    : "No differences were found between the documents.";
+  const entityCount = DETECTORS.reduce((sum, { kind }) => sum + added[kind].length + removed[kind].length, 0);
+
+  return {
+    overall_summary: overallSummary.charAt(0).toUpperCase() + overallSummary.slice(1),
+    added_highlights: (addedHighlights.length ? addedHighlights : fallbackHighlights(addedTexts, "added")).slice(0, MAX_ITEMS),
+    removed_highlights: (removedHighlights.length ? removedHighlights : fallbackHighlights(removedTexts, "removed")).slice(
+      0,
+      MAX_ITEMS
+    ),
+    change_categories: changeCategories.slice(0, MAX_ITEMS),
+    risks: risks.slice(0, MAX_ITEMS),
+    suggested_checks: suggestedChecks.slice(0, MAX_ITEMS),
+    confidence: entityCount || fields.length ? "Medium" : "Low"
+  };
+};
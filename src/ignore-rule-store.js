@@ -0,0 +1,60 @@
+import crypto from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const RULE_SET_NAME_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export const createIgnoreRuleStore = ({ dir }) => {
+  const setPath = (name) => path.join(dir, `${name}.json`);
+
+  const writeFileAtomic = async (filePath, body) => {
+    await fs.mkdir(dir, { recursive: true });
+    const tmpPath = `${filePath}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tmpPath, body);
+    await fs.rename(tmpPath, filePath);
+  };
+
+  const get = async (name) => {
+    if (!RULE_SET_NAME_RE.test(String(name || ""))) return null;
+    try {
+      return JSON.parse(await fs.readFile(setPath(name), "utf8"));
+    } catch {
+      return null;
+    }
+  };
+
+  const list = async () => {
+    let files = [];
+    try {
+      files = await fs.readdir(dir);
+    } catch {
+      return [];
+    }
+    const names = files
+      .filter((file) => file.endsWith(".json"))
+      .map((file) => file.slice(0, -".json".length))
+      .filter((name) => RULE_SET_NAME_RE.test(name))
+      .sort();
+    const sets = await Promise.all(names.map(get));
+    return sets.filter(Boolean);
+  };
+
+  const save = async (name, rules) => {
+    if (!RULE_SET_NAME_RE.test(String(name || ""))) throw new Error("Invalid rule set name.");
+    const ruleSet = { name, rules, updatedAt: new Date().toISOString() };
+    await writeFileAtomic(setPath(name), JSON.stringify(ruleSet, null, 2));
+    return ruleSet;
+  };
+
+  const remove = async (name) => {
+    if (!RULE_SET_NAME_RE.test(String(name || ""))) return false;
+    try {
+      await fs.rm(setPath(name));
+      return true;
+    } catch {
+      return false;
+    }
+  };
+
+  return { get, list, save, remove };
+};
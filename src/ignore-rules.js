@@ -0,0 +1,69 @@
+import { compileSafeRegExp } from "./safe-regex.js";
+
+export const IGNORE_PLACEHOLDER = "\uE000";
+
+export const MAX_IGNORE_RULES = 50;
+const MAX_PATTERN_LENGTH = 500;
+const REGEX_FLAGS_RE = /^[imsu]*$/;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Accepts literal strings and `{ type: "literal" | "regex", pattern, flags }`
+// objects; returns the rules in the object form. Throws on anything invalid.
+export const parseIgnoreRules = (input) => {
+  if (input == null || input === "") return [];
+  if (!Array.isArray(input)) throw new Error("Ignore rules must be a JSON array.");
+  if (input.length > MAX_IGNORE_RULES) throw new Error(`At most ${MAX_IGNORE_RULES} ignore rules are allowed.`);
+
+  return input.map((rule, index) => {
+    const { type = "literal", pattern, flags = "" } = typeof rule === "string" ? { pattern: rule } : rule || {};
+    const label = `Ignore rule ${index + 1}`;
+    if (type !== "literal" && type !== "regex") throw new Error(`${label}: type must be literal or regex.`);
+    if (typeof pattern !== "string" || !pattern) throw new Error(`${label}: pattern must be a non-empty string.`);
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new Error(`${label}: pattern is longer than ${MAX_PATTERN_LENGTH} characters.`);
+    }
+    if (type === "literal") return { type, pattern };
+
+    if (typeof flags !== "string" || !REGEX_FLAGS_RE.test(flags)) {
+      throw new Error(`${label}: flags may only contain i, m, s and u.`);
+    }
+    try {
+      compileSafeRegExp(pattern, flags);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+    return { type, pattern, flags };
+  });
+};
+
+// Rules run on RE2 so a backtracking-prone regex stays linear-time.
+const toRegExp = (rule) =>
+  rule.type === "regex"
+    ? compileSafeRegExp(rule.pattern, rule.flags || "")
+    : compileSafeRegExp(escapeRegExp(rule.pattern));
+
+// Sorts [start, end) ranges and merges the ones that overlap or touch.
+export const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  }
+  return merged;
+};
+
+// Returns the sorted, merged [start, end) ranges of `text` matched by any rule.
+export const findIgnoredRanges = (text, rules) => {
+  const source = String(text ?? "");
+  const ranges = [];
+  for (const rule of rules || []) {
+    const re = toRegExp(rule);
+    for (const match of re.matchAll(source)) {
+      if (match[0].length) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+  return mergeRanges(ranges);
+};
@@ -0,0 +1,213 @@
+import { validateAgainstSchema } from "./schema-validation.js";
+
+const SCHEMA_NAME = "document_diff_insights";
+
+const highlightSchema = {
+  type: "array",
+  items: {
+    type: "object",
+    additionalProperties: false,
+    properties: { title: { type: "string" }, evidence: { type: "string" } },
+    required: ["title", "evidence"]
+  }
+};
+
+export const OPENAI_INSIGHTS_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    overall_summary: { type: "string" },
+    added_highlights: highlightSchema,
+    removed_highlights: highlightSchema,
+    change_categories: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          category: {
+            type: "string",
+            enum: ["numbers", "dates", "money", "links", "people", "organizations", "sections", "formatting", "other"]
+          },
+          summary: { type: "string" }
+        },
+        required: ["category", "summary"]
+      }
+    },
+    risks: {
+      type: "array",
+      items: {
+        type: "object",
+        additionalProperties: false,
+        properties: {
+          severity: { type: "string", enum: ["Low", "Medium", "High"] },
+          message: { type: "string" }
+        },
+        required: ["severity", "message"]
+      }
+    },
+    suggested_checks: { type: "array", items: { type: "string" } },
+    confidence: { type: "string", enum: ["Low", "Medium", "High"] }
+  },
+  required: [
+    "overall_summary",
+    "added_highlights",
+    "removed_highlights",
+    "change_categories",
+    "risks",
+    "suggested_checks",
+    "confidence"
+  ]
+};
+
+const trimSlash = (url) => String(url || "").replace(/\/+$/, "");
+
+// Models served over chat APIs sometimes wrap JSON in a markdown fence.
+const parseJsonText = (text) => {
+  if (typeof text !== "string" || !text.trim()) throw new Error("Response did not include any output.");
+  return JSON.parse(text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, "$1"));
+};
+
+const extractResponsesText = (payload) => {
+  if (typeof payload?.output_text === "string") return payload.output_text;
+  const chunks = [];
+  for (const item of Array.isArray(payload?.output) ? payload.output : []) {
+    if (!Array.isArray(item?.content)) continue;
+    for (const part of item.content) {
+      if (typeof part?.text === "string") chunks.push(part.text);
+      if (typeof part?.content === "string") chunks.push(part.content);
+    }
+  }
+  return chunks.join("\n").trim();
+};
+
+// Each adapter maps the shared config to its own settings, names what is
+// missing, builds the HTTP request and pulls the JSON result out of the reply.
+const ADAPTERS = {
+  openai: {
+    label: "OpenAI",
+    settings: (config) => ({
+      apiKey: config.apiKey,
+      model: config.model,
+      baseUrl: trimSlash(config.baseUrl || "https://api.openai.com/v1")
+    }),
+    missing: ({ apiKey }) => (apiKey ? null : "Missing OPENAI_API_KEY."),
+    request: ({ apiKey, model, baseUrl }, prompt) => ({
+      url: `${baseUrl}/responses`,
+      headers: { Authorization: `Bearer ${apiKey}` },
+      body: {
+        model,
+        input: prompt,
+        temperature: 0.2,
+        text: { format: { type: "json_schema", name: SCHEMA_NAME, strict: true, schema: OPENAI_INSIGHTS_SCHEMA } }
+      }
+    }),
+    parse: (payload) =>
+      payload?.output_parsed && typeof payload.output_parsed === "object"
+        ? payload.output_parsed
+        : parseJsonText(extractResponsesText(payload))
+  },
+
+  // Any server speaking the OpenAI Chat Completions API (Ollama, vLLM, LM
+  // Studio, ...). The key is optional since local servers usually ignore it.
+  "openai-compatible": {
+    label: "Chat Completions",
+    settings: (config) => ({ apiKey: config.apiKey, model: config.model, baseUrl: trimSlash(config.baseUrl) }),
+    missing: ({ baseUrl }) => (baseUrl ? null : "Missing OPENAI_BASE_URL."),
+    request: ({ apiKey, model, baseUrl }, prompt) => ({
+      url: `${baseUrl}/chat/completions`,
+      headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      body: {
+        model,
+        temperature: 0.2,
+        messages: [{ role: "user", content: prompt }],
+        response_format: {
+          type: "json_schema",
+          json_schema: { name: SCHEMA_NAME, strict: true, schema: OPENAI_INSIGHTS_SCHEMA }
+        }
+      }
+    }),
+    parse: (payload) => {
+      const message = payload?.choices?.[0]?.message;
+      return message?.parsed && typeof message.parsed === "object" ? message.parsed : parseJsonText(message?.content);
+    }
+  },
+
+  // Anthropic has no JSON response format; forcing a single tool call whose
+  // input schema is the insights schema gets the same result.
+  anthropic: {
+    label: "Anthropic",
+    settings: (config) => ({
+      apiKey: config.anthropicApiKey,
+      model: config.anthropicModel,
+      baseUrl: trimSlash(config.anthropicBaseUrl || "https://api.anthropic.com")
+    }),
+    missing: ({ apiKey }) => (apiKey ? null : "Missing ANTHROPIC_API_KEY."),
+    request: ({ apiKey, model, baseUrl }, prompt) => ({
+      url: `${baseUrl}/v1/messages`,
+      headers: { "x-api-key": apiKey, "anthropic-version": "2023-06-01" },
+      body: {
+        model,
+        max_tokens: 4096,
+        temperature: 0.2,
+        messages: [{ role: "user", content: prompt }],
+        tools: [
+          {
+            name: SCHEMA_NAME,
+            description: "Report the insights about the document differences.",
+            input_schema: OPENAI_INSIGHTS_SCHEMA
+          }
+        ],
+        tool_choice: { type: "tool", name: SCHEMA_NAME }
+      }
+    }),
+    parse: (payload) => {
+      const block = (Array.isArray(payload?.content) ? payload.content : []).find(
+        (item) => item?.type === "tool_use" && item.name === SCHEMA_NAME
+      );
+      if (!block) throw new Error("Response did not include the insights tool call.");
+      return block.input;
+    }
+  }
+};
+
+export const INSIGHTS_PROVIDERS = Object.keys(ADAPTERS);
+
+// Returns the configured provider: its name and model, `missing` (why it
+// cannot run, or null) and `generate(prompt, { signal })`, which resolves to
+// insights validated against OPENAI_INSIGHTS_SCHEMA and throws otherwise.
+export const createInsightsProvider = (config, { fetchFn = globalThis.fetch } = {}) => {
+  const name = config.provider || "openai";
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`INSIGHTS_PROVIDER must be one of ${INSIGHTS_PROVIDERS.join(", ")}.`);
+  const settings = adapter.settings(config);
+
+  const generate = async (prompt, { signal } = {}) => {
+    const { url, headers, body } = adapter.request(settings, prompt);
+    const response = await fetchFn(url, {
+      method: "POST",
+      headers: { ...headers, "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        payload?.error?.message ||
+          payload?.message ||
+          `${adapter.label} request failed (${response.status} ${response.statusText})`
+      );
+    }
+
+    const result = adapter.parse(payload);
+    const errors = validateAgainstSchema(result, OPENAI_INSIGHTS_SCHEMA, { maxErrors: 3 });
+    if (errors.length) {
+      const detail = errors.map((error) => `${error.path || "response"} ${error.message}`).join("; ");
+      throw new Error(`${adapter.label} insights did not match the schema: ${detail}.`);
+    }
+    return result;
+  };
+
+  return { name, label: adapter.label, model: settings.model, missing: adapter.missing(settings), generate };
+};
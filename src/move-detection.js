@@ -0,0 +1,79 @@
+import { diffArrays } from "diff";
+
+const normalizeBlock = (value) => String(value ?? "").replace(/\s+/g, " ").trim();
+
+const wordsOf = (text) => text.match(/\S+/g) || [];
+
+// Dice coefficient over the words the two blocks share in order.
+const blockSimilarity = (a, b) => {
+  if (a.text === b.text) return 1;
+  let common = 0;
+  for (const part of diffArrays(a.words, b.words)) {
+    if (!part.added && !part.removed) common += part.value.length;
+  }
+  return (2 * common) / (a.words.length + b.words.length);
+};
+
+const collectBlocks = (diffParts, flag, minWords) =>
+  diffParts
+    .map((part, index) => {
+      const text = normalizeBlock(part.value);
+      return { index, text, words: wordsOf(text) };
+    })
+    .filter((block) => diffParts[block.index][flag] && block.words.length >= minWords);
+
+// Pairs removed and added parts whose text is identical or nearly identical
+// (ignoring whitespace) and tags both with `move: { id, role, similarity }`.
+// A removal directly followed by its addition is an in-place edit, not a move.
+export const detectMoves = (
+  diffParts,
+  { minWords = 5, minSimilarity = 0.9, maxComparisons = 2500 } = {}
+) => {
+  const removed = collectBlocks(diffParts, "removed", minWords);
+  const added = collectBlocks(diffParts, "added", minWords);
+  if (!removed.length || !added.length) return diffParts;
+
+  const usedAdded = new Set();
+  const matches = [];
+  const isAdjacent = (from, to) => Math.abs(from.index - to.index) === 1;
+
+  for (const from of removed) {
+    const to = added.find(
+      (block) => !usedAdded.has(block.index) && block.text === from.text && !isAdjacent(from, block)
+    );
+    if (!to) continue;
+    from.matched = true;
+    usedAdded.add(to.index);
+    matches.push({ from: from.index, to: to.index, similarity: 1 });
+  }
+
+  let comparisons = 0;
+  for (const from of removed) {
+    if (from.matched) continue;
+    let best = null;
+    for (const to of added) {
+      if (usedAdded.has(to.index) || isAdjacent(from, to)) continue;
+      const ratio = from.words.length / to.words.length;
+      if (ratio < minSimilarity || ratio > 1 / minSimilarity) continue;
+      if (comparisons >= maxComparisons) break;
+      comparisons += 1;
+      const similarity = blockSimilarity(from, to);
+      if (similarity >= minSimilarity && (!best || similarity > best.similarity)) best = { to, similarity };
+    }
+    if (!best) continue;
+    usedAdded.add(best.to.index);
+    matches.push({ from: from.index, to: best.to.index, similarity: Number(best.similarity.toFixed(3)) });
+  }
+
+  if (!matches.length) return diffParts;
+
+  const result = [...diffParts];
+  matches
+    .sort((a, b) => a.from - b.from)
+    .forEach((match, i) => {
+      const id = `move-${i + 1}`;
+      result[match.from] = { ...result[match.from], move: { id, role: "source", similarity: match.similarity } };
+      result[match.to] = { ...result[match.to], move: { id, role: "destination", similarity: match.similarity } };
+    });
+  return result;
+};
@@ -0,0 +1,147 @@
+import { IGNORE_PLACEHOLDER } from "./ignore-rules.js";
+
+export const NORMALIZATION_OPTIONS = ["whitespace", "case", "quotes", "dehyphenate", "punctuation"];
+
+const FOLDED_CHARS = {
+  "‘": "'",
+  "’": "'",
+  "‚": "'",
+  "‛": "'",
+  "′": "'",
+  "“": '"',
+  "”": '"',
+  "„": '"',
+  "‟": '"',
+  "″": '"',
+  "«": '"',
+  "»": '"',
+  "‐": "-",
+  "‑": "-",
+  "‒": "-",
+  "–": "-",
+  "—": "-",
+  "―": "-",
+  "−": "-"
+};
+
+// A hyphen at the end of a line followed by the rest of the word on the next one.
+const HYPHEN_BREAK_RE = /[-\u00ad\u2010][^\S\n]*\r?\n\s*(?=\p{L})/uy;
+const LETTER_RE = /\p{L}/u;
+const PUNCTUATION_RE = /\p{P}/u;
+const WHITESPACE_RUN_RE = /\s+/y;
+const IGNORE_PLACEHOLDER_SPLIT_RE = new RegExp(`(${IGNORE_PLACEHOLDER})`);
+
+export const isNormalizationActive = (options) => NORMALIZATION_OPTIONS.some((name) => options?.[name]);
+
+// Applies the enabled options and records, for every UTF-16 unit of the result,
+// the index in `text` it came from so diff offsets can be mapped back.
+// `keepNewlines` (line mode) only collapses whitespace within a line; each
+// `ignored` [start, end) range becomes a single placeholder that always matches.
+export const normalizeText = (text, options = {}, { keepNewlines = false, ignored = [] } = {}) => {
+  const source = String(text ?? "");
+  const chunks = [];
+  const map = [];
+  const emit = (value, index) => {
+    chunks.push(value);
+    for (let k = 0; k < value.length; k += 1) map.push(index);
+  };
+
+  let i = 0;
+  let nextIgnored = 0;
+  while (i < source.length) {
+    while (nextIgnored < ignored.length && ignored[nextIgnored][1] <= i) nextIgnored += 1;
+    if (ignored[nextIgnored]?.[0] <= i) {
+      emit(IGNORE_PLACEHOLDER, i);
+      i = ignored[nextIgnored][1];
+      continue;
+    }
+
+    if (options.dehyphenate && i > 0 && LETTER_RE.test(source[i - 1])) {
+      HYPHEN_BREAK_RE.lastIndex = i;
+      if (HYPHEN_BREAK_RE.test(source)) {
+        i = HYPHEN_BREAK_RE.lastIndex;
+        continue;
+      }
+    }
+
+    if (options.whitespace) {
+      WHITESPACE_RUN_RE.lastIndex = i;
+      if (WHITESPACE_RUN_RE.test(source)) {
+        const end = WHITESPACE_RUN_RE.lastIndex;
+        const run = source.slice(i, end);
+        const newlines = run.split("\n").length - 1;
+        if (keepNewlines && newlines) {
+          emit(newlines > 1 ? "\n\n" : "\n", i + run.indexOf("\n"));
+        } else if (map.length && end < source.length) {
+          emit(" ", i);
+        }
+        i = end;
+        continue;
+      }
+    }
+
+    const codePoint = source.codePointAt(i);
+    const char = String.fromCodePoint(codePoint);
+    let value = options.quotes ? FOLDED_CHARS[char] || char : char;
+    if (options.punctuation && PUNCTUATION_RE.test(value)) value = "";
+    if (options.case) value = value.toLowerCase();
+    if (value) emit(value, i);
+    i += char.length;
+  }
+
+  return { text: chunks.join(""), map };
+};
+
+// Diffs the normalized texts, then rebuilds every part from the original text.
+// Unchanged parts keep the right-hand original as `value` (as jsdiff does) and
+// carry the left-hand original as `leftValue` when the two differ. Added or
+// removed parts that contain ignored text also get `maskedValue`, the value
+// without it, for counting.
+export const diffNormalized = (
+  leftText,
+  rightText,
+  diffFn,
+  options,
+  { keepNewlines = false, ignored = { left: [], right: [] } } = {}
+) => {
+  const leftSource = String(leftText ?? "");
+  const rightSource = String(rightText ?? "");
+  const left = normalizeText(leftSource, options, { keepNewlines, ignored: ignored.left });
+  const right = normalizeText(rightSource, options, { keepNewlines, ignored: ignored.right });
+  // Nothing left to match on one side (e.g. punctuation only): diff the originals.
+  if (!left.text || !right.text) return diffFn(leftSource, rightSource);
+
+  const cursor = (side, source) => {
+    let normPos = 0;
+    let origPos = 0;
+    return (length) => {
+      normPos += length;
+      const end = normPos >= side.text.length ? source.length : side.map[normPos];
+      const value = source.slice(origPos, end);
+      origPos = end;
+      return value;
+    };
+  };
+  const takeLeft = cursor(left, leftSource);
+  const takeRight = cursor(right, rightSource);
+
+  const takeChange = (take, normalizedValue) => {
+    if (!normalizedValue.includes(IGNORE_PLACEHOLDER)) return { value: take(normalizedValue.length) };
+    let value = "";
+    let maskedValue = "";
+    for (const segment of normalizedValue.split(IGNORE_PLACEHOLDER_SPLIT_RE).filter(Boolean)) {
+      const original = take(segment.length);
+      value += original;
+      if (segment !== IGNORE_PLACEHOLDER) maskedValue += original;
+    }
+    return { value, maskedValue };
+  };
+
+  return diffFn(left.text, right.text).map((part) => {
+    if (part.added) return { ...part, ...takeChange(takeRight, part.value) };
+    if (part.removed) return { ...part, ...takeChange(takeLeft, part.value) };
+    const leftValue = takeLeft(part.value.length);
+    const value = takeRight(part.value.length);
+    return leftValue === value ? { ...part, value } : { ...part, value, leftValue };
+  });
+};
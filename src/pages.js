@@ -0,0 +1,239 @@
+// Markdown page separators: form feeds, `<!-- Page 3 -->` / `<!-- page break -->`
+// comments, `<page_break>`-style tags and CSS page-break divs.
+const PAGE_BREAK_RE =
+  /<!--\s*page(?:[\s_-]*break|\s+\d+)?\s*-->|<\/?page[\s_-]?break\s*\/?>|<div[^>]*page-break[^>]*>\s*(?:<\/div>)?/i;
+const PAGE_BREAK_LINE_RE = new RegExp(`^\\s*(?:${PAGE_BREAK_RE.source})\\s*$`, "i");
+// Whitespace and page breaks before a change's first word.
+const LEADING_BREAKS_RE = new RegExp(`^(?:\\s+|${PAGE_BREAK_RE.source})*`, "i");
+
+const pageTextOf = (page) =>
+  typeof page === "string" ? page : page?.markdown || page?.text || page?.content || "";
+
+const payloadPages = (payload) => {
+  const pages = [payload?.pages, payload?.document?.pages, payload?.result?.pages].find(Array.isArray);
+  return (pages || []).map(pageTextOf);
+};
+
+// Offsets where each page starts, from page breaks in the markdown.
+const markdownPageStarts = (text) => {
+  const starts = [0];
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    if (PAGE_BREAK_LINE_RE.test(line)) {
+      starts.push(Math.min(offset + line.length + 1, text.length));
+    } else {
+      for (let index = line.indexOf("\f"); index !== -1; index = line.indexOf("\f", index + 1)) {
+        starts.push(offset + index + 1);
+      }
+    }
+    offset += line.length + 1;
+  }
+  return starts;
+};
+
+const PAGE_BLOCK_LINES = 3;
+const PAGE_BLOCK_SKIP = 5;
+
+// Offsets where each payload page starts in the combined text: where the page's
+// leading non-blank lines appear, in order and as one block, after the previous
+// page's start. Lines shared between pages (table rules, repeated headings)
+// only match as part of that block. When the leading lines are missing (e.g.
+// stripped headers) the block after them is tried, then shorter blocks. Pages
+// that can't be found (e.g. blank ones) start where the previous page did.
+const locatePayloadPages = (text, pages) => {
+  const lines = [];
+  let offset = 0;
+  for (const line of text.split("\n")) {
+    if (line.trim()) lines.push({ key: line.trim(), offset });
+    offset += line.length + 1;
+  }
+
+  const findBlock = (from, pageLines) => {
+    for (let size = Math.min(PAGE_BLOCK_LINES, pageLines.length); size > 0; size -= 1) {
+      for (let skip = 0; skip <= Math.min(PAGE_BLOCK_SKIP, pageLines.length - size); skip += 1) {
+        const block = pageLines.slice(skip, skip + size);
+        for (let index = from; index + size <= lines.length; index += 1) {
+          if (block.every((key, position) => lines[index + position].key === key)) return index;
+        }
+      }
+    }
+    return -1;
+  };
+
+  const starts = [];
+  let cursor = 0;
+  pages.forEach((page) => {
+    const pageLines = page.split("\n").map((line) => line.trim()).filter(Boolean);
+    const index = starts.length ? findBlock(cursor, pageLines) : 0;
+    if (index !== -1 && pageLines.length) {
+      starts.push(starts.length ? lines[index].offset : 0);
+      cursor = index + 1;
+    } else {
+      starts.push(starts.length ? starts[starts.length - 1] : 0);
+    }
+  });
+  return starts;
+};
+
+// Page start offsets in `text`, preferring per-page data from the Pulse payload
+// and falling back to page breaks in the markdown. One entry means one page.
+export const findPageStarts = (text, payload) => {
+  const source = String(text ?? "");
+  const fromPayload = payloadPages(payload);
+  return fromPayload.length > 1 ? locatePayloadPages(source, fromPayload) : markdownPageStarts(source);
+};
+
+export const splitPages = (text, payload) => {
+  const fromPayload = payloadPages(payload);
+  if (fromPayload.length > 1) return fromPayload;
+  const source = String(text ?? "");
+  const starts = markdownPageStarts(source);
+  return starts.map((start, index) => source.slice(start, starts[index + 1] ?? source.length));
+};
+
+// Page numbers change from page to page, so digits don't count when comparing lines.
+const lineKey = (line) => line.replace(/\s+/g, " ").trim().replace(/\d+/g, "#").toLowerCase();
+
+const isCandidateLine = (line) => {
+  const trimmed = line.trim();
+  return Boolean(trimmed) && trimmed.length <= 200 && !PAGE_BREAK_LINE_RE.test(trimmed);
+};
+
+// Indexes (into `lines`) of a page's header and footer window: its first and
+// last `edgeLines` candidate lines. On short pages the top half counts as
+// header and the bottom half as footer.
+const pageEdges = (lines, edgeLines) => {
+  const candidates = lines.flatMap((line, index) => (isCandidateLine(line) ? [index] : []));
+  const headerEnd = Math.min(edgeLines, Math.floor(candidates.length / 2));
+  return {
+    header: candidates.slice(0, headerEnd),
+    footer: candidates.slice(Math.max(headerEnd, candidates.length - edgeLines))
+  };
+};
+
+// Lines that appear within the first or last `edgeLines` non-blank lines of at
+// least `minShare` of the pages (and of two pages at the very least).
+export const findRunningLines = (pages, { edgeLines = 3, minShare = 0.6 } = {}) => {
+  if (pages.length < 2) return [];
+  const threshold = Math.max(2, Math.ceil(pages.length * minShare));
+  const counts = { header: new Map(), footer: new Map() };
+  const samples = new Map();
+
+  for (const page of pages) {
+    const lines = page.split("\n");
+    for (const [position, indexes] of Object.entries(pageEdges(lines, edgeLines))) {
+      const edgeLinesOfPage = indexes.map((index) => lines[index]);
+      const keys = new Set(edgeLinesOfPage.map(lineKey));
+      edgeLinesOfPage.forEach((line) => {
+        if (!samples.has(lineKey(line))) samples.set(lineKey(line), line.trim());
+      });
+      keys.forEach((key) => counts[position].set(key, (counts[position].get(key) || 0) + 1));
+    }
+  }
+
+  const running = new Map();
+  for (const position of ["header", "footer"]) {
+    for (const [key, pageCount] of counts[position]) {
+      if (pageCount < threshold || running.has(key)) continue;
+      running.set(key, { line: samples.get(key), position, pages: pageCount });
+    }
+  }
+  return [...running.entries()].map(([key, entry]) => ({ key, ...entry }));
+};
+
+const pageAt = (starts, position) => {
+  let page = 1;
+  while (page < starts.length && starts[page] <= position) page += 1;
+  return page;
+};
+
+// Removes lines that match a running header or footer from each page's header
+// and footer window (the same lines findRunningLines counted), so a matching
+// line in the body, such as a bare number, is kept. Reports what was dropped,
+// with how many lines each entry removed.
+export const stripRunningLines = (text, payload, options = {}) => {
+  const source = String(text ?? "");
+  const pages = splitPages(source, payload);
+  const running = findRunningLines(pages, options);
+  if (!running.length) return { text: source, pageCount: pages.length, stripped: [] };
+
+  const byKey = new Map(running.map((entry) => [entry.key, { ...entry, removed: 0 }]));
+  const starts = findPageStarts(source, payload);
+  const lines = source.split("\n");
+  const linesByPage = starts.map(() => []);
+  let offset = 0;
+  lines.forEach((line, index) => {
+    linesByPage[pageAt(starts, offset) - 1].push(index);
+    offset += line.length + 1;
+  });
+
+  const removable = new Set();
+  for (const indexes of linesByPage) {
+    const edges = pageEdges(indexes.map((index) => lines[index]), options.edgeLines ?? 3);
+    [...edges.header, ...edges.footer].forEach((position) => {
+      const index = indexes[position];
+      const entry = byKey.get(lineKey(lines[index]));
+      if (!entry) return;
+      entry.removed += 1;
+      removable.add(index);
+    });
+  }
+  const kept = lines.filter((line, index) => !removable.has(index));
+
+  return {
+    text: kept.join("\n"),
+    pageCount: pages.length,
+    stripped: [...byKey.values()].map(({ line, position, pages: pageCount, removed }) => ({
+      line,
+      position,
+      pages: pageCount,
+      removed
+    }))
+  };
+};
+
+const isChange = (part) => Boolean(part.added || part.removed);
+
+// Tags every changed part with `page: { left, right }`, the page each side is on
+// where the change starts (for one-sided changes, where it would be inserted).
+// A side without page boundaries gets null.
+export const annotatePages = (diffParts, starts) => {
+  const paged = { left: starts.left.length > 1, right: starts.right.length > 1 };
+  if (!paged.left && !paged.right) return diffParts;
+
+  let left = 0;
+  let right = 0;
+  return diffParts.map((part) => {
+    const leftValue = part.added ? "" : part.removed ? part.value : part.leftValue ?? part.value;
+    const rightValue = part.removed ? "" : part.value;
+    let annotated = part;
+    if (isChange(part)) {
+      const lead = (value) => value.match(LEADING_BREAKS_RE)[0].length;
+      annotated = {
+        ...part,
+        page: {
+          left: paged.left ? pageAt(starts.left, left + lead(leftValue)) : null,
+          right: paged.right ? pageAt(starts.right, right + lead(rightValue)) : null
+        }
+      };
+    }
+    left += leftValue.length;
+    right += rightValue.length;
+    return annotated;
+  });
+};
+
+// Changes per page on each side. The two halves of a replacement count once.
+export const summarizePages = (diffParts, starts) => {
+  const summarize = (side) => {
+    if (starts[side].length < 2) return [];
+    const counts = starts[side].map(() => 0);
+    diffParts
+      .filter((part) => isChange(part) && part.page?.[side] && !(part.replacement && part.added))
+      .forEach((part) => {
+        counts[part.page[side] - 1] += 1;
+      });
+    return counts.map((changes, index) => ({ page: index + 1, changes }));
+  };
+  return { left: summarize("left"), right: summarize("right") };
+};
@@ -0,0 +1,68 @@
+import { diffWordsWithSpace, structuredPatch } from "diff";
+
+// Hunks from the diff library, merging changes separated by at most 2 * context
+// lines. An empty range starts one line earlier, as in `diff -u`.
+export const buildHunks = (oldText, newText, context = 3) =>
+  structuredPatch("", "", oldText, newText, "", "", { context }).hunks.map((hunk) => ({
+    ...hunk,
+    oldStart: hunk.oldLines ? hunk.oldStart : hunk.oldStart - 1,
+    newStart: hunk.newLines ? hunk.newStart : hunk.newStart - 1
+  }));
+
+const formatRange = (start, count) => (count === 1 ? `${start}` : `${start},${count}`);
+
+const hunkHeader = (hunk) =>
+  `@@ -${formatRange(hunk.oldStart, hunk.oldLines)} +${formatRange(hunk.newStart, hunk.newLines)} @@`;
+
+const fileLabel = (name, fallback) => String(name || fallback).replace(/[\r\n\t]+/g, " ");
+
+const fileHeader = (oldName, newName) => [
+  `--- a/${fileLabel(oldName, "left")}`,
+  `+++ b/${fileLabel(newName, "right")}`
+];
+
+export const createUnifiedDiff = ({ oldText, newText, oldName, newName, context = 3 }) => {
+  const hunks = buildHunks(oldText, newText, context);
+  if (!hunks.length) return "";
+
+  const out = fileHeader(oldName, newName);
+  for (const hunk of hunks) out.push(hunkHeader(hunk), ...hunk.lines);
+  return `${out.join("\n")}\n`;
+};
+
+// Same hunks as the unified diff, with each hunk body re-diffed by word in
+// the `git diff --word-diff=porcelain` layout: one token run per line
+// prefixed with " ", "-" or "+", and "~" marking a newline.
+export const createWordDiff = ({ oldText, newText, oldName, newName, context = 3 }) => {
+  const hunks = buildHunks(oldText, newText, context);
+  if (!hunks.length) return "";
+
+  // One side of a hunk body; a "\ No newline" marker drops the newline of the line before it.
+  const sideText = (lines, skip) => {
+    let text = "";
+    let kept = false;
+    for (const line of lines) {
+      if (line.startsWith("\\")) {
+        if (kept) text = text.slice(0, -1);
+      } else {
+        kept = line[0] !== skip;
+        if (kept) text += `${line.slice(1)}\n`;
+      }
+    }
+    return text;
+  };
+
+  const out = fileHeader(oldName, newName);
+  for (const hunk of hunks) {
+    out.push(hunkHeader(hunk));
+    const wordParts = diffWordsWithSpace(sideText(hunk.lines, "+"), sideText(hunk.lines, "-"));
+    for (const part of wordParts) {
+      const prefix = part.added ? "+" : part.removed ? "-" : " ";
+      part.value.split("\n").forEach((piece, i) => {
+        if (i > 0) out.push("~");
+        if (piece) out.push(`${prefix}${piece}`);
+      });
+    }
+  }
+  return `${out.join("\n")}\n`;
+};
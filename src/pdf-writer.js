@@ -0,0 +1,250 @@
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+const MARGIN = 48;
+
+const FONTS = {
+  regular: { name: "F1", baseFont: "Helvetica" },
+  bold: { name: "F2", baseFont: "Helvetica-Bold" },
+  mono: { name: "F3", baseFont: "Courier" }
+};
+
+// Characters outside Latin-1 that WinAnsiEncoding still covers.
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "‚": 0x82,
+  "„": 0x84,
+  "…": 0x85,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "•": 0x95,
+  "–": 0x96,
+  "—": 0x97,
+  "™": 0x99
+};
+
+// Common symbols WinAnsi lacks, spelled out in ASCII.
+const ASCII_FALLBACKS = { "→": "->", "←": "<-", "≤": "<=", "≥": ">=", "≠": "!=" };
+
+// The WinAnsi form of one character, or null when the built-in fonts can't show it.
+const encodeChar = (ch) => {
+  if (WIN_ANSI_EXTRAS[ch]) return String.fromCharCode(WIN_ANSI_EXTRAS[ch]);
+  if (ASCII_FALLBACKS[ch]) return ASCII_FALLBACKS[ch];
+  const code = ch.codePointAt(0);
+  if (ch === "\t") return "    ";
+  if (code < 0x20) return "";
+  if (code <= 0xff && !(code >= 0x7f && code < 0xa0)) return ch;
+  return null;
+};
+
+const toWinAnsi = (value) =>
+  Array.from(String(value ?? ""))
+    .map((ch) => encodeChar(ch) ?? "?")
+    .join("");
+
+const countUnsupportedCharacters = (value) =>
+  Array.from(String(value ?? "")).filter((ch) => encodeChar(ch) === null).length;
+
+const escapePdfString = (value) =>
+  toWinAnsi(value).replaceAll("\\", "\\\\").replaceAll("(", "\\(").replaceAll(")", "\\)");
+
+const charWidth = (ch, font) => {
+  if (font === "mono") return 0.6;
+  if (" il.,:;|!'`[]()".includes(ch)) return 0.28;
+  if (ch >= "A" && ch <= "Z") return font === "bold" ? 0.72 : 0.67;
+  if (ch >= "0" && ch <= "9") return 0.556;
+  return font === "bold" ? 0.58 : 0.54;
+};
+
+const textWidth = (text, font, size) =>
+  Array.from(toWinAnsi(text)).reduce((sum, ch) => sum + charWidth(ch, font), 0) * size;
+
+const hexToRgb = (hex) => {
+  const value = String(hex || "#000000").replace("#", "");
+  return [0, 2, 4].map((i) => (Number.parseInt(value.slice(i, i + 2), 16) / 255).toFixed(3));
+};
+
+// Minimal flowing-text PDF writer: built-in Type1 fonts, wrapped runs with optional
+// background highlights, and automatic page breaks. No external binaries required.
+// The fonts only cover WinAnsi (Western European) text; anything else is written
+// as "?" and counted in `unsupportedCharacters()`.
+export const createPdfDocument = () => {
+  const pages = [];
+  let ops = null;
+  let y = 0;
+  let unsupported = 0;
+
+  const contentWidth = PAGE_WIDTH - MARGIN * 2;
+
+  const addPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  const ensureSpace = (height) => {
+    if (!ops || y - height < MARGIN) addPage();
+  };
+
+  const drawText = (text, x, baseline, { font = "regular", size = 10, color = "#0b1220" } = {}) => {
+    if (!text) return;
+    unsupported += countUnsupportedCharacters(text);
+    const [r, g, b] = hexToRgb(color);
+    ops.push(
+      `BT /${FONTS[font].name} ${size} Tf ${r} ${g} ${b} rg ${x.toFixed(2)} ${baseline.toFixed(2)} Td (${escapePdfString(text)}) Tj ET`
+    );
+  };
+
+  const fillRect = (x, top, width, height, color) => {
+    const [r, g, b] = hexToRgb(color);
+    ops.push(
+      `q ${r} ${g} ${b} rg ${x.toFixed(2)} ${(top - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f Q`
+    );
+  };
+
+  const layoutRuns = (runs, { font, size, width }) => {
+    const lines = [[]];
+    let lineWidth = 0;
+
+    const pushSegment = (text, run) => {
+      const line = lines[lines.length - 1];
+      const last = line[line.length - 1];
+      if (last && last.run === run) last.text += text;
+      else line.push({ text, run });
+      lineWidth += textWidth(text, run.font || font, size);
+    };
+
+    for (const run of runs) {
+      const tokens = String(run.text ?? "").split(/(\n|[^\S\n]+)/);
+      for (const token of tokens) {
+        if (!token) continue;
+        if (token === "\n") {
+          lines.push([]);
+          lineWidth = 0;
+          continue;
+        }
+        const tokenFont = run.font || font;
+        const tokenWidth = textWidth(token, tokenFont, size);
+        if (lineWidth + tokenWidth <= width) {
+          pushSegment(token, run);
+          continue;
+        }
+        if (lineWidth > 0) {
+          lines.push([]);
+          lineWidth = 0;
+        }
+        if (/^\s+$/.test(token)) continue;
+        if (tokenWidth <= width) {
+          pushSegment(token, run);
+          continue;
+        }
+        // Longer than a whole line: break it wherever the line fills up, measuring each character once.
+        let piece = "";
+        let pieceWidth = 0;
+        for (const ch of token) {
+          const chWidth = textWidth(ch, tokenFont, size);
+          if (piece && pieceWidth + chWidth > width) {
+            pushSegment(piece, run);
+            lines.push([]);
+            lineWidth = 0;
+            piece = "";
+            pieceWidth = 0;
+          }
+          piece += ch;
+          pieceWidth += chWidth;
+        }
+        pushSegment(piece, run);
+      }
+    }
+    return lines;
+  };
+
+  const runs = (items, { font = "regular", size = 10, indent = 0, spacingAfter = 4 } = {}) => {
+    const lineHeight = size * 1.35;
+    const x0 = MARGIN + indent;
+    const lines = layoutRuns(items, { font, size, width: contentWidth - indent });
+
+    for (const line of lines) {
+      ensureSpace(lineHeight);
+      let x = x0;
+      for (const segment of line) {
+        const segmentFont = segment.run.font || font;
+        const width = textWidth(segment.text, segmentFont, size);
+        if (segment.run.background) {
+          fillRect(x, y, width, lineHeight, segment.run.background);
+        }
+        drawText(segment.text, x, y - size, {
+          font: segmentFont,
+          size,
+          color: segment.run.color
+        });
+        x += width;
+      }
+      y -= lineHeight;
+    }
+    y -= spacingAfter;
+  };
+
+  const text = (value, options = {}) => runs([{ text: value, color: options.color }], options);
+
+  const heading = (value, { size = 14 } = {}) => {
+    ensureSpace(size * 3);
+    y -= size * 0.6;
+    text(value, { font: "bold", size, spacingAfter: 6 });
+  };
+
+  const rule = () => {
+    ensureSpace(8);
+    fillRect(MARGIN, y - 2, contentWidth, 0.75, "#d0d5dd");
+    y -= 10;
+  };
+
+  const toBuffer = () => {
+    if (!pages.length) addPage();
+
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const fontIds = Object.values(FONTS).map(({ baseFont }) =>
+      addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`)
+    );
+    const fontResources = Object.values(FONTS)
+      .map(({ name }, i) => `/${name} ${fontIds[i]} 0 R`)
+      .join(" ");
+
+    const pageIds = pages.map((pageOps) => {
+      const stream = pageOps.join("\n");
+      const contentId = addObject(
+        `<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`
+      );
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pageIds.length} >>`;
+
+    let output = "%PDF-1.4\n";
+    const offsets = objects.map((body, i) => {
+      const offset = Buffer.byteLength(output, "latin1");
+      output += `${i + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, "latin1");
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`).join("");
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, "latin1");
+  };
+
+  return { heading, text, runs, rule, toBuffer, unsupportedCharacters: () => unsupported };
+};
@@ -0,0 +1,231 @@
+import { compileSafeRegExp } from "./safe-regex.js";
+import { parseNumber, parseTolerance } from "./value-compare.js";
+
+export const SEVERITIES = ["low", "medium", "high", "critical"];
+export const MAX_POLICY_RULES = 100;
+
+const DEFAULT_FAIL_ON = "high";
+const MAX_FINDINGS = 200;
+const RULE_ID_RE = /^[\w.-]{1,64}$/;
+const CHANGE_TYPES = ["added", "removed", "changed", "moved"];
+const TARGETS = ["path", "text", "section"];
+
+const rank = (severity) => SEVERITIES.indexOf(severity);
+
+const parseFailOn = (value, label) => {
+  if (value === undefined || value === null || value === "") return null;
+  if (value !== "none" && !SEVERITIES.includes(value)) {
+    throw new Error(`${label}: failOn must be none or one of ${SEVERITIES.join(", ")}.`);
+  }
+  return value;
+};
+
+const parseTextPattern = (value, label) => {
+  const match = value.match(/^\/(.+)\/([a-z]*)$/s);
+  if (!match) {
+    const lower = value.toLowerCase();
+    return (text) => text.toLowerCase().includes(lower);
+  }
+  if (!/^[imsu]*$/.test(match[2])) throw new Error(`${label}: text flags may only contain i, m, s and u.`);
+  let re;
+  try {
+    re = compileSafeRegExp(match[1], match[2]);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+  return (text) => re.test(text);
+};
+
+// `"total"` matches that field and anything under it; `*` stands for one path
+// segment and `[]` for any array index (`line_items[].amount`).
+const pathMatcher = (pattern) => {
+  const source = pattern
+    .replace(/^values\./, "")
+    .split("*")
+    .map((chunk) => chunk.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^.[\\]]+");
+  const re = new RegExp(`^${source}(?:[.[].*)?$`);
+  return (changePath) => re.test(changePath.replace(/^values\./, "").replace(/\[\d+\]/g, "[]"));
+};
+
+const matcherFor = (target, value, label) => {
+  if (target === "path") return pathMatcher(value);
+  if (target === "text") return parseTextPattern(value, label);
+  const section = value.toLowerCase();
+  return (heading) => heading.toLowerCase().includes(section);
+};
+
+const parseRule = (input, index) => {
+  const label = `Policy rule ${index + 1}`;
+  if (!input || typeof input !== "object" || Array.isArray(input)) throw new Error(`${label}: must be an object.`);
+  const { id, description, severity = "medium", changes, minChange, fail = false } = input;
+
+  if (typeof id !== "string" || !RULE_ID_RE.test(id)) {
+    throw new Error(`${label}: id must be 1-64 letters, digits, dots, dashes or underscores.`);
+  }
+  const named = `Policy rule "${id}"`;
+  if (!SEVERITIES.includes(severity)) throw new Error(`${named}: severity must be one of ${SEVERITIES.join(", ")}.`);
+  if (typeof fail !== "boolean") throw new Error(`${named}: fail must be true or false.`);
+  if (description !== undefined && typeof description !== "string") {
+    throw new Error(`${named}: description must be a string.`);
+  }
+
+  const targets = TARGETS.filter((target) => input[target] !== undefined);
+  if (targets.length !== 1) throw new Error(`${named}: set exactly one of path, text or section.`);
+  const [target] = targets;
+  if (typeof input[target] !== "string" || !input[target].trim()) {
+    throw new Error(`${named}: ${target} must be a non-empty string.`);
+  }
+
+  if ((changes !== undefined || minChange !== undefined) && target !== "path") {
+    throw new Error(`${named}: changes and minChange only apply to path rules.`);
+  }
+  if (changes !== undefined && (!Array.isArray(changes) || !changes.every((type) => CHANGE_TYPES.includes(type)))) {
+    throw new Error(`${named}: changes must list ${CHANGE_TYPES.join(", ")}.`);
+  }
+  const threshold = minChange === undefined ? null : parseTolerance(minChange);
+  if (minChange !== undefined && !threshold) {
+    throw new Error(`${named}: minChange must be a non-negative number or a percentage such as "5%".`);
+  }
+
+  return {
+    id,
+    description: description || "",
+    severity,
+    fail,
+    target,
+    changes: changes || null,
+    threshold,
+    match: matcherFor(target, input[target].trim(), named)
+  };
+};
+
+// Reads a policy: either a list of rules or `{ failOn, rules }`. `failOn` is
+// the lowest severity that fails the verdict (default "high"; "none" leaves it
+// to rules marked `fail: true`).
+export const parsePolicy = (input, label = "Policy") => {
+  const body = Array.isArray(input) ? { rules: input } : input;
+  if (!body || typeof body !== "object" || !Array.isArray(body.rules)) {
+    throw new Error(`${label} must be a JSON array of rules or an object with a rules array.`);
+  }
+  if (body.rules.length > MAX_POLICY_RULES) throw new Error(`At most ${MAX_POLICY_RULES} policy rules are allowed.`);
+  const rules = body.rules.map(parseRule);
+  const seen = new Set();
+  rules.forEach((rule) => {
+    if (seen.has(rule.id)) throw new Error(`Policy rule "${rule.id}" is defined twice.`);
+    seen.add(rule.id);
+  });
+  return { failOn: parseFailOn(body.failOn, label), rules };
+};
+
+// Request rules replace configured rules with the same id and add the rest.
+export const mergePolicies = (base, extra) => {
+  if (!extra) return base;
+  const ids = new Set(extra.rules.map((rule) => rule.id));
+  return {
+    failOn: extra.failOn ?? base.failOn,
+    rules: [...base.rules.filter((rule) => !ids.has(rule.id)), ...extra.rules]
+  };
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "empty";
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 79)}…` : text;
+};
+
+const numericChange = (change) => {
+  const left = parseNumber(change.left);
+  const right = parseNumber(change.right);
+  if (!left || !right) return null;
+  const delta = right.amount - left.amount;
+  return { delta, percent: left.amount ? (delta / Math.abs(left.amount)) * 100 : null };
+};
+
+const exceeds = (threshold, numbers) => {
+  if (!numbers) return false;
+  if (threshold.percent !== undefined) {
+    return numbers.percent === null ? numbers.delta !== 0 : Math.abs(numbers.percent) > threshold.percent;
+  }
+  return Math.abs(numbers.delta) > threshold.absolute;
+};
+
+const describeChange = (change, numbers) => {
+  const pathKey = change.path.replace(/^values\./, "");
+  if (change.type === "added") return `${pathKey} added (${formatValue(change.right)})`;
+  if (change.type === "removed") return `${pathKey} removed (was ${formatValue(change.left)})`;
+  if (change.type === "moved") return `${pathKey} moved from ${change.leftPath.replace(/^values\./, "")}`;
+  const percent = numbers?.percent ?? null;
+  const shift = percent === null ? "" : `, ${percent > 0 ? "+" : ""}${Number(percent.toFixed(2))}%`;
+  return `${pathKey} changed from ${formatValue(change.left)} to ${formatValue(change.right)}${shift}`;
+};
+
+const excerpt = (value) => {
+  const text = value.replace(/\s+/g, " ").trim();
+  return text.length > 120 ? `${text.slice(0, 119)}…` : text;
+};
+
+// Evaluates the rules against the structured diff, the text diff parts and the
+// section outline. Returns severity-tagged findings and a pass/fail verdict.
+// Counts and the verdict cover every match; only the findings list is capped.
+export const evaluatePolicy = (policy, { structuredChanges = [], diffParts = [], sections = [] } = {}) => {
+  const failOn = policy.failOn || DEFAULT_FAIL_ON;
+  const counts = Object.fromEntries(SEVERITIES.map((severity) => [severity, 0]));
+  const findings = [];
+  let failing = 0;
+  let total = 0;
+  const add = (rule, finding) => {
+    total += 1;
+    counts[rule.severity] += 1;
+    if (rule.fail || (failOn !== "none" && rank(rule.severity) >= rank(failOn))) failing += 1;
+    if (findings.length >= MAX_FINDINGS) return;
+    findings.push({
+      ruleId: rule.id,
+      description: rule.description,
+      severity: rule.severity,
+      fail: rule.fail,
+      target: rule.target,
+      ...finding
+    });
+  };
+
+  for (const rule of policy.rules) {
+    if (rule.target === "path") {
+      for (const change of structuredChanges) {
+        if (change.type === "modified" || change.formatOnly || !rule.match(change.path)) continue;
+        if (rule.changes && !rule.changes.includes(change.type)) continue;
+        const numbers = change.type === "changed" ? numericChange(change) : null;
+        if (rule.threshold && !exceeds(rule.threshold, numbers)) continue;
+        add(rule, { path: change.path, change: change.type, message: describeChange(change, numbers) });
+      }
+    } else if (rule.target === "text") {
+      for (const part of diffParts) {
+        if ((!part.added && !part.removed) || part.move || !rule.match(part.value)) continue;
+        add(rule, {
+          change: part.added ? "added" : "removed",
+          ...(part.page ? { page: part.page } : {}),
+          message: `${part.added ? "Added" : "Removed"} text: "${excerpt(part.value)}"`
+        });
+      }
+    } else {
+      for (const section of sections) {
+        if (section.status === "unchanged" || !rule.match(section.heading || "")) continue;
+        add(rule, {
+          section: section.heading,
+          change: section.status,
+          message: `Section "${section.heading}" ${section.status}`
+        });
+      }
+    }
+  }
+
+  return {
+    verdict: failing ? "fail" : "pass",
+    failOn,
+    counts,
+    failing,
+    rules: policy.rules.length,
+    findings,
+    truncated: total > findings.length
+  };
+};
@@ -0,0 +1,61 @@
+const isChange = (part) => Boolean((part?.added || part?.removed) && !part.move);
+
+const isWhitespace = (part) => Boolean(part && !part.added && !part.removed && !part.value.trim());
+
+// Joins the parts of one side of a run; `maskedValue` (text minus ignored spans)
+// is carried over when any part has one.
+const mergeRun = (parts, valueOf, flags) => {
+  const merged = { value: parts.map(valueOf).join(""), ...flags };
+  if (parts.some((part) => part.maskedValue !== undefined)) {
+    merged.maskedValue = parts.map((part) => part.maskedValue ?? valueOf(part)).join("");
+  }
+  return merged;
+};
+
+// Word diffs interleave a multi-word rewrite as removed/added pairs separated by
+// unchanged spaces. Each such run becomes one removed part followed by one added
+// part, both tagged `replacement: { id }`; the spaces inside the run are kept on
+// both sides so the old and new phrases still read naturally and the parts still
+// rebuild the original texts. Runs that only remove or only add are left alone.
+export const groupReplacements = (diffParts) => {
+  const result = [];
+  let nextId = 1;
+  let i = 0;
+
+  while (i < diffParts.length) {
+    if (!isChange(diffParts[i])) {
+      result.push(diffParts[i]);
+      i += 1;
+      continue;
+    }
+
+    let end = i;
+    while (
+      isChange(diffParts[end + 1]) ||
+      (isWhitespace(diffParts[end + 1]) && isChange(diffParts[end + 2]))
+    ) {
+      end += 1;
+    }
+
+    const run = diffParts.slice(i, end + 1);
+    if (run.some((part) => part.added) && run.some((part) => part.removed)) {
+      const replacement = { id: `replacement-${nextId}` };
+      nextId += 1;
+      const oldParts = run.filter((part) => !part.added);
+      const newParts = run.filter((part) => !part.removed);
+      result.push(
+        mergeRun(oldParts, (part) => (part.removed ? part.value : part.leftValue ?? part.value), {
+          added: false,
+          removed: true,
+          replacement
+        }),
+        mergeRun(newParts, (part) => part.value, { added: true, removed: false, replacement })
+      );
+    } else {
+      result.push(...run);
+    }
+    i = end + 1;
+  }
+
+  return result;
+};
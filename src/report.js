@@ -0,0 +1,266 @@
+import { createPdfDocument } from "./pdf-writer.js";
+
+const REPORT_CSS = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", system-ui, sans-serif; color: #0b1220; margin: 32px auto; max-width: 960px; padding: 0 24px; line-height: 1.5; }
+  h1 { font-size: 26px; margin: 0 0 4px; }
+  h2 { font-size: 18px; margin: 28px 0 10px; border-bottom: 1px solid rgba(15, 23, 42, 0.12); padding-bottom: 6px; }
+  h3 { font-size: 14px; margin: 14px 0 6px; }
+  .muted { color: #5a6475; font-size: 13px; }
+  .stats { display: grid; grid-template-columns: repeat(5, 1fr); gap: 12px; }
+  .stat { border: 1px solid rgba(15, 23, 42, 0.12); border-radius: 12px; padding: 10px 14px; }
+  .stat p { font-size: 24px; font-weight: 700; margin: 4px 0 0; }
+  ul { margin: 0; padding-left: 20px; }
+  li { margin: 2px 0; }
+  .evidence { color: #5a6475; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; }
+  .risk-high { color: #991b1b; } .risk-medium { color: #92400e; } .risk-low { color: #065f46; }
+  .diff-panel { border: 1px solid rgba(15, 23, 42, 0.12); border-radius: 12px; padding: 14px; font-family: ui-monospace, Menlo, Consolas, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-word; }
+  .diff-added { background: rgba(16, 185, 129, 0.16); color: #047857; }
+  .diff-removed { background: rgba(239, 68, 68, 0.14); color: #b91c1c; text-decoration: line-through; }
+  .diff-replaced { border-bottom: 1px dotted #64748b; }
+  .diff-moved { background: rgba(59, 130, 246, 0.14); color: #1d4ed8; }
+  .diff-moved-source { text-decoration: line-through; }
+  .diff-move-link { color: #1d4ed8; font-size: 10px; margin-left: 4px; }
+  .diff-word-added { background: rgba(16, 185, 129, 0.32); border-radius: 3px; }
+  .diff-word-removed { background: rgba(239, 68, 68, 0.3); border-radius: 3px; }
+  .diff-lines { display: grid; }
+  .diff-line { min-height: 1.4em; padding: 0 6px; }
+  table { width: 100%; border-collapse: collapse; font-size: 12px; }
+  th, td { border: 1px solid rgba(15, 23, 42, 0.12); padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f4f6fa; }
+  td { font-family: ui-monospace, Menlo, Consolas, monospace; white-space: pre-wrap; word-break: break-word; }
+  @media print { body { margin: 0 auto; } .diff-panel { border: none; padding: 0; } }
+`;
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "—";
+  if (typeof value === "string") return value;
+  if (typeof value === "number" || typeof value === "boolean") return String(value);
+  try {
+    return JSON.stringify(value);
+  } catch {
+    return String(value);
+  }
+};
+
+const unitLabel = (summary) => {
+  const unit = summary?.unit || "words";
+  return unit.charAt(0).toUpperCase() + unit.slice(1);
+};
+
+export const createReportBuilder = ({ escapeHtml, renderInlineDiff }) => {
+  const describe = (record) => ({
+    title: `${record.leftName || "Document A"} → ${record.rightName || "Document B"}`,
+    generatedAt: new Date().toISOString(),
+    summary: record.summary || record.result?.summary || {},
+    insights: record.insights || record.result?.insights || {},
+    structuredDiff: Array.isArray(record.structuredDiff) ? record.structuredDiff : []
+  });
+
+  const renderHtml = (record) => {
+    const { title, generatedAt, summary, insights, structuredDiff } = describe(record);
+    const result = insights.enabled ? insights.result : null;
+    const unit = unitLabel(summary);
+
+    const list = (items, render, empty) =>
+      Array.isArray(items) && items.length
+        ? `<ul>${items.map((item) => `<li>${render(item)}</li>`).join("")}</ul>`
+        : `<p class="muted">${escapeHtml(empty)}</p>`;
+
+    const highlight = (h) =>
+      `<strong>${escapeHtml(h?.title || "Highlight")}</strong>${
+        h?.evidence ? `<div class="evidence">${escapeHtml(h.evidence)}</div>` : ""
+      }`;
+
+    const insightsHtml = result
+      ? `
+        <p>${escapeHtml(result.overall_summary || "")}</p>
+        <p class="muted">${escapeHtml(
+          [insights.provider === "heuristic" ? "offline heuristics" : insights.provider, insights.model]
+            .filter(Boolean)
+            .join(" • ")
+        )}</p>
+        <h3>Added</h3>
+        ${list(result.added_highlights, highlight, "No added highlights.")}
+        <h3>Removed</h3>
+        ${list(result.removed_highlights, highlight, "No removed highlights.")}
+        <h3>Categories</h3>
+        ${list(
+          result.change_categories,
+          (c) => `<strong>${escapeHtml(c?.category || "other")}</strong>: ${escapeHtml(c?.summary || "")}`,
+          "No categories detected."
+        )}
+        <h3>Risks</h3>
+        ${list(
+          result.risks,
+          (r) =>
+            `<span class="risk-${escapeHtml(String(r?.severity || "").toLowerCase())}"><strong>${escapeHtml(
+              r?.severity || ""
+            )}</strong></span> ${escapeHtml(r?.message || "")}`,
+          "No risks flagged."
+        )}
+        <h3>Suggested checks</h3>
+        ${list(result.suggested_checks, (c) => escapeHtml(c), "No suggested checks.")}
+        <h3>Confidence</h3>
+        <p>${escapeHtml(result.confidence || "unknown")}</p>`
+      : `<p class="muted">${escapeHtml(
+          insights.error ? `Insights unavailable: ${insights.error}` : "Insights unavailable."
+        )}</p>`;
+
+    const structuredRows = structuredDiff
+      .map(
+        (change) => `<tr>
+          <th>${escapeHtml(change.path || "(root)")}</th>
+          <td>${escapeHtml(change.type || "changed")}</td>
+          <td>${escapeHtml(formatValue(change.left))}</td>
+          <td>${escapeHtml(formatValue(change.right))}</td>
+        </tr>`
+      )
+      .join("");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(`Comparison report: ${title}`)}</title>
+    <style>${REPORT_CSS}</style>
+  </head>
+  <body>
+    <h1>Comparison report</h1>
+    <p class="muted">${escapeHtml(title)}<br />Comparison ${escapeHtml(record.id)} • created ${escapeHtml(
+      record.createdAt || ""
+    )} • generated ${escapeHtml(generatedAt)} • ${escapeHtml(record.diffMode || summary.diffMode || "words")} diff</p>
+
+    <h2>Summary</h2>
+    <div class="stats">
+      <div class="stat"><span class="muted">${unit} added</span><p>${escapeHtml(summary.additions ?? 0)}</p></div>
+      <div class="stat"><span class="muted">${unit} removed</span><p>${escapeHtml(summary.removals ?? 0)}</p></div>
+      <div class="stat"><span class="muted">Replacements</span><p>${escapeHtml(summary.replacements ?? 0)}</p></div>
+      <div class="stat"><span class="muted">Moved blocks</span><p>${escapeHtml(summary.moves ?? 0)}</p></div>
+      <div class="stat"><span class="muted">Diff chunks</span><p>${escapeHtml(summary.totalParts ?? 0)}</p></div>
+    </div>
+
+    <h2>Insights</h2>
+    ${insightsHtml}
+
+    <h2>Inline diff</h2>
+    <div class="diff-panel">${renderInlineDiff(record.diffParts || [], record.diffMode)}</div>
+
+    <h2>Structured diff</h2>
+    ${
+      structuredDiff.length
+        ? `<table><thead><tr><th>Field</th><th>Change</th><th>Document A</th><th>Document B</th></tr></thead><tbody>${structuredRows}</tbody></table>`
+        : `<p class="muted">No structured field changes.</p>`
+    }
+  </body>
+</html>
+`;
+  };
+
+  const drawPdf = (record, warning) => {
+    const { title, generatedAt, summary, insights, structuredDiff } = describe(record);
+    const result = insights.enabled ? insights.result : null;
+    const unit = unitLabel(summary);
+    const doc = createPdfDocument();
+    const muted = { color: "#5a6475", size: 9 };
+
+    doc.heading("Comparison report", { size: 20 });
+    doc.text(title, { font: "bold", size: 11 });
+    doc.text(
+      `Comparison ${record.id} • created ${record.createdAt || ""} • generated ${generatedAt} • ${
+        record.diffMode || summary.diffMode || "words"
+      } diff`,
+      muted
+    );
+    if (warning) doc.text(warning, { color: "#92400e", size: 9 });
+    doc.rule();
+
+    doc.heading("Summary");
+    doc.text(`${unit} added: ${summary.additions ?? 0}`);
+    doc.text(`${unit} removed: ${summary.removals ?? 0}`);
+    doc.text(`Replacements: ${summary.replacements ?? 0}`);
+    doc.text(`Moved blocks: ${summary.moves ?? 0}`);
+    doc.text(`Diff chunks: ${summary.totalParts ?? 0}`);
+
+    doc.heading("Insights");
+    if (!result) {
+      doc.text(insights.error ? `Insights unavailable: ${insights.error}` : "Insights unavailable.", muted);
+    } else {
+      doc.text(result.overall_summary || "");
+      const section = (label, items, render, empty) => {
+        doc.text(label, { font: "bold", size: 11 });
+        if (!Array.isArray(items) || !items.length) return doc.text(empty, { ...muted, indent: 12 });
+        items.forEach((item) => doc.runs(render(item), { indent: 12, spacingAfter: 2 }));
+        doc.text("", { size: 4 });
+      };
+      const highlight = (h) => [
+        { text: `• ${h?.title || "Highlight"}`, font: "bold" },
+        ...(h?.evidence ? [{ text: ` — ${h.evidence}`, color: "#5a6475" }] : [])
+      ];
+      section("Added", result.added_highlights, highlight, "No added highlights.");
+      section("Removed", result.removed_highlights, highlight, "No removed highlights.");
+      section(
+        "Categories",
+        result.change_categories,
+        (c) => [{ text: `• ${c?.category || "other"}: `, font: "bold" }, { text: c?.summary || "" }],
+        "No categories detected."
+      );
+      section(
+        "Risks",
+        result.risks,
+        (r) => [
+          {
+            text: `• ${r?.severity || ""} `,
+            font: "bold",
+            color: { High: "#991b1b", Medium: "#92400e", Low: "#065f46" }[r?.severity] || "#0b1220"
+          },
+          { text: r?.message || "" }
+        ],
+        "No risks flagged."
+      );
+      section("Suggested checks", result.suggested_checks, (c) => [{ text: `• ${c}` }], "No suggested checks.");
+      doc.text(`Confidence: ${result.confidence || "unknown"}`, { font: "bold", size: 11 });
+    }
+
+    doc.heading("Inline diff");
+    const diffRuns = (record.diffParts || []).map((part) => {
+      if (part.move) return { text: part.value, color: "#1d4ed8", background: "#dbe7fe" };
+      if (part.added) return { text: part.value, color: "#047857", background: "#d1f2e4" };
+      if (part.removed) return { text: part.value, color: "#b91c1c", background: "#fbdcdc" };
+      return { text: part.value };
+    });
+    if (diffRuns.length) doc.runs(diffRuns, { font: "mono", size: 8.5 });
+    else doc.text("No differences.", muted);
+
+    doc.heading("Structured diff");
+    if (!structuredDiff.length) {
+      doc.text("No structured field changes.", muted);
+    }
+    structuredDiff.forEach((change) => {
+      doc.runs(
+        [
+          { text: `[${change.type || "changed"}] `, font: "bold" },
+          { text: change.path || "(root)", font: "mono" }
+        ],
+        { spacingAfter: 0 }
+      );
+      doc.text(`A: ${formatValue(change.left)}`, { font: "mono", size: 8.5, indent: 12, spacingAfter: 0 });
+      doc.text(`B: ${formatValue(change.right)}`, { font: "mono", size: 8.5, indent: 12 });
+    });
+
+    return doc;
+  };
+
+  // The PDF fonts only cover Western European text. When the comparison has other
+  // characters (shown as "?"), the report is drawn again with a note saying so,
+  // and the note is returned as `warning`.
+  const renderPdf = (record) => {
+    const count = drawPdf(record, null).unsupportedCharacters();
+    const warning = count
+      ? `${count} character${count === 1 ? "" : "s"} outside the Western European character set ` +
+        `${count === 1 ? "is" : "are"} shown as "?" in this PDF. Use the HTML report for the full text.`
+      : null;
+    return { pdf: drawPdf(record, warning).toBuffer(), warning };
+  };
+
+  return { renderHtml, renderPdf };
+};
@@ -0,0 +1,17 @@
+import { RE2JS } from "re2js";
+
+// JavaScript flags that carry over; RE2 always matches by code point, so `u` is a no-op.
+const FLAG_BITS = { i: RE2JS.CASE_INSENSITIVE, m: RE2JS.MULTILINE, s: RE2JS.DOTALL, u: 0 };
+
+// Compiles a user-supplied pattern with RE2, which matches in linear time, so a
+// pattern such as `(a+)+$` can't stall the server. The result has `test(text)`
+// and `matchAll(text)` like a RegExp (match indexes are string offsets). RE2 has
+// no backreferences or lookahead; such patterns throw like invalid ones do.
+export const compileSafeRegExp = (pattern, flags = "") => {
+  const bits = [...new Set(flags)].reduce((sum, flag) => sum | (FLAG_BITS[flag] ?? 0), 0);
+  try {
+    return RE2JS.compile(pattern, bits);
+  } catch (error) {
+    throw new Error(`Invalid regular expression: /${pattern}/: ${error.error || error.message}`);
+  }
+};
@@ -0,0 +1,199 @@
+import { compileSafeRegExp } from "./safe-regex.js";
+
+const MAX_ERRORS = 100;
+
+const isObject = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: isObject,
+  array: Array.isArray,
+  null: (value) => value === null
+};
+
+const isCalendarDate = (text) => {
+  const match = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return false;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCFullYear() === +match[1] && date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+};
+
+const FORMAT_CHECKS = {
+  date: { test: isCalendarDate, label: "a date (YYYY-MM-DD)" },
+  "date-time": {
+    test: (text) =>
+      /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?$/i.test(text) &&
+      isCalendarDate(text.slice(0, 10)),
+    label: "a date-time (ISO 8601)"
+  },
+  time: { test: (text) => /^\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?$/.test(text), label: "a time (HH:MM[:SS])" },
+  email: { test: (text) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(text), label: "an email address" },
+  uri: {
+    test: (text) => {
+      try {
+        return Boolean(new URL(text).protocol);
+      } catch {
+        return false;
+      }
+    },
+    label: "a URI"
+  }
+};
+
+const allowsNull = (rule) => [].concat(rule?.type ?? []).includes("null");
+const typeOf = (value) => (value === null ? "null" : Array.isArray(value) ? "array" : typeof value);
+const describe = (value) => (typeof value === "string" ? JSON.stringify(value) : String(value));
+
+const resolveRef = (root, ref) => {
+  if (ref === "#") return root;
+  if (typeof ref !== "string" || !ref.startsWith("#/")) return null;
+  return ref
+    .slice(2)
+    .split("/")
+    .map((segment) => segment.replace(/~1/g, "/").replace(/~0/g, "~"))
+    .reduce((node, segment) => (isObject(node) ? node[segment] : undefined), root);
+};
+
+// Checks `value` against a JSON schema and returns `{ path, keyword, message }`
+// violations. Covers type, required, properties, additionalProperties, items,
+// enum, const, format, numeric/length/size bounds, pattern, local $refs and
+// allOf/anyOf/oneOf. A `null` property counts as missing, since extraction
+// returns null for fields it could not find.
+export const validateAgainstSchema = (value, schema, { path = "", maxErrors = MAX_ERRORS } = {}) => {
+  const errors = [];
+  // `$ref`s being resolved, per instance path: meeting one again without
+  // descending into the value means the schema refers back to itself.
+  const resolving = new Set();
+
+  const check = (node, at, rule, sink = errors) => {
+    if (sink.length >= maxErrors || !isObject(rule)) return;
+    const report = (where, keyword, message) => {
+      if (sink.length < maxErrors) sink.push({ path: where, keyword, message });
+    };
+    if (rule.$ref) {
+      const key = `${rule.$ref}\u0000${at}`;
+      if (resolving.has(key)) return report(at, "$ref", `${rule.$ref} refers back to itself`);
+      const target = resolveRef(schema, rule.$ref);
+      resolving.add(key);
+      if (target) check(node, at, target, sink);
+      resolving.delete(key);
+      return;
+    }
+
+    if (rule.type !== undefined) {
+      const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+      if (!types.some((type) => TYPE_CHECKS[type]?.(node) ?? true)) {
+        return report(at, "type", `must be ${types.join(" or ")} (got ${typeOf(node)})`);
+      }
+    }
+    if (Array.isArray(rule.enum) && !rule.enum.some((option) => JSON.stringify(option) === JSON.stringify(node))) {
+      report(at, "enum", `must be one of ${rule.enum.map(describe).join(", ")} (got ${describe(node)})`);
+    }
+    if (rule.const !== undefined && JSON.stringify(rule.const) !== JSON.stringify(node)) {
+      report(at, "const", `must be ${describe(rule.const)}`);
+    }
+
+    if (typeof node === "string") {
+      const format = FORMAT_CHECKS[rule.format];
+      if (format && !format.test(node)) report(at, "format", `must be ${format.label} (got ${describe(node)})`);
+      if (Number.isInteger(rule.minLength) && node.length < rule.minLength) {
+        report(at, "minLength", `must be at least ${rule.minLength} characters`);
+      }
+      if (Number.isInteger(rule.maxLength) && node.length > rule.maxLength) {
+        report(at, "maxLength", `must be at most ${rule.maxLength} characters`);
+      }
+      if (typeof rule.pattern === "string") {
+        let re = null;
+        try {
+          re = compileSafeRegExp(rule.pattern, "u");
+        } catch {
+          // An invalid (or, for RE2, unsupported) pattern is the schema's problem, not the extraction's.
+        }
+        if (re && !re.test(node)) report(at, "pattern", `must match ${rule.pattern}`);
+      }
+    }
+
+    if (typeof node === "number") {
+      if (typeof rule.minimum === "number" && node < rule.minimum) report(at, "minimum", `must be >= ${rule.minimum}`);
+      if (typeof rule.maximum === "number" && node > rule.maximum) report(at, "maximum", `must be <= ${rule.maximum}`);
+      if (typeof rule.exclusiveMinimum === "number" && node <= rule.exclusiveMinimum) {
+        report(at, "exclusiveMinimum", `must be > ${rule.exclusiveMinimum}`);
+      }
+      if (typeof rule.exclusiveMaximum === "number" && node >= rule.exclusiveMaximum) {
+        report(at, "exclusiveMaximum", `must be < ${rule.exclusiveMaximum}`);
+      }
+    }
+
+    if (isObject(node)) {
+      const properties = isObject(rule.properties) ? rule.properties : {};
+      const childPath = (name) => (at ? `${at}.${name}` : name);
+      for (const name of Array.isArray(rule.required) ? rule.required : []) {
+        if (node[name] === undefined || node[name] === null) report(childPath(name), "required", "is required");
+      }
+      for (const [name, child] of Object.entries(node)) {
+        if (child === undefined || (child === null && !allowsNull(properties[name]))) continue;
+        if (properties[name]) check(child, childPath(name), properties[name], sink);
+        else if (rule.additionalProperties === false) report(childPath(name), "additionalProperties", "is not allowed");
+        else if (isObject(rule.additionalProperties)) check(child, childPath(name), rule.additionalProperties, sink);
+      }
+    }
+
+    if (Array.isArray(node)) {
+      if (Number.isInteger(rule.minItems) && node.length < rule.minItems) {
+        report(at, "minItems", `must have at least ${rule.minItems} item${rule.minItems === 1 ? "" : "s"}`);
+      }
+      if (Number.isInteger(rule.maxItems) && node.length > rule.maxItems) {
+        report(at, "maxItems", `must have at most ${rule.maxItems} item${rule.maxItems === 1 ? "" : "s"}`);
+      }
+      if (isObject(rule.items)) node.forEach((item, index) => check(item, `${at}[${index}]`, rule.items, sink));
+    }
+
+    if (Array.isArray(rule.allOf)) rule.allOf.forEach((branch) => check(node, at, branch, sink));
+    const branches = rule.anyOf || rule.oneOf;
+    if (Array.isArray(branches) && branches.length) {
+      const passes = branches.some((branch) => {
+        const branchErrors = [];
+        check(node, at, branch, branchErrors);
+        return !branchErrors.length;
+      });
+      if (!passes) report(at, rule.anyOf ? "anyOf" : "oneOf", "does not match any of the allowed schemas");
+    }
+  };
+
+  check(value, path, schema);
+  return errors;
+};
+
+// Validates one side's structured output. Pulse wraps the extracted fields in
+// `values` (next to `citations`), so paths are reported as `values.<field>` to
+// line up with the structured diff.
+export const validateStructuredOutput = (output, schema) => {
+  if (output == null) {
+    return { valid: false, errors: [{ path: "", keyword: "missing", message: "No structured output returned." }] };
+  }
+  const wrapped = isObject(output) && isObject(output.values) && !isObject(schema?.properties?.values);
+  const errors = wrapped
+    ? validateAgainstSchema(output.values, schema, { path: "values" })
+    : validateAgainstSchema(output, schema);
+  return { valid: !errors.length, errors };
+};
+
+// Attaches each side's violations to the structured diff change at the same
+// path, so a missing required field reads as a finding rather than a removal.
+export const annotateChanges = (changes, validation) => {
+  const bySide = ["left", "right"].map((side) => {
+    const byPath = new Map();
+    (validation?.[side]?.errors || []).forEach((error) => {
+      if (!byPath.has(error.path)) byPath.set(error.path, []);
+      byPath.get(error.path).push({ side, keyword: error.keyword, message: error.message });
+    });
+    return byPath;
+  });
+  return changes.map((change) => {
+    const found = bySide.flatMap((byPath) => byPath.get(change.path) || []);
+    return found.length ? { ...change, validation: found } : change;
+  });
+};
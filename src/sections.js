@@ -0,0 +1,231 @@
+const HEADING_RE = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const FENCE_RE = /^ {0,3}(```|~~~)/;
+const KEYWORD_NUMBER_RE =
+  /^(?:section|article|clause|part|chapter|schedule|appendix|annex|exhibit)\s+(\d+(?:\.\d+)*|[ivxlcdm]+|[a-z])\b[.:)]?\s*[-–—:]?\s*/i;
+const PLAIN_NUMBER_RE = /^(\d+(?:\.\d+)*\.?|[ivxlcdm]+[.)]|[a-z][.)]|\([a-z0-9]+\))\s*[-–—:]?\s+/i;
+
+const stripInlineMarkup = (value) => value.replace(/[*_`]+/g, "").trim();
+
+// Splits a heading into its number ("4", "4.1", "IV", "(a)") and its title.
+export const parseHeading = (heading) => {
+  const text = stripInlineMarkup(heading);
+  const match = text.match(KEYWORD_NUMBER_RE) || text.match(PLAIN_NUMBER_RE);
+  const number = match ? match[1].replace(/[.)]$/, "").replace(/^\(/, "").toLowerCase() : null;
+  const title = match && text.slice(match[0].length).trim() ? text.slice(match[0].length).trim() : text;
+  const key = title
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+  return { number, title, key };
+};
+
+// Splits markdown into sections at ATX headings (outside code fences). Each
+// section holds only its own body, up to the next heading of any level; text
+// before the first heading becomes a level-0 preamble.
+export const parseSections = (markdown) => {
+  const text = String(markdown ?? "");
+  const sections = [];
+  let current = { heading: null, level: 0, start: 0, bodyStart: 0 };
+  let inFence = false;
+  let offset = 0;
+
+  for (const line of text.split("\n")) {
+    if (FENCE_RE.test(line)) inFence = !inFence;
+    const match = inFence ? null : line.match(HEADING_RE);
+    if (match && match[2].trim()) {
+      sections.push({ ...current, end: offset });
+      current = {
+        heading: match[2].trim(),
+        level: match[1].length,
+        start: offset,
+        bodyStart: Math.min(offset + line.length + 1, text.length)
+      };
+    }
+    offset += line.length + 1;
+  }
+  sections.push({ ...current, end: text.length });
+
+  return sections
+    .filter((section) => section.heading !== null || text.slice(section.bodyStart, section.end).trim())
+    .map((section, index) => ({
+      index,
+      heading: section.heading,
+      level: section.level,
+      ...(section.heading === null ? { number: null, title: "", key: "" } : parseHeading(section.heading)),
+      start: section.start,
+      body: text.slice(section.bodyStart, section.end),
+      bodyStart: section.bodyStart
+    }));
+};
+
+const bigrams = (value) => {
+  const compact = value.replace(/\s+/g, "");
+  const grams = new Map();
+  for (let i = 0; i < compact.length - 1; i += 1) {
+    const gram = compact.slice(i, i + 2);
+    grams.set(gram, (grams.get(gram) || 0) + 1);
+  }
+  return grams;
+};
+
+const titleSimilarity = (a, b) => {
+  if (a === b) return 1;
+  const left = bigrams(a);
+  const right = bigrams(b);
+  let common = 0;
+  let total = 0;
+  left.forEach((count, gram) => {
+    common += Math.min(count, right.get(gram) || 0);
+    total += count;
+  });
+  right.forEach((count) => {
+    total += count;
+  });
+  return total ? (2 * common) / total : 0;
+};
+
+// Pairs sections by heading title, ignoring numbering: exact titles first (in
+// document order, so repeated titles pair up in turn), then the closest
+// remaining titles above `minSimilarity`.
+const alignSections = (left, right, minSimilarity) => {
+  const pairs = [];
+  const usedRight = new Set();
+  const byKey = new Map();
+  right.forEach((section) => {
+    if (!byKey.has(section.key)) byKey.set(section.key, []);
+    byKey.get(section.key).push(section);
+  });
+
+  const unmatched = [];
+  for (const section of left) {
+    const match = (byKey.get(section.key) || []).find((candidate) => !usedRight.has(candidate.index));
+    if (match) {
+      usedRight.add(match.index);
+      pairs.push({ left: section, right: match, renamed: false });
+    } else {
+      unmatched.push(section);
+    }
+  }
+
+  const candidates = [];
+  for (const section of unmatched) {
+    if (section.heading === null) continue;
+    for (const other of right) {
+      if (usedRight.has(other.index) || other.heading === null) continue;
+      const similarity = titleSimilarity(section.key, other.key);
+      if (similarity >= minSimilarity) candidates.push({ left: section, right: other, similarity });
+    }
+  }
+  const usedLeft = new Set();
+  candidates
+    .sort((a, b) => b.similarity - a.similarity)
+    .forEach((candidate) => {
+      if (usedLeft.has(candidate.left.index) || usedRight.has(candidate.right.index)) return;
+      usedLeft.add(candidate.left.index);
+      usedRight.add(candidate.right.index);
+      pairs.push({ left: candidate.left, right: candidate.right, renamed: true });
+    });
+
+  return pairs.sort((a, b) => a.right.index - b.right.index);
+};
+
+// Pairs that keep their relative order (longest increasing run of left indexes);
+// the rest were moved.
+const findInOrder = (pairs) => {
+  const lengths = pairs.map(() => 1);
+  const previous = pairs.map(() => -1);
+  pairs.forEach((pair, i) => {
+    for (let j = 0; j < i; j += 1) {
+      if (pairs[j].left.index < pair.left.index && lengths[j] + 1 > lengths[i]) {
+        lengths[i] = lengths[j] + 1;
+        previous[i] = j;
+      }
+    }
+  });
+  const inOrder = new Set();
+  let i = lengths.indexOf(Math.max(...lengths));
+  while (i !== -1) {
+    inOrder.add(pairs[i]);
+    i = previous[i];
+  }
+  return inOrder;
+};
+
+const sideOf = (section) =>
+  section && { heading: section.heading, number: section.number, level: section.level, start: section.start };
+
+// Aligns the heading trees of both texts and diffs each section pair on its own.
+// `diff(left, right)` receives `{ text, start }` bodies and returns diff parts;
+// `count(part)` sizes a changed part. Items come in right-hand order, with
+// removed sections placed after their left-hand predecessor.
+export const diffSections = (leftText, rightText, { diff, count, minSimilarity = 0.75 }) => {
+  const left = parseSections(leftText);
+  const right = parseSections(rightText);
+  const hasHeadings = [...left, ...right].some((section) => section.heading !== null);
+  const summary = { added: 0, removed: 0, modified: 0, unchanged: 0, total: 0 };
+  if (!hasHeadings) return { summary, items: [] };
+
+  const pairs = alignSections(left, right, minSimilarity);
+  const inOrder = findInOrder(pairs);
+  const pairByRight = new Map(pairs.map((pair) => [pair.right.index, pair]));
+  const matchedLeft = new Set(pairs.map((pair) => pair.left.index));
+
+  const ordered = [];
+  let leftCursor = 0;
+  const flushRemoved = (upTo) => {
+    for (; leftCursor < upTo; leftCursor += 1) {
+      if (!matchedLeft.has(leftCursor)) ordered.push({ left: left[leftCursor], right: null });
+    }
+  };
+  for (const section of right) {
+    const pair = pairByRight.get(section.index);
+    if (pair && inOrder.has(pair)) flushRemoved(pair.left.index + 1);
+    ordered.push(pair || { left: null, right: section });
+  }
+  flushRemoved(left.length);
+
+  const items = ordered.map((entry, index) => {
+    const shown = entry.right || entry.left;
+    const bodyOf = (section) => ({ text: section?.body ?? "", start: section?.bodyStart ?? 0 });
+    const parts = diff(bodyOf(entry.left), bodyOf(entry.right));
+    const total = (flag) => parts.filter((part) => part[flag]).reduce((sum, part) => sum + count(part), 0);
+    const additions = total("added");
+    const removals = total("removed");
+    const paired = Boolean(entry.left && entry.right);
+    const renamed = Boolean(entry.renamed);
+    const status = !entry.left
+      ? "added"
+      : !entry.right
+        ? "removed"
+        : additions || removals || renamed
+          ? "modified"
+          : "unchanged";
+
+    summary[status] += 1;
+    summary.total += 1;
+    return {
+      id: `section-${index + 1}`,
+      status,
+      heading: shown.heading,
+      title: shown.title,
+      level: shown.level,
+      left: sideOf(entry.left),
+      right: sideOf(entry.right),
+      renumbered: paired && entry.left.number !== entry.right.number,
+      renamed,
+      moved: paired && !inOrder.has(entry),
+      additions,
+      removals,
+      parts
+    };
+  });
+
+  const stack = [];
+  items.forEach((item) => {
+    while (stack.length && stack[stack.length - 1].level >= item.level) stack.pop();
+    item.parentId = stack.length ? stack[stack.length - 1].id : null;
+    if (item.level > 0) stack.push(item);
+  });
+
+  return { summary, items };
+};
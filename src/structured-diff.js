@@ -0,0 +1,297 @@
+import { diffArrays } from "diff";
+import { compareValues, parseTolerance } from "./value-compare.js";
+
+// Schema keyword naming the field that identifies the items of an array, e.g.
+// `"line_items": { "type": "array", "x-match-key": "sku", ... }`.
+export const MATCH_KEY_KEYWORD = "x-match-key";
+// Schema keyword allowing a numeric field to differ by an absolute amount (`0.01`)
+// or a percentage of the left value (`"1%"`) before it counts as changed.
+export const TOLERANCE_KEYWORD = "x-tolerance";
+
+// Fields tried, in order, when no key is configured for an array of objects.
+const DEFAULT_KEY_FIELDS = ["id", "sku", "code", "item_number", "part_number", "number", "description", "name", "title"];
+
+const isObject = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+const isPrimitive = (value) => value == null || typeof value !== "object";
+const signature = (value) => JSON.stringify(value ?? null);
+
+// Schema paths without indexes (`total`, `orders[].items`) mapped to the value
+// of `keyword` on that node.
+const collectKeyword = (schema, keyword) => {
+  const found = {};
+  const walk = (node, pathKey) => {
+    if (!isObject(node)) return;
+    if (node[keyword] !== undefined && pathKey) found[pathKey] = node[keyword];
+    if (node.type === "array" || node.items) walk(node.items, `${pathKey}[]`);
+    if (isObject(node.properties)) {
+      for (const [name, child] of Object.entries(node.properties)) walk(child, pathKey ? `${pathKey}.${name}` : name);
+    }
+  };
+  walk(schema, "");
+  return found;
+};
+
+export const collectArrayKeys = (schema) =>
+  Object.fromEntries(
+    Object.entries(collectKeyword(schema, MATCH_KEY_KEYWORD)).filter(([, key]) => typeof key === "string")
+  );
+
+export const collectTolerances = (schema) =>
+  Object.fromEntries(
+    Object.entries(collectKeyword(schema, TOLERANCE_KEYWORD)).map(([pathKey, value]) => {
+      const tolerance = parseTolerance(value);
+      if (!tolerance) {
+        throw new Error(`${pathKey}: ${TOLERANCE_KEYWORD} must be a non-negative number or a percentage such as "2%".`);
+      }
+      return [pathKey, tolerance];
+    })
+  );
+
+// The schema as sent to Pulse, without the comparison keywords above.
+export const stripAnnotations = (schema) => {
+  if (Array.isArray(schema)) return schema.map(stripAnnotations);
+  if (!isObject(schema)) return schema;
+  return Object.fromEntries(
+    Object.entries(schema)
+      .filter(([name]) => name !== MATCH_KEY_KEYWORD && name !== TOLERANCE_KEYWORD)
+      .map(([name, value]) => [name, stripAnnotations(value)])
+  );
+};
+
+// `values.line_items[3]` → `line_items`; structured output may wrap fields in `values`.
+const schemaPathOf = (pathKey) => pathKey.replace(/\[\d+\]/g, "[]").replace(/^values\./, "");
+
+const findKeyField = (a, b, configured) => {
+  const all = [...a, ...b];
+  if (!all.length || !all.every(isObject)) return null;
+  if (configured) return configured;
+
+  return (
+    DEFAULT_KEY_FIELDS.find((field) => {
+      const values = (items) => items.map((item) => item[field]);
+      const usable = (items) => {
+        const list = values(items);
+        return list.every((value) => isPrimitive(value) && value !== null && value !== "") && new Set(list).size === list.length;
+      };
+      if (!usable(a) || !usable(b)) return false;
+      const right = new Set(values(b));
+      return values(a).some((value) => right.has(value));
+    }) || null
+  );
+};
+
+// Share of the fields on either side that hold the same value.
+const objectSimilarity = (a, b) => {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  if (!fields.size) return 1;
+  let same = 0;
+  fields.forEach((field) => {
+    if (signature(a[field]) === signature(b[field])) same += 1;
+  });
+  return same / fields.size;
+};
+
+const keyOf = (value) => signature(typeof value === "string" ? value.trim().replace(/\s+/g, " ").toLowerCase() : value);
+
+// Items pair up by their key value. Items without one (a missing or null key)
+// are left to pairBySimilarity instead of all sharing the key "null".
+const pairByKey = (a, b, keyField, minSimilarity) => {
+  const hasKey = (item) => isObject(item) && item[keyField] != null;
+  const byValue = new Map();
+  b.forEach((item, index) => {
+    if (!hasKey(item)) return;
+    const value = keyOf(item[keyField]);
+    if (!byValue.has(value)) byValue.set(value, []);
+    byValue.get(value).push(index);
+  });
+  const pairs = a.flatMap((item, index) => {
+    const match = hasKey(item) ? byValue.get(keyOf(item[keyField]))?.shift() : undefined;
+    return match === undefined ? [] : [{ left: index, right: match }];
+  });
+
+  const keyless = (items) => items.flatMap((item, index) => (hasKey(item) ? [] : [index]));
+  const leftKeyless = keyless(a);
+  const rightKeyless = keyless(b);
+  const rest = pairBySimilarity(
+    leftKeyless.map((index) => a[index]),
+    rightKeyless.map((index) => b[index]),
+    minSimilarity
+  );
+  return [...pairs, ...rest.map(({ left, right }) => ({ left: leftKeyless[left], right: rightKeyless[right] }))];
+};
+
+// Equal items pair up in order first, then equal items anywhere (moves). What is
+// left pairs by best field overlap for objects, or by position within the same
+// gap for other values.
+const pairBySimilarity = (a, b, minSimilarity) => {
+  const pairs = [];
+  const gaps = [];
+  let gap = { left: [], right: [] };
+  let i = 0;
+  let j = 0;
+  for (const part of diffArrays(a.map(signature), b.map(signature))) {
+    const count = part.value.length;
+    if (part.removed) {
+      for (let k = 0; k < count; k += 1) gap.left.push(i + k);
+      i += count;
+    } else if (part.added) {
+      for (let k = 0; k < count; k += 1) gap.right.push(j + k);
+      j += count;
+    } else {
+      gaps.push(gap);
+      gap = { left: [], right: [] };
+      for (let k = 0; k < count; k += 1) pairs.push({ left: i + k, right: j + k });
+      i += count;
+      j += count;
+    }
+  }
+  gaps.push(gap);
+
+  const usedLeft = new Set();
+  const usedRight = new Set();
+  const take = (left, right) => {
+    usedLeft.add(left);
+    usedRight.add(right);
+    pairs.push({ left, right });
+  };
+  const leftovers = (side) => gaps.flatMap((entry) => entry[side]);
+
+  for (const left of leftovers("left")) {
+    const right = leftovers("right").find((index) => !usedRight.has(index) && signature(b[index]) === signature(a[left]));
+    if (right !== undefined) take(left, right);
+  }
+
+  const candidates = [];
+  for (const left of leftovers("left")) {
+    if (usedLeft.has(left) || !isObject(a[left])) continue;
+    for (const right of leftovers("right")) {
+      if (usedRight.has(right) || !isObject(b[right])) continue;
+      const similarity = objectSimilarity(a[left], b[right]);
+      if (similarity >= minSimilarity) candidates.push({ left, right, similarity });
+    }
+  }
+  candidates
+    .sort((x, y) => y.similarity - x.similarity || Math.abs(x.left - x.right) - Math.abs(y.left - y.right))
+    .forEach(({ left, right }) => {
+      if (!usedLeft.has(left) && !usedRight.has(right)) take(left, right);
+    });
+
+  for (const entry of gaps) {
+    const lefts = entry.left.filter((index) => !usedLeft.has(index) && isPrimitive(a[index]));
+    const rights = entry.right.filter((index) => !usedRight.has(index) && isPrimitive(b[index]));
+    for (let k = 0; k < Math.min(lefts.length, rights.length); k += 1) take(lefts[k], rights[k]);
+  }
+  return pairs;
+};
+
+// Pairs that keep their relative order (longest increasing run of left indexes,
+// found by binary search over the smallest run ends).
+const findInOrder = (pairs) => {
+  const sorted = [...pairs].sort((x, y) => x.right - y.right);
+  const ends = [];
+  const previous = sorted.map(() => -1);
+  sorted.forEach((pair, k) => {
+    let low = 0;
+    let high = ends.length;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (sorted[ends[middle]].left < pair.left) low = middle + 1;
+      else high = middle;
+    }
+    previous[k] = low ? ends[low - 1] : -1;
+    ends[low] = k;
+  });
+  const inOrder = new Set();
+  for (let k = ends.length ? ends[ends.length - 1] : -1; k !== -1; k = previous[k]) inOrder.add(sorted[k]);
+  return inOrder;
+};
+
+// Field-level differences between two structured outputs. Array items are
+// matched by a key field (from `arrayKeys` or a common identifier field) or by
+// best fit, and reported as `added`, `removed`, `moved` or `modified` with the
+// field changes inside them following as `changed`/`added`/`removed` entries.
+// Values are compared by meaning: `formatOnly` marks changes that only differ in
+// formatting or stay within the path's entry in `tolerances`.
+export const diffStructured = (left, right, { arrayKeys = {}, tolerances = {}, minSimilarity = 0.5 } = {}) => {
+  const changes = [];
+  const push = (change) => changes.push({ formatOnly: false, ...change });
+
+  const compareLeaf = (pathKey, a, b) => {
+    const tolerance = tolerances[schemaPathOf(pathKey)] || null;
+    const result = compareValues(a, b, tolerance);
+    if (result === "equal") return;
+    push({
+      path: pathKey,
+      type: "changed",
+      left: a ?? null,
+      right: b ?? null,
+      formatOnly: result !== "changed",
+      ...(result === "tolerance" ? { tolerance } : {})
+    });
+  };
+
+  const diffArray = (pathKey, a, b) => {
+    const keyField = findKeyField(a, b, arrayKeys[schemaPathOf(pathKey)]);
+    const pairs = keyField ? pairByKey(a, b, keyField, minSimilarity) : pairBySimilarity(a, b, minSimilarity);
+    const inOrder = findInOrder(pairs);
+    const pairedLeft = new Set(pairs.map((pair) => pair.left));
+    const pairedRight = new Map(pairs.map((pair) => [pair.right, pair]));
+    const match = (item) => (keyField && isObject(item) ? { key: keyField, value: item[keyField] ?? null } : {});
+
+    b.forEach((item, index) => {
+      const itemPath = `${pathKey}[${index}]`;
+      const pair = pairedRight.get(index);
+      if (!pair) return push({ path: itemPath, type: "added", left: null, right: item ?? null, ...match(item) });
+
+      const before = a[pair.left];
+      const moved = !inOrder.has(pair);
+      const same = signature(before) === signature(item);
+      if (same && !moved) return;
+      if (isPrimitive(before) && isPrimitive(item) && !moved) return compareLeaf(itemPath, before, item);
+      const entry = {
+        path: itemPath,
+        type: moved ? "moved" : "modified",
+        left: before ?? null,
+        right: item ?? null,
+        leftPath: `${pathKey}[${pair.left}]`,
+        ...match(item)
+      };
+      const start = changes.length;
+      push(entry);
+      if (!same) walk(itemPath, before, item);
+      changes[start].formatOnly = !moved && changes.slice(start + 1).every((change) => change.formatOnly);
+    });
+
+    a.forEach((item, index) => {
+      if (pairedLeft.has(index)) return;
+      push({ path: `${pathKey}[${index}]`, type: "removed", left: item ?? null, right: null, ...match(item) });
+    });
+  };
+
+  const walk = (pathKey, a, b) => {
+    if (a === undefined && b === undefined) return;
+    if (a === undefined) return push({ path: pathKey, type: "added", left: null, right: b ?? null });
+    if (b === undefined) return push({ path: pathKey, type: "removed", left: a ?? null, right: null });
+
+    const aIsArray = Array.isArray(a);
+    const bIsArray = Array.isArray(b);
+    if (aIsArray || bIsArray) {
+      if (!aIsArray || !bIsArray) return push({ path: pathKey, type: "changed", left: a ?? null, right: b ?? null });
+      return diffArray(pathKey, a, b);
+    }
+
+    const aIsObj = a != null && typeof a === "object";
+    const bIsObj = b != null && typeof b === "object";
+    if (aIsObj || bIsObj) {
+      if (!aIsObj || !bIsObj) return push({ path: pathKey, type: "changed", left: a ?? null, right: b ?? null });
+      const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+      for (const key of keys) walk(pathKey ? `${pathKey}.${key}` : key, a[key], b[key]);
+      return;
+    }
+
+    compareLeaf(pathKey, a, b);
+  };
+
+  walk("", left, right);
+  return changes;
+};
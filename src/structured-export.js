@@ -0,0 +1,62 @@
+import { createXlsxWorkbook } from "./xlsx-writer.js";
+
+export const STRUCTURED_EXPORT_COLUMNS = ["path", "field", "change_type", "left_value", "right_value"];
+
+export const isCitationPath = (pathKey) => {
+  const p = String(pathKey || "");
+  return p === "citations" || p.startsWith("citations.") || p.startsWith("citations[");
+};
+
+// Same display path the structured diff table in the UI uses.
+export const normalizeStructuredPath = (pathKey) => {
+  const p = String(pathKey || "");
+  if (!p) return "(root)";
+  if (p === "values") return "(values)";
+  if (p.startsWith("values.")) return p.slice("values.".length);
+  return p;
+};
+
+const exportValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === "object") return JSON.stringify(value);
+  return value;
+};
+
+const toRow = (change) => [
+  change.path || "",
+  normalizeStructuredPath(change.path),
+  change.type || "changed",
+  exportValue(change.left),
+  exportValue(change.right)
+];
+
+export const splitStructuredChanges = (changes) => {
+  const fields = [];
+  const citations = [];
+  for (const change of changes || []) {
+    (isCitationPath(change?.path) ? citations : fields).push(change);
+  }
+  return { fields, citations };
+};
+
+// Text starting like a formula is prefixed with `'` so spreadsheet apps don't evaluate it.
+const FORMULA_START_RE = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "string" && FORMULA_START_RE.test(value)) return `"'${value.replaceAll('"', '""')}"`;
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+};
+
+export const structuredChangesToCsv = (changes) =>
+  // Leading BOM so spreadsheet apps detect UTF-8.
+  `﻿${[STRUCTURED_EXPORT_COLUMNS, ...changes.map(toRow)]
+    .map((row) => row.map(csvCell).join(","))
+    .join("\r\n")}\r\n`;
+
+export const structuredChangesToXlsx = ({ fields, citations = null }) =>
+  createXlsxWorkbook([
+    { name: "Field changes", rows: [STRUCTURED_EXPORT_COLUMNS, ...fields.map(toRow)] },
+    ...(citations ? [{ name: "Citations", rows: [STRUCTURED_EXPORT_COLUMNS, ...citations.map(toRow)] }] : [])
+  ]);
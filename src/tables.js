@@ -0,0 +1,364 @@
+import { diffArrays } from "diff";
+
+const PIPE_ROW_RE = /^\s*\|.*\|\s*$/;
+const SEPARATOR_CELL_RE = /^\s*:?-{3,}:?\s*$/;
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " };
+
+const cleanCell = (value) =>
+  String(value ?? "")
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => ENTITIES[name])
+    .replace(/\s+/g, " ")
+    .trim();
+
+const cellKey = (value) => cleanCell(value).toLowerCase();
+
+const splitPipeRow = (line) =>
+  line
+    .trim()
+    .replace(/^\|/, "")
+    .replace(/\|$/, "")
+    .split(/(?<!\\)\|/)
+    .map((cell) => cleanCell(cell.replace(/\\\|/g, "|")));
+
+const isSeparatorRow = (line) =>
+  PIPE_ROW_RE.test(line) && line.trim().slice(1, -1).split("|").every((cell) => SEPARATOR_CELL_RE.test(cell));
+
+const findPipeTables = (text) => {
+  const tables = [];
+  const lines = text.split("\n");
+  const offsets = [];
+  let offset = 0;
+  for (const line of lines) {
+    offsets.push(offset);
+    offset += line.length + 1;
+  }
+
+  for (let i = 0; i < lines.length - 1; i += 1) {
+    if (!PIPE_ROW_RE.test(lines[i]) || !isSeparatorRow(lines[i + 1])) continue;
+    let end = i + 2;
+    while (end < lines.length && PIPE_ROW_RE.test(lines[end])) end += 1;
+    tables.push({
+      format: "markdown",
+      start: offsets[i],
+      end: offsets[end - 1] + lines[end - 1].length,
+      headers: splitPipeRow(lines[i]),
+      rows: lines.slice(i + 2, end).map(splitPipeRow)
+    });
+    i = end - 1;
+  }
+  return tables;
+};
+
+// `<tag …>…</tag>` elements of `text` (`tag` is a regex source such as "t[hd]"),
+// the same ones a lazy `<tag\b[^>]*>[\s\S]*?</tag>` regex finds, but in one
+// left-to-right pass: once an opening tag has no closing tag after it, no later
+// one can either, so broken markup isn't rescanned for every unclosed tag.
+const findElements = (text, tag) => {
+  const openRe = new RegExp(`<(?:${tag})\\b`, "gi");
+  const closeRe = new RegExp(`</(?:${tag})>`, "gi");
+  const elements = [];
+  for (let open = openRe.exec(text); open; open = openRe.exec(text)) {
+    const tagEnd = text.indexOf(">", open.index);
+    if (tagEnd === -1) break;
+    closeRe.lastIndex = tagEnd + 1;
+    const close = closeRe.exec(text);
+    if (!close) break;
+    elements.push({ start: open.index, end: closeRe.lastIndex, inner: text.slice(tagEnd + 1, close.index) });
+    openRe.lastIndex = closeRe.lastIndex;
+  }
+  return elements;
+};
+
+const findHtmlTables = (text) =>
+  findElements(text, "table").flatMap((table) => {
+    const rows = findElements(table.inner, "tr").map((row) =>
+      findElements(row.inner, "t[hd]").map((cell) => cleanCell(cell.inner))
+    );
+    if (!rows.length) return [];
+    const [first, ...rest] = rows;
+    return [
+      {
+        format: "html",
+        start: table.start,
+        end: table.end,
+        headers: first,
+        rows: rest
+      }
+    ];
+  });
+
+// Markdown pipe tables and HTML tables, in document order. The first row is
+// taken as the header row.
+export const findTables = (text) => {
+  const source = String(text ?? "");
+  const html = findHtmlTables(source);
+  const insideHtml = (table) => html.some((other) => table.start >= other.start && table.end <= other.end);
+  return [...html, ...findPipeTables(source).filter((table) => !insideHtml(table))]
+    .sort((a, b) => a.start - b.start)
+    .map((table, index) => ({ index, ...table }));
+};
+
+const headerSimilarity = (a, b) => {
+  const left = new Set(a.headers.map(cellKey).filter(Boolean));
+  const right = new Set(b.headers.map(cellKey).filter(Boolean));
+  const union = new Set([...left, ...right]);
+  if (!union.size) return a.headers.length === b.headers.length ? 1 : 0;
+  return [...left].filter((key) => right.has(key)).length / union.size;
+};
+
+// Pairs tables by header overlap, preferring tables at the same position.
+const matchTables = (left, right, minSimilarity) => {
+  const candidates = [];
+  left.forEach((a) =>
+    right.forEach((b) => {
+      const similarity = headerSimilarity(a, b);
+      if (similarity >= minSimilarity) candidates.push({ left: a, right: b, similarity });
+    })
+  );
+  const usedLeft = new Set();
+  const usedRight = new Set();
+  return candidates
+    .sort(
+      (x, y) =>
+        y.similarity - x.similarity ||
+        Math.abs(x.left.index - x.right.index) - Math.abs(y.left.index - y.right.index)
+    )
+    .filter((pair) => {
+      if (usedLeft.has(pair.left.index) || usedRight.has(pair.right.index)) return false;
+      usedLeft.add(pair.left.index);
+      usedRight.add(pair.right.index);
+      return true;
+    });
+};
+
+// Columns are matched by header text; unmatched ones are added or removed.
+const alignColumns = (left, right) => {
+  const columns = [];
+  const usedRight = new Set();
+  left.headers.forEach((name, leftIndex) => {
+    const rightIndex = right.headers.findIndex(
+      (other, index) => !usedRight.has(index) && cellKey(other) === cellKey(name)
+    );
+    if (rightIndex !== -1) usedRight.add(rightIndex);
+    columns.push({ name, left: leftIndex, right: rightIndex === -1 ? null : rightIndex });
+  });
+  right.headers.forEach((name, rightIndex) => {
+    if (!usedRight.has(rightIndex)) columns.push({ name, left: null, right: rightIndex });
+  });
+  return columns.map((column) => ({
+    ...column,
+    status: column.left === null ? "added" : column.right === null ? "removed" : "unchanged"
+  }));
+};
+
+const valuesOf = (rows, index) => rows.map((row) => cellKey(row[index]));
+
+// A column whose values are unique and non-empty on both sides and shared by at
+// least half the rows. `preferred` names the column to use instead of guessing.
+const findKeyColumn = (columns, left, right, preferred) => {
+  const shared = sharedColumns(columns);
+  if (preferred) return shared.find((column) => cellKey(column.name) === cellKey(preferred)) || null;
+
+  let best = null;
+  for (const column of shared) {
+    const leftValues = valuesOf(left.rows, column.left);
+    const rightValues = valuesOf(right.rows, column.right);
+    const unique = (values) => values.every(Boolean) && new Set(values).size === values.length;
+    if (!leftValues.length || !rightValues.length || !unique(leftValues) || !unique(rightValues)) continue;
+    const rightSet = new Set(rightValues);
+    const overlap = leftValues.filter((value) => rightSet.has(value)).length;
+    if (overlap < Math.max(1, Math.min(leftValues.length, rightValues.length) / 2)) continue;
+    if (!best || overlap > best.overlap) best = { column, overlap };
+  }
+  return best?.column || null;
+};
+
+const sharedColumns = (columns) => columns.filter((column) => column.left !== null && column.right !== null);
+
+const rowSimilarity = (columns, leftRow, rightRow) => {
+  const shared = sharedColumns(columns);
+  if (!shared.length) return 0;
+  const same = shared.filter((column) => cellKey(leftRow[column.left]) === cellKey(rightRow[column.right])).length;
+  return same / shared.length;
+};
+
+// Rows pair up by key value; a value used more than once pairs in order.
+const pairRowsByKey = (left, right, key) => {
+  const rightByKey = new Map();
+  right.rows.forEach((row, index) => {
+    const value = cellKey(row[key.right]);
+    if (!rightByKey.has(value)) rightByKey.set(value, []);
+    rightByKey.get(value).push(index);
+  });
+  return left.rows.flatMap((row, index) => {
+    const match = rightByKey.get(cellKey(row[key.left]))?.shift();
+    return match === undefined ? [] : [{ left: index, right: match }];
+  });
+};
+
+// Identical rows are matched in order first; the rows left over between them
+// are paired with the most similar row in the same gap.
+const pairRowsBySimilarity = (columns, left, right, minSimilarity) => {
+  const shared = sharedColumns(columns);
+  const signature = (row, side) => shared.map((column) => cellKey(row[column[side]])).join("\u0001");
+  const parts = diffArrays(
+    left.rows.map((row) => signature(row, "left")),
+    right.rows.map((row) => signature(row, "right"))
+  );
+
+  const pairs = [];
+  let leftIndex = 0;
+  let rightIndex = 0;
+  let gap = { left: [], right: [] };
+  const closeGap = () => {
+    let after = -1;
+    for (const l of gap.left) {
+      let best = null;
+      for (const r of gap.right) {
+        if (r <= after) continue;
+        const similarity = rowSimilarity(columns, left.rows[l], right.rows[r]);
+        if (similarity >= minSimilarity && (!best || similarity > best.similarity)) best = { r, similarity };
+      }
+      if (!best) continue;
+      pairs.push({ left: l, right: best.r });
+      after = best.r;
+    }
+    gap = { left: [], right: [] };
+  };
+
+  for (const part of parts) {
+    const count = part.value.length;
+    if (part.removed) {
+      for (let i = 0; i < count; i += 1) gap.left.push(leftIndex + i);
+      leftIndex += count;
+    } else if (part.added) {
+      for (let i = 0; i < count; i += 1) gap.right.push(rightIndex + i);
+      rightIndex += count;
+    } else {
+      closeGap();
+      for (let i = 0; i < count; i += 1) pairs.push({ left: leftIndex + i, right: rightIndex + i });
+      leftIndex += count;
+      rightIndex += count;
+    }
+  }
+  closeGap();
+  return pairs;
+};
+
+// Right-hand order, with each unmatched left row placed after the rows that
+// preceded it on the left.
+const orderRows = (leftCount, rightCount, pairs) => {
+  const byRight = new Map(pairs.map((pair) => [pair.right, pair.left]));
+  const matchedLeft = new Set(pairs.map((pair) => pair.left));
+  const ordered = [];
+  let cursor = 0;
+  const flush = (upTo) => {
+    for (; cursor < upTo; cursor += 1) {
+      if (!matchedLeft.has(cursor)) ordered.push({ left: cursor, right: null });
+    }
+  };
+  for (let right = 0; right < rightCount; right += 1) {
+    const left = byRight.get(right);
+    if (left !== undefined) flush(left);
+    ordered.push({ left: left ?? null, right });
+  }
+  flush(leftCount);
+  return ordered;
+};
+
+const sideOf = (table) =>
+  table && {
+    index: table.index,
+    format: table.format,
+    start: table.start,
+    end: table.end,
+    rowCount: table.rows.length
+  };
+
+const compareTables = (left, right, { key: preferredKey, minRowSimilarity }) => {
+  const columns = alignColumns(left || { headers: [] }, right || { headers: [] });
+  const key = left && right ? findKeyColumn(columns, left, right, preferredKey) : null;
+  let pairs = [];
+  if (left && right) {
+    pairs = key ? pairRowsByKey(left, right, key) : pairRowsBySimilarity(columns, left, right, minRowSimilarity);
+  }
+
+  const rows = orderRows(left?.rows.length || 0, right?.rows.length || 0, pairs).map((entry) => {
+    const leftRow = entry.left === null ? null : left.rows[entry.left];
+    const rightRow = entry.right === null ? null : right.rows[entry.right];
+    const cells = columns.map((column) => {
+      const leftValue = leftRow && column.left !== null ? leftRow[column.left] ?? "" : null;
+      const rightValue = rightRow && column.right !== null ? rightRow[column.right] ?? "" : null;
+      const changed = Boolean(
+        leftRow && rightRow && column.status === "unchanged" && cellKey(leftValue) !== cellKey(rightValue)
+      );
+      return { left: leftValue, right: rightValue, changed };
+    });
+    let status = cells.some((cell) => cell.changed) ? "modified" : "unchanged";
+    if (!leftRow) status = "added";
+    if (!rightRow) status = "removed";
+    return { status, left: entry.left, right: entry.right, cells };
+  });
+
+  const summary = {
+    rowsAdded: rows.filter((row) => row.status === "added").length,
+    rowsRemoved: rows.filter((row) => row.status === "removed").length,
+    rowsModified: rows.filter((row) => row.status === "modified").length,
+    cellsChanged: rows.reduce((sum, row) => sum + row.cells.filter((cell) => cell.changed).length, 0),
+    columnsAdded: columns.filter((column) => column.status === "added").length,
+    columnsRemoved: columns.filter((column) => column.status === "removed").length
+  };
+  const changed = Object.values(summary).some(Boolean);
+  return {
+    status: !left ? "added" : !right ? "removed" : changed ? "modified" : "unchanged",
+    left: sideOf(left),
+    right: sideOf(right),
+    key: key?.name ?? null,
+    columns: columns.map(({ name, status }) => ({ name, status })),
+    rows,
+    summary
+  };
+};
+
+// Finds the tables in both texts, pairs them by header overlap and diffs each
+// pair cell by cell. `ranges` holds each side's table spans so the text diff
+// can skip them.
+export const diffTables = (
+  leftText,
+  rightText,
+  { key = null, minTableSimilarity = 0.5, minRowSimilarity = 0.5 } = {}
+) => {
+  const left = findTables(leftText);
+  const right = findTables(rightText);
+  const pairs = matchTables(left, right, minTableSimilarity);
+  const pairByRight = new Map(pairs.map((pair) => [pair.right.index, pair.left]));
+  const pairedLeft = new Set(pairs.map((pair) => pair.left.index));
+
+  const entries = [
+    ...right.map((table) => ({ left: pairByRight.get(table.index) || null, right: table })),
+    ...left.filter((table) => !pairedLeft.has(table.index)).map((table) => ({ left: table, right: null }))
+  ];
+  const items = entries.map((entry, index) => ({
+    id: `table-${index + 1}`,
+    ...compareTables(entry.left, entry.right, { key, minRowSimilarity })
+  }));
+
+  const count = (status) => items.filter((item) => item.status === status).length;
+  return {
+    summary: {
+      added: count("added"),
+      removed: count("removed"),
+      modified: count("modified"),
+      unchanged: count("unchanged"),
+      cellsChanged: items.reduce((sum, item) => sum + item.summary.cellsChanged, 0)
+    },
+    items,
+    ranges: {
+      left: left.map((table) => [table.start, table.end]),
+      right: right.map((table) => [table.start, table.end])
+    }
+  };
+};
@@ -0,0 +1,149 @@
+export const THREE_WAY_TYPES = [
+  "unchanged",
+  "changed-left-only",
+  "changed-right-only",
+  "changed-both",
+  "conflicting"
+];
+
+// Turns base → side diff parts into hunks addressed by character offsets in the
+// base text: [start, end) is replaced by text. Adjacent removed/added parts
+// collapse into one hunk; pure insertions have start === end.
+const toHunks = (parts) => {
+  const hunks = [];
+  let basePos = 0;
+  let current = null;
+  for (const part of parts || []) {
+    if (!part.added && !part.removed) {
+      current = null;
+      basePos += part.value.length;
+      continue;
+    }
+    if (!current) {
+      current = { start: basePos, end: basePos, text: "" };
+      hunks.push(current);
+    }
+    if (part.removed) {
+      basePos += part.value.length;
+      current.end = basePos;
+    } else {
+      current.text += part.value;
+    }
+  }
+  return hunks;
+};
+
+const overlaps = (hunk, start, end) =>
+  hunk.start === start || (hunk.start < end && start < hunk.end);
+
+const applyHunks = (baseText, start, end, hunks) => {
+  let out = "";
+  let pos = start;
+  for (const hunk of hunks) {
+    out += baseText.slice(pos, hunk.start) + hunk.text;
+    pos = hunk.end;
+  }
+  return out + baseText.slice(pos, end);
+};
+
+// Classic diff3 merge: hunks from both sides that overlap (or insert at the same
+// base offset) form one region; a region is a conflict when both sides touched it
+// and ended up with different text.
+export const mergeThreeWay = (baseText, leftParts, rightParts) => {
+  const hunks = [
+    ...toHunks(leftParts).map((hunk) => ({ ...hunk, side: "left" })),
+    ...toHunks(rightParts).map((hunk) => ({ ...hunk, side: "right" }))
+  ].sort((a, b) => a.start - b.start || a.end - b.end);
+
+  const regions = [];
+  const pushUnchanged = (start, end) => {
+    if (end <= start) return;
+    const text = baseText.slice(start, end);
+    regions.push({ type: "unchanged", base: text, left: text, right: text });
+  };
+
+  let pos = 0;
+  let i = 0;
+  while (i < hunks.length) {
+    const group = [hunks[i]];
+    let start = hunks[i].start;
+    let end = hunks[i].end;
+    i += 1;
+    while (i < hunks.length && overlaps(hunks[i], start, end)) {
+      group.push(hunks[i]);
+      start = Math.min(start, hunks[i].start);
+      end = Math.max(end, hunks[i].end);
+      i += 1;
+    }
+
+    pushUnchanged(pos, start);
+    const leftHunks = group.filter((hunk) => hunk.side === "left");
+    const rightHunks = group.filter((hunk) => hunk.side === "right");
+    const left = applyHunks(baseText, start, end, leftHunks);
+    const right = applyHunks(baseText, start, end, rightHunks);
+    let type;
+    if (!rightHunks.length) type = "changed-left-only";
+    else if (!leftHunks.length) type = "changed-right-only";
+    else type = left === right ? "changed-both" : "conflicting";
+    regions.push({ type, base: baseText.slice(start, end), left, right });
+    pos = end;
+  }
+  pushUnchanged(pos, baseText.length);
+
+  return regions;
+};
+
+export const countThreeWayTypes = (items, key = "type") =>
+  THREE_WAY_TYPES.reduce((counts, type) => {
+    counts[type] = items.filter((item) => item[key] === type).length;
+    return counts;
+  }, {});
+
+const PATH_TOKEN_RE = /[^.[\]]+|\[(\d+)\]/g;
+
+const valueAtPath = (value, pathKey) => {
+  let current = value;
+  for (const [token, index] of String(pathKey || "").matchAll(PATH_TOKEN_RE)) {
+    if (current == null || typeof current !== "object") return null;
+    current = current[index ?? token];
+  }
+  return current ?? null;
+};
+
+const isRelatedPath = (a, b) =>
+  a === b || b.startsWith(`${a}.`) || b.startsWith(`${a}[`) || a.startsWith(`${b}.`) || a.startsWith(`${b}[`);
+
+// Classifies structured field changes from base → left and base → right by path.
+// Nested edits on one side (e.g. `values.total`) conflict with edits to a parent
+// or child path (e.g. `values`) on the other. Array items reported as `modified`
+// are compared through their field changes instead.
+export const classifyStructuredThreeWay = ({ left, right, leftChanges, rightChanges }) => {
+  const byPath = (changes) =>
+    new Map(changes.filter((change) => change.type !== "modified").map((change) => [change.path, change]));
+  const leftByPath = byPath(leftChanges);
+  const rightByPath = byPath(rightChanges);
+  const paths = [...new Set([...leftByPath.keys(), ...rightByPath.keys()])];
+
+  return paths.map((pathKey) => {
+    const leftChange = leftByPath.get(pathKey);
+    const rightChange = rightByPath.get(pathKey);
+    const entry = {
+      path: pathKey,
+      base: (leftChange || rightChange).left,
+      left: leftChange ? leftChange.right : valueAtPath(left, pathKey),
+      right: rightChange ? rightChange.right : valueAtPath(right, pathKey),
+      leftChange: leftChange?.type || null,
+      rightChange: rightChange?.type || null
+    };
+
+    let type;
+    if (leftChange && rightChange) {
+      type = JSON.stringify(entry.left) === JSON.stringify(entry.right) ? "changed-both" : "conflicting";
+    } else {
+      const otherPaths = leftChange ? rightByPath.keys() : leftByPath.keys();
+      const related = [...otherPaths].some((other) => isRelatedPath(pathKey, other));
+      type = related ? "conflicting" : leftChange ? "changed-left-only" : "changed-right-only";
+    }
+    return { ...entry, type };
+  });
+};
@@ -0,0 +1,142 @@
+const CURRENCY_SYMBOLS = { $: "USD", "€": "EUR", "£": "GBP", "¥": "JPY", "₹": "INR" };
+const CURRENCY_PREFIX_RE = /^([A-Z]{3}(?![A-Za-z])|[$€£¥₹])\s*/;
+const CURRENCY_SUFFIX_RE = /\s*((?<![A-Za-z])[A-Z]{3}|[$€£¥₹%])$/;
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Number layouts with their thousands and decimal separators.
+const NUMBER_LAYOUTS = [
+  [/^\d+(?:\.\d+)?$/, "", "."],
+  [/^\d{1,3}(?:,\d{3})+(?:\.\d+)?$/, ",", "."],
+  [/^\d{1,3}(?:\.\d{3})+(?:,\d+)?$/, ".", ","],
+  [/^\d{1,3}(?:[ '\u00a0\u202f]\d{3})+(?:[.,]\d+)?$/, /[ '\u00a0\u202f]/g, ","],
+  [/^\d+,\d{1,2}$/, "", ","]
+];
+
+// Plain numbers, numeric strings ("1,200.00", "1.200,00", "(50)") and amounts
+// with a currency symbol or code ("$1,200", "1200 EUR") or a percent sign.
+export const parseNumber = (value) => {
+  if (typeof value === "number") return Number.isFinite(value) ? { amount: value, unit: null } : null;
+  if (typeof value !== "string") return null;
+
+  let text = value.trim();
+  let negative = false;
+  if (/^\(.+\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  let unit = null;
+  text = text
+    .replace(CURRENCY_PREFIX_RE, (_, code) => {
+      unit = CURRENCY_SYMBOLS[code] || code;
+      return "";
+    })
+    .replace(/^[-+−]/, (sign) => {
+      negative = negative || sign !== "+";
+      return "";
+    })
+    .replace(/^([$€£¥₹])\s*/, (_, code) => {
+      unit = unit || CURRENCY_SYMBOLS[code];
+      return "";
+    })
+    .replace(CURRENCY_SUFFIX_RE, (_, code) => {
+      unit = unit || (code === "%" ? "%" : CURRENCY_SYMBOLS[code] || code);
+      return "";
+    })
+    .trim();
+
+  // Zero-padded digits ("00123") are identifiers such as invoice or PO numbers, not amounts.
+  if (/^0\d/.test(text)) return null;
+  const layout = NUMBER_LAYOUTS.find(([re]) => re.test(text));
+  if (!layout) return null;
+  const [, thousands, decimal] = layout;
+  const amount = Number(text.split(thousands).join("").replace(decimal, "."));
+  return Number.isFinite(amount) ? { amount: negative ? -amount : amount, unit } : null;
+};
+
+const isoDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date.toISOString().slice(0, 10);
+};
+
+const monthNumber = (name) => {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+};
+
+// Month-first and day-first readings of a numeric "01/05/2024" date (null when
+// that reading isn't a valid date), or null for any other value.
+const numericDate = (value) => {
+  const match = typeof value === "string" ? value.trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/) : null;
+  if (!match) return null;
+  const [, first, second, year] = match.map(Number);
+  return { monthFirst: isoDate(year, first, second), dayFirst: isoDate(year, second, first) };
+};
+
+// The ISO dates a value could mean: "2024-01-05", "Jan 5, 2024", "5 January 2024"
+// or "01/05/2024" (both month-first and day-first readings when valid).
+export const parseDate = (value) => {
+  if (typeof value !== "string") return [];
+  const text = value.trim();
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T ][\d:.]+(?:Z|[+-]\d{2}:?\d{2})?)?$/);
+  if (match) return [isoDate(+match[1], +match[2], +match[3])].filter(Boolean);
+
+  match = text.match(/^([a-z]+)\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+  if (match && monthNumber(match[1])) return [isoDate(+match[3], monthNumber(match[1]), +match[2])].filter(Boolean);
+
+  match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)\.?,?\s+(\d{4})$/i);
+  if (match && monthNumber(match[2])) return [isoDate(+match[3], monthNumber(match[2]), +match[1])].filter(Boolean);
+
+  const numeric = numericDate(text);
+  return numeric ? [...new Set([numeric.monthFirst, numeric.dayFirst].filter(Boolean))] : [];
+};
+
+const normalizeText = (value) => String(value).trim().replace(/\s+/g, " ").toLowerCase();
+
+// `0.5` or `"0.5"` allow an absolute difference, `"2%"` one relative to the left value.
+export const parseTolerance = (value) => {
+  if (typeof value === "number" && Number.isFinite(value) && value >= 0) return { absolute: value };
+  const match = typeof value === "string" ? value.trim().match(/^(\d+(?:\.\d+)?)\s*(%?)$/) : null;
+  if (!match) return null;
+  return match[2] ? { percent: Number(match[1]) } : { absolute: Number(match[1]) };
+};
+
+const withinTolerance = (a, b, tolerance) => {
+  if (!tolerance) return false;
+  const limit = tolerance.percent !== undefined ? (Math.abs(a) * tolerance.percent) / 100 : tolerance.absolute;
+  return Math.abs(a - b) <= limit + 1e-9;
+};
+
+// Compares two scalar values by meaning. Returns "equal" for identical values,
+// "format" when they only differ in formatting (number layout, currency symbol,
+// date format, whitespace or case), "tolerance" for numbers within `tolerance`,
+// and "changed" otherwise.
+export const compareValues = (a, b, tolerance = null) => {
+  if (a === b) return "equal";
+  if (a == null || b == null) return "changed";
+
+  const left = parseNumber(a);
+  const right = parseNumber(b);
+  if (left && right) {
+    if (left.unit && right.unit && left.unit !== right.unit) return "changed";
+    if (left.amount === right.amount) return "format";
+    return withinTolerance(left.amount, right.amount, tolerance) ? "tolerance" : "changed";
+  }
+
+  // Two numeric dates are read the same way (both month-first or both
+  // day-first); either reading is only taken against an unambiguous date.
+  const leftNumeric = numericDate(a);
+  const rightNumeric = numericDate(b);
+  if (leftNumeric && rightNumeric) {
+    const sameDate = (reading) => leftNumeric[reading] && leftNumeric[reading] === rightNumeric[reading];
+    return sameDate("monthFirst") || sameDate("dayFirst") ? "format" : "changed";
+  }
+
+  const leftDates = parseDate(a);
+  const rightDates = parseDate(b);
+  if (leftDates.length && rightDates.length) {
+    return leftDates.some((date) => rightDates.includes(date)) ? "format" : "changed";
+  }
+
+  return normalizeText(a) === normalizeText(b) ? "format" : "changed";
+};
@@ -0,0 +1,95 @@
+// Walks the consecutive diffs of a revision chain character by character and
+// records, for the last version's text, the version that introduced each
+// character and, for the first version's text, the version that removed it
+// (-1 while it survives).
+export const attributeVersionChain = (texts, stepParts) => {
+  const firstLength = texts[0].length;
+  let introducedIn = new Int32Array(firstLength);
+  let sourceIndex = Int32Array.from({ length: firstLength }, (_, i) => i);
+  const removedIn = new Int32Array(firstLength).fill(-1);
+
+  stepParts.forEach((parts, step) => {
+    const version = step + 1;
+    const nextLength = texts[version].length;
+    const nextIntroducedIn = new Int32Array(nextLength);
+    const nextSourceIndex = new Int32Array(nextLength).fill(-1);
+    let prevPos = 0;
+    let nextPos = 0;
+
+    for (const part of parts) {
+      const length = part.value.length;
+      if (part.added) {
+        nextIntroducedIn.fill(version, nextPos, nextPos + length);
+        nextPos += length;
+      } else if (part.removed) {
+        for (let i = prevPos; i < prevPos + length; i += 1) {
+          const source = sourceIndex[i];
+          if (source >= 0 && removedIn[source] < 0) removedIn[source] = version;
+        }
+        prevPos += length;
+      } else {
+        nextIntroducedIn.set(introducedIn.subarray(prevPos, prevPos + length), nextPos);
+        nextSourceIndex.set(sourceIndex.subarray(prevPos, prevPos + length), nextPos);
+        prevPos += length;
+        nextPos += length;
+      }
+    }
+
+    introducedIn = nextIntroducedIn;
+    sourceIndex = nextSourceIndex;
+  });
+
+  return { introducedIn, removedIn };
+};
+
+const splitByVersion = (part, versions, offset, { byLine, fallbackVersion }) => {
+  const { value } = part;
+  const runs = [];
+  let i = 0;
+  while (i < value.length) {
+    const end = byLine ? value.indexOf("\n", i) + 1 || value.length : i + 1;
+    let version = -1;
+    for (let k = i; k < end; k += 1) version = Math.max(version, versions[offset + k]);
+    // Added text the steps kept from the first version (0), or removed text
+    // that survives every step (-1), is put on the last version.
+    if (version < 1) version = fallbackVersion;
+
+    const last = runs[runs.length - 1];
+    if (last?.version === version) last.end = end;
+    else runs.push({ start: i, end, version });
+    i = end;
+  }
+
+  return runs.map((run) => ({
+    value: value.slice(run.start, run.end),
+    added: part.added,
+    removed: part.removed,
+    version: run.version
+  }));
+};
+
+// Splits the added/removed parts of the first → last diff so each piece carries
+// the index of the version responsible for it. Line diffs are only split at line
+// boundaries so each rendered line keeps a single attribution.
+export const attributeDiffParts = (diffParts, { introducedIn, removedIn }, { byLine = false, lastVersion }) => {
+  const attributed = [];
+  let firstPos = 0;
+  let lastPos = 0;
+
+  for (const part of diffParts) {
+    const length = part.value.length;
+    if (part.added) {
+      attributed.push(...splitByVersion(part, introducedIn, lastPos, { byLine, fallbackVersion: lastVersion }));
+      lastPos += length;
+    } else if (part.removed) {
+      attributed.push(...splitByVersion(part, removedIn, firstPos, { byLine, fallbackVersion: lastVersion }));
+      firstPos += length;
+    } else {
+      attributed.push(part);
+      firstPos += length;
+      lastPos += length;
+    }
+  }
+
+  return attributed;
+};
@@ -6,7 +6,12 @@ import { createApp } from "../src/app.js";
 const makeApp = (overrides = {}) => {
   const merged = {
     ...overrides,
-    config: { debugEnabled: false, ...(overrides.config || {}) }
+    config: {
+      debugEnabled: false,
+      extractionCacheEnabled: false,
+      historyEnabled: false,
+      ...(overrides.config || {})
+    }
   };
   const { app } = createApp({
     disableStatic: true,
@@ -122,6 +127,73 @@ test("line diff returns line counts and line-based HTML", async () => {
   assert.match(res.body.inlineHtml, /diff-line/);
 });
 
+test("line diff highlights the changed words inside modified line pairs", async () => {
+  let call = 0;
+  const app = makeApp({
+    createPulseClient: () => ({
+      extract: async () => {
+        call += 1;
+        return call === 1
+          ? { markdown: "Title\nThe fee is payable within 30 days.\n" }
+          : { markdown: "Title\nThe fee is payable within 45 days.\nNew clause.\n" };
+      }
+    })
+  });
+
+  const res = await postCompare(app, {
+    left: { data: Buffer.from("x"), name: "a.pdf", type: "application/pdf" },
+    right: { data: Buffer.from("y"), name: "b.pdf", type: "application/pdf" },
+    fields: { diff_mode: "lines" }
+  });
+
+  assert.equal(res.status, 200);
+  assert.match(
+    res.body.inlineHtml,
+    /<div class="diff-line diff-removed">The fee is payable within <span class="diff-word-removed">30<\/span> days\.<\/div><div class="diff-line diff-removed"><\/div><div class="diff-line diff-added">The fee is payable within <span class="diff-word-added">45<\/span> days\.<\/div><div class="diff-line diff-added">New clause\.<\/div>/
+  );
+
+  const leftRows = res.body.sideBySideHtml.left.match(/<div class="diff-line[^"]*">/g);
+  const rightRows = res.body.sideBySideHtml.right.match(/<div class="diff-line[^"]*">/g);
+  assert.equal(leftRows.length, rightRows.length);
+  assert.match(res.body.sideBySideHtml.left, /<span class="diff-word-removed">30<\/span>/);
+  assert.match(res.body.sideBySideHtml.right, /<span class="diff-word-added">45<\/span>/);
+});
+
+test("character and sentence modes use their own units", async () => {
+  const texts = ["The colour is red. Payment is due in 30 days.", "The color is red. Payment is due in 45 days."];
+  let call = 0;
+  const app = makeApp({
+    createPulseClient: () => ({
+      extract: async () => ({ markdown: texts[call++ % 2] })
+    })
+  });
+
+  const compare = (diffMode) =>
+    postCompare(app, {
+      left: { data: Buffer.from("x"), name: "a.pdf", type: "application/pdf" },
+      right: { data: Buffer.from("y"), name: "b.pdf", type: "application/pdf" },
+      fields: { diff_mode: diffMode }
+    });
+
+  const chars = await compare("chars");
+  assert.equal(chars.status, 200);
+  assert.equal(chars.body.summary.unit, "characters");
+  assert.equal(chars.body.summary.removals, 3);
+  assert.equal(chars.body.summary.additions, 2);
+  assert.match(chars.body.inlineHtml, /<span>The colo<\/span><span class="diff-removed">u<\/span>/);
+
+  const sentences = await compare("sentences");
+  assert.equal(sentences.status, 200);
+  assert.equal(sentences.body.summary.unit, "sentences");
+  assert.equal(sentences.body.summary.removals, 2);
+  assert.equal(sentences.body.summary.additions, 2);
+  assert.match(sentences.body.inlineHtml, /<span class="diff-removed">Payment is due in 30 days\.<\/span>/);
+
+  const unknown = await compare("paragraphs");
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /diff_mode must be one of words, lines, chars, sentences/);
+});
+
 test("large-file detection uses async only for the large side", async () => {
   const calls = { extract: 0, extractAsync: 0 };
 
@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { createComparisonStore } from "../src/comparison-store.js";
+
+const makeHistoryDir = () => fs.mkdtemp(path.join(os.tmpdir(), "pulse-history-"));
+
+const makeApp = (historyDir, overrides = {}) => {
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({
+        markdown: file.filename.startsWith("a") ? "hello world" : "hello brave world"
+      })
+    }),
+    ...overrides,
+    config: {
+      debugEnabled: false,
+      extractionCacheEnabled: false,
+      historyDir,
+      ...(overrides.config || {})
+    }
+  });
+  return app;
+};
+
+const postCompare = (app, leftName = "a.pdf", rightName = "b.pdf") =>
+  request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: leftName, contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: rightName, contentType: "application/pdf" })
+    .field("diff_mode", "words");
+
+test("finished comparisons are stored and can be reloaded by id", async () => {
+  const dir = await makeHistoryDir();
+  const app = makeApp(dir);
+
+  const compared = await postCompare(app);
+  assert.equal(compared.status, 200);
+  assert.equal(typeof compared.body.id, "string");
+
+  const reloaded = await request(makeApp(dir)).get(`/api/comparisons/${compared.body.id}`);
+  assert.equal(reloaded.status, 200);
+  assert.equal(reloaded.body.state, "done");
+  assert.deepEqual(reloaded.body.result, compared.body);
+
+  const record = JSON.parse(await fs.readFile(path.join(dir, `${compared.body.id}.json`), "utf8"));
+  assert.equal(record.leftName, "a.pdf");
+  assert.equal(record.rightName, "b.pdf");
+  assert.match(record.leftHash, /^[0-9a-f]{64}$/);
+  assert.equal(record.diffMode, "words");
+  assert.ok(Array.isArray(record.diffParts));
+  assert.ok(Array.isArray(record.structuredDiff));
+  assert.equal(record.insights.provider, "heuristic");
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("GET /api/comparisons pages and searches stored comparisons", async () => {
+  const dir = await makeHistoryDir();
+  const app = makeApp(dir);
+
+  await postCompare(app, "a-invoice.pdf", "b-invoice.pdf");
+  await postCompare(app, "a-contract.pdf", "b-contract.pdf");
+  await postCompare(app, "a-memo.pdf", "b-memo.pdf");
+
+  const firstPage = await request(app).get("/api/comparisons?page=1&page_size=2");
+  assert.equal(firstPage.status, 200);
+  assert.equal(firstPage.body.total, 3);
+  assert.equal(firstPage.body.items.length, 2);
+  assert.equal(firstPage.body.items[0].leftName, "a-memo.pdf");
+  assert.equal(firstPage.body.items[0].summary.additions, 1);
+
+  const secondPage = await request(app).get("/api/comparisons?page=2&page_size=2");
+  assert.equal(secondPage.body.items.length, 1);
+  assert.equal(secondPage.body.items[0].leftName, "a-invoice.pdf");
+
+  const search = await request(app).get("/api/comparisons?q=CONTRACT");
+  assert.equal(search.body.total, 1);
+  assert.equal(search.body.items[0].rightName, "b-contract.pdf");
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("DELETE /api/comparisons/:id removes a stored comparison", async () => {
+  const dir = await makeHistoryDir();
+  const app = makeApp(dir);
+
+  const compared = await postCompare(app);
+  const removed = await request(app).delete(`/api/comparisons/${compared.body.id}`);
+  assert.equal(removed.status, 204);
+
+  const missing = await request(app).get(`/api/comparisons/${compared.body.id}`);
+  assert.equal(missing.status, 404);
+  const again = await request(app).delete(`/api/comparisons/${compared.body.id}`);
+  assert.equal(again.status, 404);
+
+  const list = await request(app).get("/api/comparisons");
+  assert.equal(list.body.total, 0);
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("comparisons older than the retention period are purged", async () => {
+  const dir = await makeHistoryDir();
+  const store = createComparisonStore({ dir, retentionMs: 60_000 });
+
+  const old = new Date(Date.now() - 120_000).toISOString();
+  await store.save({ id: "old", createdAt: old, leftName: "a", rightName: "b", result: {} });
+  await store.save({
+    id: "fresh",
+    createdAt: new Date().toISOString(),
+    leftName: "a",
+    rightName: "b",
+    result: {}
+  });
+
+  const list = await store.list();
+  assert.deepEqual(list.items.map((item) => item.id), ["fresh"]);
+  assert.equal(await store.get("old"), null);
+  await assert.rejects(fs.access(path.join(dir, "old.json")));
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
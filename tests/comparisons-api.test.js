@@ -0,0 +1,190 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+
+const makeApp = (overrides = {}) => {
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    ...overrides,
+    config: {
+      debugEnabled: false,
+      extractionCacheEnabled: false,
+      historyEnabled: false,
+      ...(overrides.config || {})
+    }
+  });
+  return app;
+};
+
+const postComparison = (app, fields = {}) => {
+  let req = request(app)
+    .post("/api/comparisons")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+  for (const [k, v] of Object.entries(fields)) req = req.field(k, String(v));
+  return req;
+};
+
+const waitForJob = async (app, id) => {
+  for (let i = 0; i < 100; i += 1) {
+    const res = await request(app).get(`/api/comparisons/${id}`);
+    if (res.body.state === "done" || res.body.state === "failed") return res;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  throw new Error(`Comparison ${id} did not finish`);
+};
+
+test("POST /api/comparisons returns an id immediately and finishes in the background", async () => {
+  let call = 0;
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const app = makeApp({
+    createPulseClient: () => ({
+      extract: async () => {
+        call += 1;
+        const markdown = call === 1 ? "hello world" : "hello brave world";
+        await gate;
+        return { markdown };
+      }
+    })
+  });
+
+  const created = await postComparison(app, { diff_mode: "words" });
+  assert.equal(created.status, 202);
+  assert.equal(typeof created.body.id, "string");
+  assert.match(created.headers.location, new RegExp(`/api/comparisons/${created.body.id}$`));
+  assert.ok(["queued", "extracting"].includes(created.body.state));
+
+  const pending = await request(app).get(`/api/comparisons/${created.body.id}`);
+  assert.equal(pending.body.state, "extracting");
+  assert.equal(pending.body.result, undefined);
+
+  release();
+  const done = await waitForJob(app, created.body.id);
+  assert.equal(done.status, 200);
+  assert.equal(done.body.state, "done");
+  assert.equal(done.body.result.summary.additions, 1);
+  assert.match(done.body.result.inlineHtml, /diff-added/);
+  assert.equal(done.body.result.extracted.right, "hello brave world");
+});
+
+test("failed comparison jobs report the error and status", async () => {
+  const app = makeApp({
+    createPulseClient: () => ({
+      extract: async () => {
+        const err = new Error("FILE_003: File corrupted");
+        err.statusCode = 400;
+        throw err;
+      }
+    })
+  });
+
+  const created = await postComparison(app);
+  assert.equal(created.status, 202);
+
+  const done = await waitForJob(app, created.body.id);
+  assert.equal(done.body.state, "failed");
+  assert.equal(done.body.status, 400);
+  assert.match(done.body.error, /corrupted/i);
+});
+
+test("invalid comparison requests are rejected before a job is created", async () => {
+  const app = makeApp();
+  const res = await request(app)
+    .post("/api/comparisons")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" });
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /upload both/i);
+
+  const missing = await request(app).get("/api/comparisons/does-not-exist");
+  assert.equal(missing.status, 404);
+});
+
+const readEventStream = (app, id) =>
+  request(app)
+    .get(`/api/comparisons/${id}/events`)
+    .buffer(true)
+    .parse((res, callback) => {
+      let body = "";
+      res.setEncoding("utf8");
+      res.on("data", (chunk) => {
+        body += chunk;
+      });
+      res.on("end", () => callback(null, body));
+    });
+
+const parseEvents = (body) =>
+  body
+    .split("\n\n")
+    .filter((block) => block.includes("data: "))
+    .map((block) => {
+      const type = block.match(/^event: (.+)$/m)?.[1];
+      const data = JSON.parse(block.match(/^data: (.+)$/m)?.[1] || "null");
+      return { type, data };
+    });
+
+test("comparison progress is streamed over server-sent events", async () => {
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  let polls = 0;
+  const app = makeApp({
+    config: { largeFileThresholdBytes: 2, pollIntervalMs: 1 },
+    fetchFn: async () => ({
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      text: async () => JSON.stringify({ markdown: "hello brave world" })
+    }),
+    createPulseClient: () => ({
+      extract: async () => {
+        await gate;
+        return { markdown: "hello world" };
+      },
+      extractAsync: async () => ({ job_id: "job-sse" }),
+      jobs: {
+        getJob: async () => {
+          polls += 1;
+          return polls < 2
+            ? { status: "processing" }
+            : { status: "completed", result: { is_url: true, url: "https://example.com/r.json" } };
+        }
+      }
+    })
+  });
+
+  const created = await request(app)
+    .post("/api/comparisons")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("large"), { filename: "b.pdf", contentType: "application/pdf" });
+  assert.equal(created.status, 202);
+
+  const streamed = readEventStream(app, created.body.id);
+  setTimeout(release, 20);
+  const res = await streamed;
+
+  assert.equal(res.status, 200);
+  assert.match(res.headers["content-type"], /text\/event-stream/);
+
+  const events = parseEvents(res.body);
+  const progress = events.filter((e) => e.type === "progress").map((e) => e.data);
+  const rightStatuses = progress
+    .filter((e) => e.stage === "extraction" && e.side === "right")
+    .map((e) => e.status);
+  assert.deepEqual(rightStatuses, ["submitted", "polling", "polling", "fetching-result", "done"]);
+  assert.equal(progress.find((e) => e.side === "right" && e.status === "polling").jobStatus, "processing");
+  assert.ok(progress.some((e) => e.stage === "extraction" && e.side === "left" && e.status === "done"));
+  assert.ok(progress.some((e) => e.stage === "diff" && e.status === "done"));
+  assert.ok(progress.some((e) => e.stage === "insights" && e.status === "done"));
+
+  const states = events.filter((e) => e.type === "state").map((e) => e.data.state);
+  assert.deepEqual(states, ["queued", "extracting", "diffing", "insights", "done"]);
+
+  const replay = await readEventStream(app, created.body.id);
+  assert.deepEqual(parseEvents(replay.body), events);
+});
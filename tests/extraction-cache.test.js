@@ -0,0 +1,89 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { createExtractionCache } from "../src/extraction-cache.js";
+
+const makeCacheDir = () => fs.mkdtemp(path.join(os.tmpdir(), "pulse-cache-"));
+
+const postCompare = (app, fields = {}) => {
+  let req = request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("left-doc"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("right-doc"), { filename: "b.pdf", contentType: "application/pdf" });
+  for (const [k, v] of Object.entries(fields)) req = req.field(k, String(v));
+  return req;
+};
+
+test("re-comparing the same files is served from the extraction cache", async () => {
+  const dir = await makeCacheDir();
+  const calls = { extract: 0 };
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheDir: dir, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => {
+        calls.extract += 1;
+        return { markdown: file.data.toString() === "left-doc" ? "hello world" : "hello brave world" };
+      }
+    })
+  });
+
+  const first = await postCompare(app);
+  assert.equal(first.status, 200);
+  assert.deepEqual(first.body.summary.cacheHits, { left: false, right: false });
+  assert.equal(calls.extract, 2);
+
+  const second = await postCompare(app);
+  assert.equal(second.status, 200);
+  assert.deepEqual(second.body.summary.cacheHits, { left: true, right: true });
+  assert.equal(calls.extract, 2);
+  assert.equal(second.body.extracted.right, "hello brave world");
+  assert.equal(second.body.summary.additions, 1);
+
+  const structured = await postCompare(app, {
+    structured_enabled: "true",
+    structured_schema: JSON.stringify({ type: "object", properties: { total: { type: "number" } } })
+  });
+  assert.equal(structured.status, 200);
+  assert.deepEqual(structured.body.summary.cacheHits, { left: false, right: false });
+  assert.equal(calls.extract, 4);
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("extraction cache evicts least recently used entries over the size cap", async () => {
+  const dir = await makeCacheDir();
+  const cache = createExtractionCache({ dir, maxBytes: 200, ttlMs: 60_000 });
+  const value = (text) => ({ text: text.repeat(40) });
+
+  await cache.set("a", value("a"));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await cache.set("b", value("b"));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.ok(await cache.get("a"));
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  await cache.set("c", value("c"));
+
+  assert.ok(await cache.get("a"));
+  assert.equal(await cache.get("b"), null);
+  assert.ok(await cache.get("c"));
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("expired extraction cache entries are ignored", async () => {
+  const dir = await makeCacheDir();
+  const cache = createExtractionCache({ dir, maxBytes: 10_000, ttlMs: 5 });
+
+  await cache.set("k", { text: "stale" });
+  await new Promise((resolve) => setTimeout(resolve, 20));
+  assert.equal(await cache.get("k"), null);
+  assert.deepEqual(await fs.readdir(dir), []);
+
+  await fs.rm(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,97 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { generateHeuristicInsights } from "../src/heuristic-insights.js";
+
+const meta = (overrides = {}) => ({
+  left_name: "a.pdf",
+  right_name: "b.pdf",
+  unit: "words",
+  additions: 0,
+  removals: 0,
+  moved_blocks: 0,
+  structured_changes: 0,
+  ...overrides
+});
+
+test("entities in added and removed text become highlights, categories and risks", () => {
+  const diffParts = [
+    { value: "Payment of " },
+    { value: "$1,200", removed: true },
+    { value: "$1,500", added: true },
+    { value: " is due by " },
+    { value: "March 1, 2024", removed: true },
+    { value: "April 15, 2024 with a 5% late fee", added: true },
+    { value: ".\n\n" },
+    { value: "## Limitation of Liability\nNeither party is liable for indirect loss.\n", removed: true },
+    { value: "Questions go to billing@acme.example or https://acme.example/help. Contact: Jane Smith\n", added: true },
+    { value: "Block moved elsewhere with $9 in it", added: true, move: { id: 1 } }
+  ];
+
+  const result = generateHeuristicInsights({ meta: meta({ additions: 20, removals: 12 }) }, diffParts);
+
+  assert.deepEqual(
+    result.change_categories.map((c) => c.category),
+    ["money", "numbers", "dates", "links", "people", "sections"]
+  );
+  assert.match(result.change_categories[0].summary, /added \$1,500; removed \$1,200/);
+  assert.ok(result.added_highlights.some((h) => h.title === "Amount added: $1,500" && h.evidence.includes("$1,500")));
+  assert.ok(result.added_highlights.some((h) => h.title === "Person added: Jane Smith"));
+  assert.ok(result.removed_highlights.some((h) => h.title === "Section removed: Limitation of Liability"));
+  assert.equal(result.added_highlights.some((h) => h.title.includes("$9")), false);
+
+  assert.deepEqual(
+    result.risks.map((r) => r.severity),
+    ["High", "High", "Medium", "Medium", "Medium", "Low"]
+  );
+  assert.match(result.risks[0].message, /\$1,200 → \$1,500/);
+  assert.match(result.risks[4].message, /liability/);
+  assert.equal(result.confidence, "Medium");
+  assert.match(result.overall_summary, /^B\.pdf adds 20 words and removes 12 words\. Changes involve money/);
+});
+
+test("structured field changes are categorized by value and path", () => {
+  const result = generateHeuristicInsights(
+    {
+      meta: meta({ structured_changes: 3 }),
+      structured_diff_sample: [
+        { path: "values.total", type: "changed", left: "$100.00", right: "$120.00" },
+        { path: "values.due", type: "changed", left: "2024-01-05", right: "2024-02-05" },
+        { path: "values.vendor", type: "removed", left: "ACME", right: null }
+      ]
+    },
+    []
+  );
+
+  assert.deepEqual(
+    result.change_categories.map((c) => c.category),
+    ["money", "dates", "organizations"]
+  );
+  assert.deepEqual(result.added_highlights[0], { title: "Field changed: total", evidence: "$100.00 → $120.00" });
+  assert.deepEqual(result.removed_highlights[0], { title: "Field removed: vendor", evidence: "ACME" });
+  assert.deepEqual(result.risks[0], { severity: "High", message: "Monetary amounts changed (total: $100.00 → $120.00)." });
+  assert.match(result.overall_summary, /^Changes 3 structured fields\./);
+
+  const malformed = (sample) => generateHeuristicInsights({ meta: meta(), structured_diff_sample: sample }, []);
+  assert.deepEqual(malformed("x").change_categories, []);
+  assert.deepEqual(malformed([{}, null, { path: 4 }]).change_categories, []);
+});
+
+test("plain wording changes and identical documents get low-confidence insights", () => {
+  const worded = generateHeuristicInsights({ meta: meta({ additions: 2, removals: 1 }) }, [
+    { value: "The " },
+    { value: "quick", removed: true },
+    { value: "slow brown", added: true },
+    { value: " fox" }
+  ]);
+  assert.deepEqual(worded.change_categories, [
+    { category: "other", summary: "Wording changes without detectable amounts, dates or names." }
+  ]);
+  assert.deepEqual(worded.added_highlights, [{ title: "Text added", evidence: "slow brown" }]);
+  assert.deepEqual(worded.risks, []);
+  assert.equal(worded.confidence, "Low");
+
+  const same = generateHeuristicInsights({ meta: meta() }, [{ value: "unchanged" }]);
+  assert.equal(same.overall_summary, "No differences were found between the documents.");
+  assert.deepEqual(same.suggested_checks, []);
+  assert.deepEqual(same.change_categories, []);
+});
@@ -0,0 +1,147 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { findIgnoredRanges, parseIgnoreRules } from "../src/ignore-rules.js";
+
+const PAGE_RULE = { type: "regex", pattern: "Page \\d+ of \\d+", flags: "i" };
+
+const documents = {
+  "a.pdf": "Printed 2024-01-05 10:00\nThe fee is 100 USD.\nPage 1 of 12\nDoc ID: AX-1\n",
+  "b.pdf": "Printed 2024-03-09 16:45\nThe fee is 120 USD.\npage 1 of 13\nDoc ID: AX-1\nPage 2 of 13\n"
+};
+
+const makeApp = async () => {
+  const ignoreRulesDir = await fs.mkdtemp(path.join(os.tmpdir(), "ignore-rules-"));
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false, ignoreRulesDir },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: documents[file.filename] })
+    })
+  });
+  return app;
+};
+
+const compare = (app, fields) => {
+  let req = request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+  for (const [name, value] of Object.entries(fields)) req = req.field(name, value);
+  return req;
+};
+
+test("ignore rules are validated and their matches merged", () => {
+  assert.deepEqual(parseIgnoreRules(["CONFIDENTIAL", PAGE_RULE]), [
+    { type: "literal", pattern: "CONFIDENTIAL" },
+    PAGE_RULE
+  ]);
+  assert.throws(() => parseIgnoreRules({}), /JSON array/);
+  assert.throws(() => parseIgnoreRules([{ type: "regex", pattern: "(" }]), /Ignore rule 1/);
+  assert.throws(() => parseIgnoreRules([{ type: "regex", pattern: "a", flags: "g" }]), /flags/);
+  assert.throws(() => parseIgnoreRules([{ type: "glob", pattern: "a" }]), /literal or regex/);
+
+  const ranges = findIgnoredRanges(
+    "a.b a*b PAGE 2 of 3",
+    parseIgnoreRules(["a*b", { type: "regex", pattern: "b\\s+P" }, PAGE_RULE])
+  );
+  assert.deepEqual(ranges, [[4, 19]]);
+
+  assert.throws(() => parseIgnoreRules([{ type: "regex", pattern: "(a)\\1" }]), /Invalid regular expression/);
+  const slow = parseIgnoreRules([{ type: "regex", pattern: "(a+)+$" }]);
+  assert.deepEqual(findIgnoredRanges(`${"a".repeat(50000)}!`, slow), []);
+});
+
+test("masked text is left out of the counts and reported as ranges", async () => {
+  const app = await makeApp();
+  const rules = JSON.stringify([PAGE_RULE, { type: "regex", pattern: "Printed [\\d-]+ [\\d:]+" }]);
+
+  const plain = await compare(app, { diff_mode: "words" });
+  assert.equal(plain.status, 200);
+  assert.ok(plain.body.summary.additions > 2);
+
+  const words = await compare(app, { diff_mode: "words", ignore_rules: rules });
+  assert.equal(words.status, 200);
+  assert.equal(words.body.summary.additions, 1);
+  assert.equal(words.body.summary.removals, 1);
+  assert.deepEqual(words.body.summary.ignoredMatches, { left: 2, right: 3 });
+  const { left, right } = words.body.extracted;
+  assert.deepEqual(
+    words.body.ignoredRanges.left.map(([start, end]) => left.slice(start, end)),
+    ["Printed 2024-01-05 10:00", "Page 1 of 12"]
+  );
+  assert.deepEqual(
+    words.body.ignoredRanges.right.map(([start, end]) => right.slice(start, end)),
+    ["Printed 2024-03-09 16:45", "page 1 of 13", "Page 2 of 13"]
+  );
+  assert.match(words.body.sideBySideHtml.left, /Printed 2024-01-05 10:00/);
+
+  const lines = await compare(app, { diff_mode: "lines", ignore_rules: rules });
+  assert.equal(lines.status, 200);
+  assert.equal(lines.body.summary.removals, 1);
+  assert.equal(lines.body.summary.additions, 1);
+
+  const invalid = await compare(app, { ignore_rules: "[{" });
+  assert.equal(invalid.status, 400);
+  assert.match(invalid.body.error, /ignore_rules must be valid JSON/);
+});
+
+test("named rule sets can be saved, listed, applied and deleted", async () => {
+  const app = await makeApp();
+
+  const saved = await request(app)
+    .put("/api/ignore-rule-sets/pdf-export")
+    .send({ rules: [PAGE_RULE, { type: "regex", pattern: "Printed .*" }] });
+  assert.equal(saved.status, 200);
+  assert.equal(saved.body.name, "pdf-export");
+  assert.equal(saved.body.rules.length, 2);
+
+  const badName = await request(app).put("/api/ignore-rule-sets/bad%20name").send({ rules: ["x"] });
+  assert.equal(badName.status, 400);
+  const badRules = await request(app).put("/api/ignore-rule-sets/empty").send({ rules: [] });
+  assert.equal(badRules.status, 400);
+
+  const list = await request(app).get("/api/ignore-rule-sets");
+  assert.deepEqual(
+    list.body.items.map((ruleSet) => ruleSet.name),
+    ["pdf-export"]
+  );
+
+  const res = await compare(app, {
+    diff_mode: "lines",
+    ignore_rules: JSON.stringify(["Doc ID: AX-1"]),
+    ignore_rule_sets: "pdf-export"
+  });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.summary.ignoredMatches, { left: 3, right: 4 });
+  assert.equal(res.body.summary.additions, 1);
+
+  const unknown = await compare(app, { ignore_rule_sets: "missing" });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /Unknown ignore rule set "missing"/);
+
+  assert.equal((await request(app).delete("/api/ignore-rule-sets/pdf-export")).status, 204);
+  assert.equal((await request(app).get("/api/ignore-rule-sets/pdf-export")).status, 404);
+  assert.equal((await request(app).delete("/api/ignore-rule-sets/pdf-export")).status, 404);
+});
+
+test("rule set store failures are reported as errors", async () => {
+  const failing = async () => {
+    throw new Error("disk unavailable");
+  };
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    ignoreRuleStore: { get: failing, list: failing, save: failing, remove: failing }
+  });
+
+  const res = await request(app).get("/api/ignore-rule-sets/pdf-export");
+  assert.equal(res.status, 500);
+  assert.equal(res.body.error, "disk unavailable");
+});
@@ -0,0 +1,159 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+
+const insightsFor = (summary) => ({
+  overall_summary: summary,
+  added_highlights: [{ title: "Addition", evidence: "brave" }],
+  removed_highlights: [],
+  change_categories: [{ category: "other", summary: "One word added" }],
+  risks: [],
+  suggested_checks: [],
+  confidence: "High"
+});
+
+// Answers OpenAI requests with `replies[n]` (a summary, or an error message
+// prefixed with "!") and counts the calls.
+const makeFetch = (replies) => {
+  const fetchFn = async () => {
+    const reply = replies[fetchFn.calls++];
+    if (reply.startsWith("!")) {
+      const json = async () => ({ message: reply.slice(1) });
+      return { ok: false, status: 504, statusText: "Gateway Timeout", json };
+    }
+    return { ok: true, status: 200, statusText: "OK", json: async () => ({ output_parsed: insightsFor(reply) }) };
+  };
+  fetchFn.calls = 0;
+  return fetchFn;
+};
+
+const makeApp = (historyDir, fetchFn) =>
+  createApp({
+    disableStatic: true,
+    fetchFn,
+    insightsPromptTemplate: "Input:\n{{ input_json }}\n",
+    openaiConfig: { enabled: true, apiKey: "test-key", model: "gpt-test" },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyDir },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: file.filename === "a.pdf" ? "hello world" : "hello brave world" })
+    })
+  }).app;
+
+const postCompare = (app) =>
+  request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+
+test("insights for a stored comparison come from the cache unless refreshed", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pulse-insights-"));
+  const fetchFn = makeFetch(["first", "second"]);
+  const app = makeApp(dir, fetchFn);
+  try {
+    const compared = await postCompare(app);
+    assert.equal(compared.body.insights.result.overall_summary, "first");
+
+    const cached = await request(app).post("/api/insights").send({ comparisonId: compared.body.id });
+    assert.equal(cached.status, 200);
+    assert.equal(cached.body.cached, true);
+    assert.equal(cached.body.result.overall_summary, "first");
+    assert.equal(fetchFn.calls, 1);
+
+    const fresh = await request(app).post("/api/insights").send({ comparisonId: compared.body.id, refresh: true });
+    assert.equal(fresh.body.cached, undefined);
+    assert.equal(fresh.body.result.overall_summary, "second");
+    assert.equal(fetchFn.calls, 2);
+
+    const stored = await request(app).get(`/api/comparisons/${compared.body.id}`);
+    assert.equal(stored.body.result.insights.result.overall_summary, "second");
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("insights that failed during the comparison can be retried without extracting again", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pulse-insights-"));
+  const fetchFn = makeFetch(["!upstream timed out", "retried"]);
+  let extractions = 0;
+  const { app } = createApp({
+    disableStatic: true,
+    fetchFn,
+    insightsPromptTemplate: "Input:\n{{ input_json }}\n",
+    openaiConfig: { enabled: true, apiKey: "test-key", model: "gpt-test" },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyDir: dir },
+    createPulseClient: () => ({
+      extract: async ({ file }) => {
+        extractions += 1;
+        return { markdown: file.filename === "a.pdf" ? "hello world" : "hello brave world" };
+      }
+    })
+  });
+  try {
+    const compared = await postCompare(app);
+    assert.equal(compared.body.insights.provider, "heuristic");
+    assert.equal(compared.body.insights.fallbackReason, "upstream timed out");
+
+    const retried = await request(app).post("/api/insights").send({ comparisonId: compared.body.id });
+    assert.equal(retried.body.provider, "openai");
+    assert.equal(retried.body.result.overall_summary, "retried");
+    assert.equal(extractions, 2);
+
+    const again = await request(app).post("/api/insights").send({ comparisonId: compared.body.id });
+    assert.equal(again.body.cached, true);
+    assert.equal(fetchFn.calls, 2);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
+
+test("POST /api/insights accepts a raw insights input and validates the request", async () => {
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false }
+  });
+  const input = {
+    meta: { left_name: "a.pdf", right_name: "b.pdf", unit: "words", additions: 2, removals: 2 },
+    excerpts: { added: [], removed: [], replaced: [{ from: "Fee: $1,200", to: "Fee: $1,500" }] },
+    structured_diff_sample: []
+  };
+
+  const res = await request(app).post("/api/insights").send({ input });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.provider, "heuristic");
+  assert.deepEqual(res.body.result.risks[0], {
+    severity: "High",
+    message: "Monetary amounts changed ($1,200 → $1,500)."
+  });
+
+  const missing = await request(app).post("/api/insights").send({});
+  assert.equal(missing.status, 400);
+  assert.match(missing.body.error, /comparisonId or an insights input/);
+
+  const unknown = await request(app).post("/api/insights").send({ comparisonId: "nope" });
+  assert.equal(unknown.status, 404);
+
+  const badInputs = [
+    [{ meta: [] }, /input\.meta must be an object/],
+    [{ meta: {}, excerpts: { added: [1] } }, /excerpts\.added must be an array of strings/],
+    [{ meta: {}, excerpts: { replaced: [{ from: "a" }] } }, /excerpts\.replaced/],
+    [{ meta: {}, structured_diff_sample: "x" }, /structured_diff_sample must be an array/],
+    [{ meta: {}, structured_diff_sample: [{}] }, /with a string path/]
+  ];
+  for (const [badInput, message] of badInputs) {
+    const bad = await request(app).post("/api/insights").send({ input: badInput });
+    assert.equal(bad.status, 400);
+    assert.match(bad.body.error, message);
+  }
+
+  const badRefresh = await request(app).post("/api/insights").send({ input, refresh: "yes" });
+  assert.equal(badRefresh.status, 400);
+
+  const badJson = await request(app).post("/api/insights").set("Content-Type", "application/json").send("{");
+  assert.equal(badJson.status, 400);
+  assert.equal(badJson.body.error, "Request body must be valid JSON.");
+});
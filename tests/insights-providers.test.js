@@ -0,0 +1,179 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { createInsightsProvider } from "../src/insights-providers.js";
+
+const INSIGHTS = {
+  overall_summary: "Added a line.",
+  added_highlights: [{ title: "Addition", evidence: "brave" }],
+  removed_highlights: [],
+  change_categories: [{ category: "sections", summary: "Minor edits" }],
+  risks: [{ severity: "Low", message: "No major risk" }],
+  suggested_checks: ["Review formatting"],
+  confidence: "High"
+};
+
+// A local HTTP server that records each request and answers with `reply(req, body)`.
+const startStub = async (reply) => {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", () => {
+      const body = JSON.parse(raw || "{}");
+      calls.push({ url: req.url, headers: req.headers, body });
+      const { status = 200, json } = reply(req, body);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(json));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    calls,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+};
+
+test("the OpenAI Responses adapter posts a json_schema format to the base URL", async () => {
+  const stub = await startStub(() => ({ json: { output: [{ content: [{ text: JSON.stringify(INSIGHTS) }] }] } }));
+  try {
+    const provider = createInsightsProvider({ apiKey: "sk-test", model: "gpt-test", baseUrl: `${stub.baseUrl}/v1/` });
+    assert.equal(provider.name, "openai");
+    assert.deepEqual(await provider.generate("Compare these"), INSIGHTS);
+
+    const [call] = stub.calls;
+    assert.equal(call.url, "/v1/responses");
+    assert.equal(call.headers.authorization, "Bearer sk-test");
+    assert.equal(call.body.input, "Compare these");
+    assert.equal(call.body.text.format.type, "json_schema");
+    assert.equal(createInsightsProvider({ apiKey: "" }).missing, "Missing OPENAI_API_KEY.");
+  } finally {
+    await stub.close();
+  }
+});
+
+test("the Chat Completions adapter works without a key and unwraps fenced JSON", async () => {
+  const stub = await startStub(() => ({
+    json: { choices: [{ message: { content: `\`\`\`json\n${JSON.stringify(INSIGHTS)}\n\`\`\`` } }] }
+  }));
+  try {
+    const provider = createInsightsProvider({
+      provider: "openai-compatible",
+      apiKey: "",
+      model: "llama3.1",
+      baseUrl: `${stub.baseUrl}/v1`
+    });
+    assert.equal(provider.missing, null);
+    assert.deepEqual(await provider.generate("Compare these"), INSIGHTS);
+
+    const [call] = stub.calls;
+    assert.equal(call.url, "/v1/chat/completions");
+    assert.equal(call.headers.authorization, undefined);
+    assert.equal(call.body.model, "llama3.1");
+    assert.deepEqual(call.body.messages, [{ role: "user", content: "Compare these" }]);
+    assert.equal(call.body.response_format.json_schema.strict, true);
+    assert.equal(createInsightsProvider({ provider: "openai-compatible" }).missing, "Missing OPENAI_BASE_URL.");
+  } finally {
+    await stub.close();
+  }
+});
+
+test("the Anthropic adapter forces a tool call and reads its input", async () => {
+  const stub = await startStub(() => ({
+    json: {
+      content: [
+        { type: "text", text: "Here you go." },
+        { type: "tool_use", name: "document_diff_insights", input: INSIGHTS }
+      ]
+    }
+  }));
+  try {
+    const provider = createInsightsProvider({
+      provider: "anthropic",
+      anthropicApiKey: "ak-test",
+      anthropicModel: "claude-test",
+      anthropicBaseUrl: stub.baseUrl
+    });
+    assert.deepEqual(await provider.generate("Compare these"), INSIGHTS);
+
+    const [call] = stub.calls;
+    assert.equal(call.url, "/v1/messages");
+    assert.equal(call.headers["x-api-key"], "ak-test");
+    assert.equal(call.headers["anthropic-version"], "2023-06-01");
+    assert.deepEqual(call.body.tool_choice, { type: "tool", name: "document_diff_insights" });
+    assert.equal(call.body.tools[0].input_schema.required.length, 7);
+  } finally {
+    await stub.close();
+  }
+});
+
+test("responses that fail or do not match the schema are rejected", async () => {
+  const invalid = JSON.stringify({ ...INSIGHTS, confidence: "Certain", risks: null });
+  const stub = await startStub((req, body) =>
+    body.model === "broken"
+      ? { status: 500, json: { error: { message: "model overloaded" } } }
+      : { json: { choices: [{ message: { content: invalid } }] } }
+  );
+  try {
+    const settings = { provider: "openai-compatible", baseUrl: stub.baseUrl };
+    await assert.rejects(createInsightsProvider({ ...settings, model: "broken" }).generate("x"), /model overloaded/);
+    await assert.rejects(
+      createInsightsProvider({ ...settings, model: "local" }).generate("x"),
+      /Chat Completions insights did not match the schema: risks is required; confidence must be one of/
+    );
+  } finally {
+    await stub.close();
+  }
+  assert.throws(() => createInsightsProvider({ provider: "gemini" }), /INSIGHTS_PROVIDER must be one of openai/);
+});
+
+test("compare reports the configured provider and falls back on invalid output", async () => {
+  const stub = await startStub((req, body) => {
+    const input = body.model === "good" ? INSIGHTS : {};
+    return { json: { content: [{ type: "tool_use", name: "document_diff_insights", input }] } };
+  });
+  const compare = (model) => {
+    const { app } = createApp({
+      disableStatic: true,
+      config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+      insightsPromptTemplate: "Input:\n{{ input_json }}\n",
+      openaiConfig: {
+        enabled: true,
+        provider: "anthropic",
+        anthropicApiKey: "ak-test",
+        anthropicModel: model,
+        anthropicBaseUrl: stub.baseUrl
+      },
+      createPulseClient: () => ({
+        extract: async ({ file }) => ({ markdown: file.filename === "a.pdf" ? "hello world" : "hello brave world" })
+      })
+    });
+    return request(app)
+      .post("/api/compare")
+      .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+      .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+  };
+
+  try {
+    const good = await compare("good");
+    assert.equal(good.status, 200);
+    assert.equal(good.body.insights.provider, "anthropic");
+    assert.equal(good.body.insights.model, "good");
+    assert.deepEqual(good.body.insights.result, INSIGHTS);
+    assert.match(stub.calls[0].body.messages[0].content, /"right_name": "b.pdf"/);
+
+    const bad = await compare("bad");
+    assert.equal(bad.body.insights.provider, "heuristic");
+    assert.match(
+      bad.body.insights.fallbackReason,
+      /^Anthropic insights did not match the schema: overall_summary is required/
+    );
+  } finally {
+    await stub.close();
+  }
+});
@@ -0,0 +1,88 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { diffLines, diffWordsWithSpace } from "diff";
+import { createApp } from "../src/app.js";
+import { detectMoves } from "../src/move-detection.js";
+
+const CLAUSE = "The supplier shall keep all customer data confidential for five years.";
+
+const PREAMBLE =
+  "This agreement is entered into by the parties named below and governs every order placed under it.";
+
+const sections = (order) =>
+  order.map((n) => (n === "clause" ? CLAUSE : `Section ${n} covers topic number ${n} in detail.`)).join("\n") + "\n";
+
+test("identical removed and added blocks are paired as a move", () => {
+  const parts = detectMoves(diffLines(sections([1, "clause", 2, 3, 4]), sections([1, 2, 3, 4, "clause"])));
+
+  const moved = parts.filter((part) => part.move);
+  assert.equal(moved.length, 2);
+  assert.deepEqual(
+    moved.map((part) => [part.removed ? "removed" : "added", part.move.id, part.move.role, part.move.similarity]),
+    [
+      ["removed", "move-1", "source", 1],
+      ["added", "move-1", "destination", 1]
+    ]
+  );
+});
+
+test("near-identical blocks count as moves, short or in-place edits do not", () => {
+  const edited = CLAUSE.replace("five", "seven");
+  const near = detectMoves(
+    diffWordsWithSpace(`${CLAUSE} ${PREAMBLE}`, `${PREAMBLE} ${edited}`),
+    { minSimilarity: 0.85 }
+  );
+  const moved = near.filter((part) => part.move);
+  assert.equal(moved.length, 2);
+  assert.ok(moved[0].move.similarity < 1 && moved[0].move.similarity >= 0.85);
+
+  const short = detectMoves(diffWordsWithSpace("a b c. Tail text", "Tail text a b c."));
+  assert.ok(!short.some((part) => part.move));
+
+  const inPlace = detectMoves(diffLines(`${CLAUSE}\n`, `${edited}\n`), { minSimilarity: 0.8 });
+  assert.ok(!inPlace.some((part) => part.move));
+});
+
+test("moves are reported separately and linked in both renderers", async () => {
+  const documents = {
+    "a.pdf": sections([1, "clause", 2, 3, 4]),
+    "b.pdf": sections([1, 2, 3, 9, 4, "clause"]),
+    "c.pdf": `${CLAUSE} ${PREAMBLE}`,
+    "d.pdf": `${PREAMBLE} ${CLAUSE}`
+  };
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: documents[file.filename] })
+    })
+  });
+
+  const compare = (diffMode, [left, right]) =>
+    request(app)
+      .post("/api/compare")
+      .attach("left", Buffer.from("x"), { filename: left, contentType: "application/pdf" })
+      .attach("right", Buffer.from("y"), { filename: right, contentType: "application/pdf" })
+      .field("diff_mode", diffMode);
+
+  const lines = await compare("lines", ["a.pdf", "b.pdf"]);
+  assert.equal(lines.status, 200);
+  assert.equal(lines.body.summary.moves, 1);
+  assert.equal(lines.body.summary.additions, 1);
+  assert.equal(lines.body.summary.removals, 0);
+  assert.match(
+    lines.body.inlineHtml,
+    /<div class="diff-line diff-moved diff-moved-source" id="inline-move-1-source" data-move="move-1">The supplier[^<]*<a class="diff-move-link" href="#inline-move-1-destination">/
+  );
+  assert.match(lines.body.inlineHtml, /id="inline-move-1-destination"[^>]*>The supplier[^<]*<a class="diff-move-link" href="#inline-move-1-source">/);
+  assert.match(lines.body.sideBySideHtml.left, /id="side-move-1-source"/);
+  assert.match(lines.body.sideBySideHtml.right, /id="side-move-1-destination"/);
+
+  const words = await compare("words", ["c.pdf", "d.pdf"]);
+  assert.equal(words.status, 200);
+  assert.equal(words.body.summary.moves, 1);
+  assert.equal(words.body.summary.additions, 0);
+  assert.match(words.body.inlineHtml, /<span class="diff-moved diff-moved-source" id="inline-move-1-source" data-move="move-1">/);
+});
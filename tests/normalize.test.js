@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { diffLines, diffWordsWithSpace } from "diff";
+import { createApp } from "../src/app.js";
+import { diffNormalized, normalizeText } from "../src/normalize.js";
+
+const ALL = { whitespace: true, case: true, quotes: true, dehyphenate: true, punctuation: false };
+
+test("normalizeText folds the text and maps every unit back to the source", () => {
+  const source = "  The “Pay-\n  ment”  is   DUE—now.";
+  const { text, map } = normalizeText(source, ALL);
+  assert.equal(text, 'the "payment" is due-now.');
+  assert.equal(map.length, text.length);
+  assert.equal(source[map[text.indexOf("ment")]], "m");
+  assert.equal(source[map[text.indexOf("due")]], "D");
+
+  assert.equal(normalizeText("Hello, world!", { punctuation: true }).text, "Hello world");
+  assert.equal(normalizeText("a  b \n\n\n  c", { whitespace: true }, { keepNewlines: true }).text, "a b\n\nc");
+});
+
+test("normalized word diffs ignore OCR noise but keep the original text", () => {
+  const left = "The “Supplier” shall deliver within thirty   days of the order-\nconfirmation.";
+  const right = 'the "supplier" shall deliver within ten days of the orderconfirmation.';
+  const parts = diffNormalized(left, right, diffWordsWithSpace, ALL);
+
+  const changed = parts.filter((part) => part.added || part.removed).map((part) => part.value);
+  assert.deepEqual(changed, ["thirty", "ten"]);
+
+  const rebuild = (skip, pick) => parts.filter((part) => !part[skip]).map(pick).join("");
+  assert.equal(rebuild("added", (part) => part.leftValue ?? part.value), left);
+  assert.equal(rebuild("removed", (part) => part.value), right);
+  assert.equal(parts[0].leftValue, "The “Supplier” shall deliver within ");
+  assert.equal(parts[0].value, 'the "supplier" shall deliver within ');
+});
+
+test("line mode only collapses whitespace inside lines", () => {
+  const parts = diffNormalized("alpha  beta \ngamma\n", "alpha beta\ndelta\n", diffLines, { whitespace: true }, {
+    keepNewlines: true
+  });
+  assert.deepEqual(
+    parts.map((part) => [part.added ? "+" : part.removed ? "-" : " ", part.value]),
+    [
+      [" ", "alpha beta\n"],
+      ["-", "gamma\n"],
+      ["+", "delta\n"]
+    ]
+  );
+  assert.equal(parts[0].leftValue, "alpha  beta \n");
+});
+
+test("POST /api/compare applies normalization flags per request", async () => {
+  const documents = {
+    "a.pdf": "Payment is due in “thirty” days.\nLate fees   apply.\n",
+    "b.pdf": 'payment is due in "thirty" days.\nLate fees apply.\n'
+  };
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: documents[file.filename] })
+    })
+  });
+
+  const compare = (fields) => {
+    let req = request(app)
+      .post("/api/compare")
+      .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+      .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+    for (const [name, value] of Object.entries(fields)) req = req.field(name, value);
+    return req;
+  };
+
+  const plain = await compare({ diff_mode: "words" });
+  assert.equal(plain.status, 200);
+  assert.ok(plain.body.summary.additions > 0);
+  assert.deepEqual(plain.body.summary.normalization, []);
+
+  const normalized = await compare({
+    diff_mode: "words",
+    ignore_whitespace: "true",
+    ignore_case: "true",
+    fold_quotes: "true"
+  });
+  assert.equal(normalized.status, 200);
+  assert.deepEqual(normalized.body.summary.normalization, ["whitespace", "case", "quotes"]);
+  assert.equal(normalized.body.summary.additions, 0);
+  assert.equal(normalized.body.summary.removals, 0);
+  assert.doesNotMatch(normalized.body.inlineHtml, /diff-(added|removed)/);
+  assert.match(normalized.body.inlineHtml, /payment is due in &quot;thirty&quot; days/);
+  assert.match(normalized.body.sideBySideHtml.left, /Payment is due in “thirty” days\.\nLate fees {3}apply\./);
+  assert.match(normalized.body.sideBySideHtml.right, /payment is due in &quot;thirty&quot; days\.\nLate fees apply\./);
+
+  const lines = await compare({ diff_mode: "lines", ignore_whitespace: "true", ignore_case: "true", fold_quotes: "true" });
+  assert.equal(lines.status, 200);
+  assert.equal(lines.body.summary.additions, 0);
+  assert.match(lines.body.sideBySideHtml.left, /<div class="diff-line">Late fees {3}apply\.<\/div>/);
+});
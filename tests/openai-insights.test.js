@@ -9,10 +9,40 @@ const postCompare = (app) =>
     .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
     .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
 
-test("insights are disabled when OPENAI_API_KEY is missing", async () => {
+test("insights fall back to offline heuristics when OPENAI_API_KEY is missing", async () => {
   const { app } = createApp({
     disableStatic: true,
-    config: { debugEnabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    insightsPromptTemplate: "Input:\n{{ input_json }}\n",
+    openaiConfig: { enabled: true, apiKey: "" },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({
+        markdown: file.filename === "a.pdf" ? "The fee is $1,200 per month." : "The fee is $1,500 per month."
+      })
+    })
+  });
+
+  const res = await postCompare(app);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.insights.enabled, true);
+  assert.equal(res.body.insights.provider, "heuristic");
+  assert.match(res.body.insights.fallbackReason, /missing openai_api_key/i);
+  assert.equal(res.body.insights.result.risks[0].severity, "High");
+  assert.deepEqual(
+    res.body.insights.result.change_categories.map((c) => c.category),
+    ["money"]
+  );
+});
+
+test("insights are disabled when OPENAI_API_KEY is missing and heuristics are off", async () => {
+  const { app } = createApp({
+    disableStatic: true,
+    config: {
+      debugEnabled: false,
+      extractionCacheEnabled: false,
+      historyEnabled: false,
+      heuristicInsightsEnabled: false
+    },
     insightsPromptTemplate: "Input:\n{{ input_json }}\n",
     openaiConfig: { enabled: true, apiKey: "" },
     createPulseClient: () => ({
@@ -53,7 +83,7 @@ test("insights succeed with a stubbed OpenAI response", async () => {
   let call = 0;
   const { app } = createApp({
     disableStatic: true,
-    config: { debugEnabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
     fetchFn,
     insightsPromptTemplate: "Input:\n{{ input_json }}\n",
     openaiConfig: { enabled: true, apiKey: "test-key", model: "gpt-4o-mini" },
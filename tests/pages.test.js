@@ -0,0 +1,204 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import {
+  annotatePages,
+  findPageStarts,
+  findRunningLines,
+  splitPages,
+  stripRunningLines,
+  summarizePages
+} from "../src/pages.js";
+
+const page = (number, body) => `ACME Corp — Master Services Agreement\n\n${body}\n\nConfidential · Page ${number} of 3`;
+
+const PAGE_BREAK = "\n\n<!-- page break -->\n\n";
+
+const LEFT = [
+  page(1, "1. Scope. The supplier provides hosting."),
+  page(2, "2. Fees. The fee is 100 USD per month."),
+  page(3, "3. Term. The agreement runs for one year.")
+].join(PAGE_BREAK);
+
+const RIGHT_PAGES = [
+  page(1, "1. Scope. The supplier provides hosting and support."),
+  page(2, "2. Fees. The fee is 100 USD per month."),
+  page(3, "3. Term. The agreement runs for one year."),
+  page(4, "4. Notices. Notices are sent by email.")
+];
+
+const documents = {
+  "a.pdf": { markdown: LEFT },
+  "b.pdf": { markdown: RIGHT_PAGES.join(PAGE_BREAK), pages: RIGHT_PAGES.map((markdown) => ({ markdown })) }
+};
+
+const makeApp = () =>
+  createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => documents[file.filename]
+    })
+  }).app;
+
+const compare = (app, fields) => {
+  let req = request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+  for (const [name, value] of Object.entries(fields)) req = req.field(name, value);
+  return req;
+};
+
+test("pages come from the payload or from page breaks in the markdown", () => {
+  assert.equal(splitPages(LEFT).length, 3);
+  assert.equal(splitPages("one\fTwo\n<!-- Page 3 -->\nthree\n<page_break>\nfour").length, 4);
+  assert.equal(splitPages("no breaks here").length, 1);
+  assert.deepEqual(splitPages("ignored", { result: { pages: ["a", { text: "b" }] } }), ["a", "b"]);
+});
+
+test("running headers and footers are found across pages regardless of page numbers", () => {
+  const running = findRunningLines(splitPages(LEFT));
+  assert.deepEqual(
+    running.map(({ line, position, pages }) => ({ line, position, pages })),
+    [
+      { line: "ACME Corp — Master Services Agreement", position: "header", pages: 3 },
+      { line: "Confidential · Page 1 of 3", position: "footer", pages: 3 }
+    ]
+  );
+  assert.equal(findRunningLines(["Same line\nbody", "Same line\nother"], { minShare: 1 }).length, 1);
+  assert.deepEqual(findRunningLines(["Same line\nbody", "Different\nother", "Third\npage"]), []);
+
+  const { text, stripped, pageCount } = stripRunningLines(LEFT);
+  assert.equal(pageCount, 3);
+  assert.doesNotMatch(text, /ACME Corp|Confidential/);
+  assert.match(text, /2\. Fees\./);
+  assert.deepEqual(
+    stripped.map((entry) => entry.removed),
+    [3, 3]
+  );
+  assert.equal(stripRunningLines("single page\nfooter").stripped.length, 0);
+});
+
+test("lines matching a running header or footer are kept outside the page edges", () => {
+  const numbered = (number, body) =>
+    `ACME Confidential\n\nIntro ${number}.\n\n${body.join("\n\n")}\n\nClosing ${number}.\n\n${number}`;
+  const text = [
+    numbered(1, ["Units shipped:", "500", "Still in effect."]),
+    numbered(2, ["Overview.", "ACME Confidential", "Fiscal year:", "2025", "Notes follow."]),
+    numbered(3, ["Nothing else."])
+  ].join(PAGE_BREAK);
+
+  const { text: stripped, stripped: entries } = stripRunningLines(text);
+  assert.deepEqual(
+    stripped.split("\n").filter((line) => /^\d+$|ACME/.test(line)),
+    ["500", "ACME Confidential", "2025"]
+  );
+  const removed = Object.fromEntries(entries.map(({ line, removed: count }) => [line, count]));
+  assert.equal(removed["ACME Confidential"], 3);
+  assert.equal(removed["1"], 3);
+});
+
+test("strip_headers_footers removes running lines before diffing and reports them", async () => {
+  const app = makeApp();
+
+  const plain = await compare(app, { diff_mode: "lines" });
+  assert.equal(plain.status, 200);
+  assert.deepEqual(plain.body.strippedLines, { left: [], right: [] });
+  assert.deepEqual(plain.body.summary.strippedLineCount, { left: 0, right: 0 });
+
+  const res = await compare(app, { diff_mode: "lines", strip_headers_footers: "true" });
+  assert.equal(res.status, 200);
+  assert.doesNotMatch(res.body.extracted.left, /Confidential/);
+  assert.doesNotMatch(res.body.extracted.right, /Confidential|ACME Corp/);
+  assert.deepEqual(res.body.summary.strippedLineCount, { left: 6, right: 8 });
+  assert.deepEqual(
+    res.body.strippedLines.right.map(({ position, pages, removed }) => ({ position, pages, removed })),
+    [
+      { position: "header", pages: 4, removed: 4 },
+      { position: "footer", pages: 4, removed: 4 }
+    ]
+  );
+  assert.ok(res.body.summary.additions < plain.body.summary.additions);
+  assert.doesNotMatch(res.body.inlineHtml, /Page 4 of 3/);
+});
+
+test("page starts are located in the text and changed parts get their pages", () => {
+  const text = "one\ntwo\n<!-- page break -->\nthree\n\ffour";
+  assert.deepEqual(findPageStarts(text), [0, 28, 35]);
+  assert.deepEqual(findPageStarts("plain text"), [0]);
+
+  const combined = "Header\nalpha\n\nHeader\nbeta\n\n\nHeader\ngamma";
+  const payload = { pages: ["Header\nalpha", { markdown: "Header\nbeta" }, { text: "" }, "gamma"] };
+  assert.deepEqual(findPageStarts(combined, payload), [0, 14, 14, 35]);
+  assert.deepEqual(findPageStarts("alpha\nbeta", { pages: ["Running\nalpha", "Running\nbeta"] }), [0, 6]);
+
+  const table = (rows) => ["| Item | Amount |", "|---|---|", ...rows.map((row) => `| ${row} | 1 |`)].join("\n");
+  const tablePages = [
+    `Invoice\n\n${table(["Hosting", "Support"])}\n\nSignature`,
+    `|---|---|\n| Setup | 1 |\n\n${table(["Licences"])}\n\nSignature`
+  ];
+  const joined = tablePages.join("\n\n");
+  assert.deepEqual(findPageStarts(joined, { pages: tablePages }), [0, tablePages[0].length + 2]);
+
+  const parts = [
+    { value: "one\ntwo\n", added: false, removed: false },
+    { value: "old\n", added: false, removed: true },
+    { value: "new\n", added: true, removed: false },
+    { value: "\nrest", added: true, removed: false }
+  ];
+  const starts = { left: [0, 8], right: [0, 12] };
+  const annotated = annotatePages(parts, starts);
+  assert.equal(annotated[0].page, undefined);
+  assert.deepEqual(
+    annotated.slice(1).map((part) => part.page),
+    [
+      { left: 2, right: 1 },
+      { left: 2, right: 1 },
+      { left: 2, right: 2 }
+    ]
+  );
+  assert.deepEqual(summarizePages(annotated, starts), {
+    left: [
+      { page: 1, changes: 0 },
+      { page: 2, changes: 3 }
+    ],
+    right: [
+      { page: 1, changes: 2 },
+      { page: 2, changes: 1 }
+    ]
+  });
+  assert.equal(annotatePages(parts, { left: [0], right: [0] }), parts);
+});
+
+test("compare responses carry per-page change counts and page badges", async () => {
+  const app = makeApp();
+
+  const res = await compare(app, { diff_mode: "words", strip_headers_footers: "true" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.pages.count, { left: 3, right: 4 });
+  assert.deepEqual(
+    res.body.pages.summary.left.map((entry) => entry.changes),
+    [1, 0, 1]
+  );
+  assert.deepEqual(
+    res.body.pages.summary.right.map((entry) => entry.changes),
+    [1, 0, 0, 1]
+  );
+  assert.deepEqual(
+    res.body.pages.changes.map(({ type, page }) => ({ type, page })),
+    [
+      { type: "added", page: { left: 1, right: 1 } },
+      { type: "added", page: { left: 3, right: 4 } }
+    ]
+  );
+  assert.match(res.body.sideBySideHtml.right, /<span class="page-badge" data-page="4">p\. 4<\/span>/);
+  assert.match(res.body.sideBySideHtml.left, /data-page="3"/);
+
+  const lines = await compare(app, { diff_mode: "lines" });
+  assert.equal(lines.status, 200);
+  assert.match(lines.body.sideBySideHtml.right, /<div class="diff-line diff-added"><span class="page-badge" data-page="1">/);
+  assert.doesNotMatch(lines.body.inlineHtml, /page-badge/);
+});
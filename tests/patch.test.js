@@ -0,0 +1,121 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { createUnifiedDiff, createWordDiff } from "../src/patch.js";
+
+const lines = (count, label = "line") =>
+  Array.from({ length: count }, (_, i) => `${label} ${i + 1}\n`).join("");
+
+test("unified diff splits distant changes into hunks with the requested context", () => {
+  const left = lines(20);
+  const right = left.replace("line 3\n", "line three\n").replace("line 17\n", "");
+
+  const patch = createUnifiedDiff({
+    oldText: left,
+    newText: right,
+    oldName: "v1.pdf",
+    newName: "v2.pdf",
+    context: 2
+  });
+
+  assert.equal(
+    patch,
+    [
+      "--- a/v1.pdf",
+      "+++ b/v2.pdf",
+      "@@ -1,5 +1,5 @@",
+      " line 1",
+      " line 2",
+      "-line 3",
+      "+line three",
+      " line 4",
+      " line 5",
+      "@@ -15,5 +15,4 @@",
+      " line 15",
+      " line 16",
+      "-line 17",
+      " line 18",
+      " line 19",
+      ""
+    ].join("\n")
+  );
+
+  const merged = createUnifiedDiff({ oldText: left, newText: right, context: 8 });
+  assert.equal(merged.match(/^@@/gm).length, 1);
+  assert.match(merged, /^@@ -1,20 \+1,19 @@$/m);
+});
+
+test("unified diff marks missing trailing newlines and empty sides", () => {
+  const patch = createUnifiedDiff({ oldText: "a\nb", newText: "a\nc", oldName: "l", newName: "r" });
+  assert.equal(
+    patch,
+    ["--- a/l", "+++ b/r", "@@ -1,2 +1,2 @@", " a", "-b", "\\ No newline at end of file", "+c", "\\ No newline at end of file", ""].join("\n")
+  );
+
+  const added = createUnifiedDiff({ oldText: "", newText: "x\ny\n", oldName: "l", newName: "r" });
+  assert.match(added, /^@@ -0,0 \+1,2 @@$/m);
+
+  assert.equal(createUnifiedDiff({ oldText: "same\n", newText: "same\n" }), "");
+});
+
+test("word diff uses the porcelain layout inside line hunks", () => {
+  const patch = createWordDiff({
+    oldText: "one\nThe total is 10 USD.\nthree\n",
+    newText: "one\nThe total is 12 USD.\nthree\n",
+    oldName: "a.pdf",
+    newName: "b.pdf",
+    context: 0
+  });
+
+  assert.equal(
+    patch,
+    ["--- a/a.pdf", "+++ b/b.pdf", "@@ -2 +2 @@", " The total is ", "-10", "+12", "  USD.", "~", ""].join("\n")
+  );
+
+  const noEol = createWordDiff({ oldText: "a\nb", newText: "a\nc", oldName: "l", newName: "r", context: 0 });
+  assert.equal(noEol, ["--- a/l", "+++ b/r", "@@ -2 +2 @@", "-b", "+c", ""].join("\n"));
+});
+
+test("POST /api/compare returns a patch when output=patch", async () => {
+  let call = 0;
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async () => {
+        call += 1;
+        return { markdown: call % 2 === 1 ? "alpha\nbeta\ngamma\n" : "alpha\nbeta two\ngamma\n" };
+      }
+    })
+  });
+
+  const compare = (fields) => {
+    let req = request(app)
+      .post("/api/compare")
+      .attach("left", Buffer.from("x"), { filename: "left.pdf", contentType: "application/pdf" })
+      .attach("right", Buffer.from("y"), { filename: "right.pdf", contentType: "application/pdf" });
+    for (const [key, value] of Object.entries(fields)) req = req.field(key, value);
+    return req;
+  };
+
+  const unified = await compare({ diff_mode: "lines", output: "patch", context: "1" });
+  assert.equal(unified.status, 200);
+  assert.match(unified.headers["content-type"], /text\/x-diff/);
+  assert.ok(unified.headers["x-comparison-id"]);
+  assert.equal(
+    unified.text,
+    ["--- a/left.pdf", "+++ b/right.pdf", "@@ -1,3 +1,3 @@", " alpha", "-beta", "+beta two", " gamma", ""].join("\n")
+  );
+
+  const words = await compare({ diff_mode: "words", output: "patch" });
+  assert.equal(words.status, 200);
+  assert.match(words.text, /^@@ -1,3 \+1,3 @@\n alpha\n~\n beta\n\+ two\n~\n gamma\n~\n$/m);
+
+  const badOutput = await compare({ output: "svg" });
+  assert.equal(badOutput.status, 400);
+
+  const badContext = await compare({ output: "patch", context: "-1" });
+  assert.equal(badContext.status, 400);
+});
@@ -0,0 +1,196 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { evaluatePolicy, mergePolicies, parsePolicy } from "../src/policy.js";
+
+const CHANGES = [
+  { path: "values.total", type: "changed", left: 100, right: 107 },
+  { path: "values.tax", type: "changed", left: "10.00", right: "10.40" },
+  { path: "values.termination.notice", type: "changed", left: "30 days", right: "10 days" },
+  { path: "values.governing_law", type: "changed", left: "England", right: "england", formatOnly: true },
+  { path: "values.line_items[1]", type: "modified", left: {}, right: {} },
+  { path: "values.line_items[1].amount", type: "changed", left: 5, right: 50 }
+];
+
+test("policies are validated with clear messages", () => {
+  assert.deepEqual(parsePolicy([]), { failOn: null, rules: [] });
+  assert.throws(() => parsePolicy({}), /must be a JSON array of rules or an object with a rules array/);
+  assert.throws(() => parsePolicy([{ id: "bad id", path: "x" }]), /Policy rule 1: id must be/);
+  assert.throws(() => parsePolicy([{ id: "a", path: "x", text: "y" }]), /"a": set exactly one of path, text or section/);
+  assert.throws(() => parsePolicy([{ id: "a", path: "x", severity: "urgent" }]), /severity must be one of/);
+  assert.throws(() => parsePolicy([{ id: "a", text: "x", minChange: 5 }]), /only apply to path rules/);
+  assert.throws(() => parsePolicy([{ id: "a", path: "x", minChange: "lots" }]), /minChange must be/);
+  assert.throws(() => parsePolicy([{ id: "a", text: "/(/" }]), /"a": Invalid regular expression/);
+  assert.throws(() => parsePolicy([{ id: "a", text: "/(?=x)/" }]), /"a": Invalid regular expression/);
+  assert.throws(() => parsePolicy([{ id: "a", path: "x" }, { id: "a", path: "y" }]), /defined twice/);
+  assert.throws(() => parsePolicy({ failOn: "sometimes", rules: [] }), /failOn must be none or one of/);
+});
+
+test("structured rules match paths, thresholds and change types", () => {
+  const policy = parsePolicy({
+    failOn: "critical",
+    rules: [
+      { id: "total", path: "total", minChange: "5%", severity: "high" },
+      { id: "tax", path: "tax", minChange: 1 },
+      { id: "termination", path: "termination", severity: "high" },
+      { id: "law", path: "governing_law", fail: true },
+      { id: "amounts", path: "line_items[].amount", changes: ["changed"], severity: "low" },
+      { id: "any-item", path: "line_items.*", changes: ["added", "removed"] }
+    ]
+  });
+  const result = evaluatePolicy(policy, { structuredChanges: CHANGES });
+  assert.deepEqual(
+    result.findings.map(({ ruleId, path, severity }) => [ruleId, path, severity]),
+    [
+      ["total", "values.total", "high"],
+      ["termination", "values.termination.notice", "high"],
+      ["amounts", "values.line_items[1].amount", "low"]
+    ]
+  );
+  assert.equal(result.findings[0].message, "total changed from 100 to 107, +7%");
+  assert.deepEqual(result.counts, { low: 1, medium: 0, high: 2, critical: 0 });
+  assert.equal(result.verdict, "pass");
+
+  const strict = evaluatePolicy({ ...policy, failOn: "high" }, { structuredChanges: CHANGES });
+  assert.equal(strict.verdict, "fail");
+  assert.equal(strict.failing, 2);
+
+  const law = evaluatePolicy(parsePolicy([{ id: "law", path: "governing_law", fail: true, severity: "low" }]), {
+    structuredChanges: [{ path: "values.governing_law", type: "changed", left: "England", right: "Scotland" }]
+  });
+  assert.equal(law.verdict, "fail");
+  assert.equal(law.findings[0].fail, true);
+});
+
+test("the verdict and counts cover matches beyond the findings cap", () => {
+  const policy = parsePolicy({
+    failOn: "none",
+    rules: [
+      { id: "typos", text: "teh", severity: "low" },
+      { id: "law", path: "governing_law", severity: "critical", fail: true }
+    ]
+  });
+  const result = evaluatePolicy(policy, {
+    diffParts: Array.from({ length: 250 }, () => ({ value: "teh", added: true })),
+    structuredChanges: [{ path: "values.governing_law", type: "changed", left: "England", right: "Scotland" }]
+  });
+  assert.equal(result.verdict, "fail");
+  assert.equal(result.failing, 1);
+  assert.deepEqual(result.counts, { low: 250, medium: 0, high: 0, critical: 1 });
+  assert.equal(result.findings.length, 200);
+  assert.equal(result.truncated, true);
+  assert.equal(evaluatePolicy(policy, { diffParts: [{ value: "teh", added: true }] }).truncated, false);
+});
+
+test("text and section rules match the text diff and the outline", () => {
+  const policy = parsePolicy([
+    { id: "liability", text: "/liabilit(y|ies)/i", severity: "medium" },
+    { id: "notice", text: "notice" },
+    { id: "termination", section: "termination", severity: "high" }
+  ]);
+  const result = evaluatePolicy(policy, {
+    diffParts: [
+      { value: "The Liability cap is " },
+      { value: "unlimited", added: true, page: { left: 2, right: 3 } },
+      { value: "limited", removed: true },
+      { value: "Notice is moved", added: true, move: { id: "move-1" } }
+    ],
+    sections: [
+      { heading: "12. Termination", status: "modified" },
+      { heading: "13. Termination Fees", status: "unchanged" }
+    ]
+  });
+  assert.deepEqual(
+    result.findings.map(({ ruleId, change, message }) => [ruleId, change, message]),
+    [["termination", "modified", 'Section "12. Termination" modified']]
+  );
+
+  const wording = evaluatePolicy(parsePolicy([{ id: "cap", text: "unlimited", severity: "critical" }]), {
+    diffParts: [{ value: "unlimited", added: true, page: { left: 2, right: 3 } }]
+  });
+  assert.equal(wording.verdict, "fail");
+  assert.deepEqual(wording.findings[0].page, { left: 2, right: 3 });
+  assert.equal(wording.findings[0].message, 'Added text: "unlimited"');
+
+  const nested = evaluatePolicy(parsePolicy([{ id: "nested", text: "/^(a+)+$/" }]), {
+    diffParts: [{ value: `${"a".repeat(50000)}!`, added: true }]
+  });
+  assert.equal(nested.findings.length, 0);
+});
+
+test("request rules override configured rules with the same id", () => {
+  const base = parsePolicy({ failOn: "medium", rules: [{ id: "a", path: "x" }, { id: "b", path: "y" }] });
+  const merged = mergePolicies(base, parsePolicy([{ id: "b", path: "z", severity: "low" }]));
+  assert.equal(merged.failOn, "medium");
+  assert.deepEqual(
+    merged.rules.map((rule) => [rule.id, rule.severity]),
+    [
+      ["a", "medium"],
+      ["b", "low"]
+    ]
+  );
+});
+
+test("compare evaluates the configured and submitted policy", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "policy-"));
+  const policyFile = path.join(dir, "rules.json");
+  await fs.writeFile(policyFile, JSON.stringify({ rules: [{ id: "payment", text: "days", severity: "medium" }] }));
+  const documents = {
+    "a.pdf": "# 1. Payment\nPayment is due in 30 days.\n\n# 2. Termination\nEither party may terminate.",
+    "b.pdf": "# 1. Payment\nPayment is due in 45 days.\n\n# 2. Termination\nNeither party may terminate."
+  };
+  const app = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false, policyFile },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: documents[file.filename] })
+    })
+  }).app;
+  const compare = () =>
+    request(app)
+      .post("/api/compare")
+      .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+      .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+
+  const configured = await compare().field("diff_mode", "words");
+  assert.equal(configured.status, 200);
+  assert.equal(configured.body.policy.verdict, "pass");
+  assert.equal(configured.body.policy.rules, 1);
+  assert.deepEqual(configured.body.policy.counts, { low: 0, medium: 0, high: 0, critical: 0 });
+
+  const res = await compare()
+    .field("diff_mode", "lines")
+    .field("output", "patch")
+    .field("policy_rules", JSON.stringify([{ id: "termination", section: "Termination", severity: "high" }]));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers["x-policy-verdict"], "fail");
+
+  const json = await compare()
+    .field("diff_mode", "lines")
+    .field("policy_rules", JSON.stringify({ failOn: "none", rules: [{ id: "termination", section: "Termination" }] }));
+  assert.equal(json.body.policy.verdict, "pass");
+  assert.deepEqual(
+    json.body.policy.findings.map(({ ruleId, change }) => [ruleId, change]),
+    [
+      ["payment", "removed"],
+      ["payment", "added"],
+      ["termination", "modified"]
+    ]
+  );
+
+  const invalid = await compare().field("policy_rules", "{");
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.error, "policy_rules must be valid JSON.");
+
+  await fs.writeFile(policyFile, "[{}]");
+  assert.throws(
+    () => createApp({ disableStatic: true, config: { debugEnabled: false, historyEnabled: false, policyFile } }),
+    /Could not load policy rules from .*Policy rule 1: id must be/
+  );
+  await fs.rm(dir, { recursive: true, force: true });
+});
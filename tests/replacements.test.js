@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { diffWordsWithSpace } from "diff";
+import { createApp } from "../src/app.js";
+import { groupReplacements } from "../src/replacements.js";
+
+const OLD = "Payment is due within thirty calendar days of invoice.";
+const NEW = "Payment is due within ten business days of invoice.";
+
+test("interleaved word changes collapse into one replaced pair", () => {
+  const raw = diffWordsWithSpace(OLD, NEW);
+  assert.ok(raw.filter((part) => part.removed).length > 1);
+
+  const parts = groupReplacements(raw);
+  const changed = parts.filter((part) => part.added || part.removed);
+  assert.deepEqual(
+    changed.map((part) => [part.removed ? "removed" : "added", part.value, part.replacement.id]),
+    [
+      ["removed", "thirty calendar", "replacement-1"],
+      ["added", "ten business", "replacement-1"]
+    ]
+  );
+
+  const rebuild = (skip) => parts.filter((part) => !part[skip]).map((part) => part.value).join("");
+  assert.equal(rebuild("added"), OLD);
+  assert.equal(rebuild("removed"), NEW);
+});
+
+test("pure insertions and changes split by unchanged words stay separate", () => {
+  const insertion = groupReplacements(diffWordsWithSpace("hello world", "hello brave world"));
+  assert.ok(!insertion.some((part) => part.replacement));
+
+  const split = groupReplacements(diffWordsWithSpace("pay 30 days to Acme", "pay 45 days to Globex"));
+  assert.deepEqual(
+    split.filter((part) => part.removed).map((part) => [part.value, part.replacement.id]),
+    [
+      ["30", "replacement-1"],
+      ["Acme", "replacement-2"]
+    ]
+  );
+});
+
+test("replacements render as one unit and reach summary and insights", async () => {
+  let insightsInput = null;
+  const fetchFn = async (url, options) => {
+    insightsInput = JSON.parse(JSON.parse(options.body).input);
+    return {
+      ok: true,
+      status: 200,
+      json: async () => ({
+        output_parsed: {
+          overall_summary: "Payment terms shortened.",
+          added_highlights: [],
+          removed_highlights: [],
+          change_categories: [],
+          risks: [],
+          suggested_checks: [],
+          confidence: "Medium"
+        }
+      })
+    };
+  };
+  const documents = { "a.pdf": OLD, "b.pdf": NEW };
+  const { app } = createApp({
+    disableStatic: true,
+    fetchFn,
+    insightsPromptTemplate: "{{ input_json }}",
+    openaiConfig: { enabled: true, apiKey: "test-key", model: "gpt-4o-mini" },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: documents[file.filename] })
+    })
+  });
+
+  const res = await request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.summary.replacements, 1);
+  assert.equal(res.body.summary.removals, 2);
+  assert.equal(res.body.summary.additions, 2);
+  assert.match(
+    res.body.inlineHtml,
+    /<span class="diff-replaced" data-replacement="replacement-1"><span class="diff-removed">thirty calendar<\/span><span class="diff-added">ten business<\/span><\/span>/
+  );
+  assert.match(
+    res.body.sideBySideHtml.left,
+    /<span class="diff-replaced" data-replacement="replacement-1"><span class="diff-removed">thirty calendar<\/span><\/span>/
+  );
+  assert.doesNotMatch(res.body.sideBySideHtml.left, /diff-empty/);
+  assert.match(res.body.sideBySideHtml.right, /<span class="diff-added">ten business<\/span>/);
+
+  assert.equal(insightsInput.meta.replacements, 1);
+  assert.deepEqual(insightsInput.excerpts.replaced, [{ from: "thirty calendar", to: "ten business" }]);
+  assert.deepEqual(insightsInput.excerpts.added, []);
+});
@@ -0,0 +1,143 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { createPdfDocument } from "../src/pdf-writer.js";
+import { createReportBuilder } from "../src/report.js";
+
+const insightsFetch = async () => ({
+  ok: true,
+  status: 200,
+  statusText: "OK",
+  json: async () => ({
+    output_parsed: {
+      overall_summary: "Total and invoice number changed.",
+      added_highlights: [{ title: "New wording", evidence: "brave" }],
+      removed_highlights: [],
+      change_categories: [{ category: "money", summary: "Total updated" }],
+      risks: [{ severity: "High", message: "Check the invoice total" }],
+      suggested_checks: ["Confirm the new total with finance"],
+      confidence: "Medium"
+    }
+  })
+});
+
+const compareAndStore = async () => {
+  const historyDir = await fs.mkdtemp(path.join(os.tmpdir(), "pulse-report-"));
+  let call = 0;
+  const { app } = createApp({
+    disableStatic: true,
+    fetchFn: insightsFetch,
+    insightsPromptTemplate: "Input:\n{{ input_json }}\n",
+    openaiConfig: { enabled: true, apiKey: "test-key", model: "gpt-4o-mini" },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyDir },
+    createPulseClient: () => ({
+      extract: async () => {
+        call += 1;
+        return call === 1
+          ? { markdown: "hello world <b>", structured_output: { invoice_number: "1", total: 10 } }
+          : { markdown: "hello brave world <b>", structured_output: { invoice_number: "2", total: 12 } };
+      }
+    })
+  });
+
+  const res = await request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "invoice-a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "invoice-b.pdf", contentType: "application/pdf" })
+    .field("structured_enabled", "true")
+    .field("structured_schema", JSON.stringify({ type: "object" }));
+  assert.equal(res.status, 200);
+  return { app, id: res.body.id, historyDir };
+};
+
+test("HTML report is a self-contained document with summary, insights, diff and structured table", async () => {
+  const { app, id, historyDir } = await compareAndStore();
+
+  const res = await request(app).get(`/api/comparisons/${id}/report?format=html`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers["content-type"], /text\/html/);
+  assert.match(res.headers["content-disposition"], new RegExp(`comparison-${id}\\.html`));
+
+  const html = res.text;
+  assert.match(html, /<style>[\s\S]*\.diff-added/);
+  assert.doesNotMatch(html, /<link |<script/);
+  assert.match(html, /invoice-a\.pdf → invoice-b\.pdf/);
+  assert.match(html, /Words added<\/span><p>1<\/p>/);
+  assert.match(html, /Total and invoice number changed\./);
+  assert.match(html, /Check the invoice total/);
+  assert.match(html, /Confirm the new total with finance/);
+  assert.match(html, /<span class="diff-added">brave <\/span>/);
+  assert.match(html, /&lt;b&gt;/);
+  assert.match(html, /<th>invoice_number<\/th>/);
+  assert.match(html, /<th>total<\/th>\s*<td>changed<\/td>\s*<td>10<\/td>\s*<td>12<\/td>/);
+
+  await fs.rm(historyDir, { recursive: true, force: true });
+});
+
+test("PDF report is a valid PDF rendered without external tools", async () => {
+  const { app, id, historyDir } = await compareAndStore();
+
+  const res = await request(app)
+    .get(`/api/comparisons/${id}/report?format=pdf`)
+    .buffer(true)
+    .parse((response, callback) => {
+      const chunks = [];
+      response.on("data", (chunk) => chunks.push(chunk));
+      response.on("end", () => callback(null, Buffer.concat(chunks)));
+    });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers["content-type"], "application/pdf");
+
+  const pdf = res.body.toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-1.4\n"));
+  assert.ok(pdf.trimEnd().endsWith("%%EOF"));
+  assert.match(pdf, /\(Words added: 1\) Tj/);
+  assert.match(pdf, /\(Check the invoice total\) Tj/);
+  assert.match(pdf, /\(brave \) Tj/);
+  assert.equal(res.headers["x-report-warning"], undefined);
+
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  assert.ok(pdf.slice(startxref).startsWith("xref\n"));
+  const offsets = [...pdf.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map((m) => Number(m[1]));
+  offsets.forEach((offset, i) => {
+    assert.ok(pdf.slice(offset).startsWith(`${i + 1} 0 obj\n`));
+  });
+
+  await fs.rm(historyDir, { recursive: true, force: true });
+});
+
+test("reports reject unknown formats and missing comparisons", async () => {
+  const { app, id, historyDir } = await compareAndStore();
+
+  const badFormat = await request(app).get(`/api/comparisons/${id}/report?format=docx`);
+  assert.equal(badFormat.status, 400);
+
+  const missing = await request(app).get("/api/comparisons/nope/report?format=html");
+  assert.equal(missing.status, 404);
+
+  await fs.rm(historyDir, { recursive: true, force: true });
+});
+
+test("PDF text outside WinAnsi is counted and long tokens wrap across lines", () => {
+  const doc = createPdfDocument();
+  doc.text("Ünïcödé € ok — Привет 漢字");
+  doc.text("x".repeat(5000), { font: "mono", size: 10 });
+  assert.equal(doc.unsupportedCharacters(), 8);
+
+  const pdf = doc.toBuffer().toString("latin1");
+  assert.match(pdf, /\(\xdcn\xefc\xf6d\xe9 \x80 ok \x97 \?{6} \?{2}\) Tj/);
+  const lines = [...pdf.matchAll(/\((x+)\) Tj/g)].map((match) => match[1].length);
+  assert.equal(lines.reduce((sum, length) => sum + length, 0), 5000);
+  assert.ok(lines.length > 50 && lines.every((length) => length <= 86));
+
+  const { renderPdf } = createReportBuilder({ escapeHtml: (value) => value, renderInlineDiff: () => "" });
+  const record = { id: "r1", leftName: "a.pdf", rightName: "b.pdf", diffParts: [{ value: "Срок", added: true }] };
+  const { pdf: report, warning } = renderPdf(record);
+  assert.match(warning, /^4 characters outside the Western European character set are shown as "\?"/);
+  assert.match(report.toString("latin1"), /\(4 characters outside the Western European character set/);
+  assert.equal(renderPdf({ ...record, diffParts: [{ value: "Term", added: true }] }).warning, null);
+});
@@ -0,0 +1,144 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { annotateChanges, validateAgainstSchema, validateStructuredOutput } from "../src/schema-validation.js";
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    invoice_number: { type: "string", minLength: 1 },
+    invoice_date: { type: "string", format: "date" },
+    status: { enum: ["draft", "issued", "paid"] },
+    total: { type: "number", minimum: 0 },
+    vendor: { $ref: "#/$defs/party" },
+    line_items: {
+      type: "array",
+      minItems: 1,
+      items: {
+        type: "object",
+        properties: { description: { type: "string" }, amount: { type: "number" } },
+        required: ["description", "amount"]
+      }
+    }
+  },
+  required: ["invoice_number", "total"],
+  $defs: {
+    party: { type: "object", properties: { name: { type: "string" } }, required: ["name"], additionalProperties: false }
+  }
+};
+
+const VALID = {
+  invoice_number: "INV-7",
+  invoice_date: "2024-01-05",
+  status: "issued",
+  total: 150,
+  vendor: { name: "ACME" },
+  line_items: [{ description: "Hosting", amount: 150 }]
+};
+
+test("a conforming document has no violations and null counts as missing", () => {
+  assert.deepEqual(validateAgainstSchema(VALID, SCHEMA), []);
+  assert.deepEqual(validateAgainstSchema({ ...VALID, invoice_date: null }, SCHEMA), []);
+  assert.deepEqual(validateAgainstSchema({ ...VALID, total: null }, SCHEMA), [
+    { path: "total", keyword: "required", message: "is required" }
+  ]);
+});
+
+test("types, enums, formats and nested objects and arrays are checked", () => {
+  const errors = validateAgainstSchema(
+    {
+      invoice_number: "INV-7",
+      invoice_date: "05/01/2024",
+      status: "void",
+      total: "150",
+      vendor: { name: "ACME", vat: "GB1" },
+      line_items: [{ description: "Hosting" }, { description: 4, amount: 1 }]
+    },
+    SCHEMA
+  );
+  assert.deepEqual(
+    errors.map(({ path, keyword }) => [path, keyword]),
+    [
+      ["invoice_date", "format"],
+      ["status", "enum"],
+      ["total", "type"],
+      ["vendor.vat", "additionalProperties"],
+      ["line_items[0].amount", "required"],
+      ["line_items[1].description", "type"]
+    ]
+  );
+  assert.equal(errors[2].message, "must be number (got string)");
+  assert.match(errors[1].message, /must be one of "draft", "issued", "paid"/);
+
+  const idSchema = (keyword) => ({ properties: { id: { [keyword]: [{ type: "string" }, { type: "integer" }] } } });
+  assert.deepEqual(validateAgainstSchema({ id: 3 }, idSchema("anyOf")), []);
+  assert.equal(validateAgainstSchema({ id: 3.5 }, idSchema("oneOf"))[0].keyword, "oneOf");
+
+  assert.deepEqual(validateAgainstSchema({ a: 1 }, { $ref: "#" }), [
+    { path: "", keyword: "$ref", message: "# refers back to itself" }
+  ]);
+  const looping = { $defs: { a: { allOf: [{ $ref: "#/$defs/b" }] }, b: { $ref: "#/$defs/a" } }, $ref: "#/$defs/a" };
+  assert.deepEqual(
+    validateAgainstSchema({}, looping).map(({ keyword, message }) => [keyword, message]),
+    [["$ref", "#/$defs/a refers back to itself"]]
+  );
+  const tree = {
+    type: "object",
+    properties: { name: { type: "string" }, children: { type: "array", items: { $ref: "#" } } }
+  };
+  assert.deepEqual(
+    validateAgainstSchema({ name: "root", children: [{ name: "leaf", children: [{ name: 3 }] }] }, tree),
+    [{ path: "children[0].children[0].name", keyword: "type", message: "must be string (got number)" }]
+  );
+
+  const codeSchema = (pattern) => ({ properties: { code: { type: "string", pattern } } });
+  assert.equal(validateAgainstSchema({ code: "inv-7" }, codeSchema("^INV-\\d+$"))[0].message, "must match ^INV-\\d+$");
+  assert.equal(validateAgainstSchema({ code: `${"a".repeat(50000)}!` }, codeSchema("^(a+)+$")).length, 1);
+});
+
+test("structured output is validated inside values and findings are attached to diff rows", () => {
+  const left = validateStructuredOutput({ values: VALID, citations: {} }, SCHEMA);
+  const right = validateStructuredOutput({ values: { ...VALID, total: undefined } }, SCHEMA);
+  assert.deepEqual(left, { valid: true, errors: [] });
+  assert.deepEqual(right.errors, [{ path: "values.total", keyword: "required", message: "is required" }]);
+  assert.equal(validateStructuredOutput(null, SCHEMA).errors[0].keyword, "missing");
+
+  const [change] = annotateChanges([{ path: "values.total", type: "removed", left: 150, right: null }], { left, right });
+  assert.deepEqual(change.validation, [{ side: "right", keyword: "required", message: "is required" }]);
+});
+
+test("compare responses report schema violations per document", async () => {
+  const outputs = {
+    "a.pdf": { values: VALID },
+    "b.pdf": { values: { invoice_number: "INV-7", invoice_date: "Jan 5, 2024", line_items: [] } }
+  };
+  const app = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: "invoice", structured_output: outputs[file.filename] })
+    })
+  }).app;
+
+  const res = await request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" })
+    .field("structured_enabled", "true")
+    .field("structured_schema", JSON.stringify(SCHEMA));
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.structuredValidation.left, { valid: true, errors: [] });
+  assert.deepEqual(
+    res.body.structuredValidation.right.errors.map(({ path, keyword }) => [path, keyword]),
+    [
+      ["values.total", "required"],
+      ["values.invoice_date", "format"],
+      ["values.line_items", "minItems"]
+    ]
+  );
+  const total = res.body.structuredDiff.changes.find((change) => change.path === "values.total");
+  assert.equal(total.type, "removed");
+  assert.equal(total.validation[0].keyword, "required");
+});
@@ -0,0 +1,140 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { diffWordsWithSpace } from "diff";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { diffSections, parseHeading, parseSections } from "../src/sections.js";
+
+const LEFT = `Master Services Agreement between the parties.
+
+# 1. Definitions
+Terms have the meanings below.
+
+## 1.1 Services
+The hosting services.
+
+# 2. Payment Terms
+Invoices are due in 30 days.
+
+# 3. Confidentiality
+Each party keeps the other's information secret.
+
+# 4. Governing Law
+The laws of England apply.
+
+# 5. Warranties
+The supplier warrants the services.
+`;
+
+const RIGHT = `Master Services Agreement between the parties.
+
+# 1. Definitions
+Terms have the meanings below.
+
+## 1.1 Services
+The hosting services.
+
+# 2. Confidentiality
+Each party keeps the other's information secret.
+
+# 3. Payment Terms
+Invoices are due in 45 days.
+
+# 4. Governing Laws
+The laws of England apply.
+
+# 5. Data Protection
+Personal data is processed under the DPA.
+
+\`\`\`
+# not a heading
+\`\`\`
+`;
+
+const words = (part) => (part.value.match(/\S+/g) || []).length;
+const rawDiff = (left, right) => diffWordsWithSpace(left.text, right.text);
+
+const documents = { "a.pdf": LEFT, "b.pdf": RIGHT };
+
+const makeApp = () =>
+  createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: documents[file.filename] })
+    })
+  }).app;
+
+test("headings are split into number and title", () => {
+  assert.deepEqual(parseHeading("4. Payment Terms"), { number: "4", title: "Payment Terms", key: "payment terms" });
+  assert.deepEqual(parseHeading("Section 12.3 – **Fees**"), { number: "12.3", title: "Fees", key: "fees" });
+  assert.deepEqual(parseHeading("Article IV: Term"), { number: "iv", title: "Term", key: "term" });
+  assert.deepEqual(parseHeading("(b) Notices"), { number: "b", title: "Notices", key: "notices" });
+  assert.deepEqual(parseHeading("Background"), { number: null, title: "Background", key: "background" });
+
+  const sections = parseSections(RIGHT);
+  assert.deepEqual(
+    sections.map((section) => [section.level, section.heading]),
+    [
+      [0, null],
+      [1, "1. Definitions"],
+      [2, "1.1 Services"],
+      [1, "2. Confidentiality"],
+      [1, "3. Payment Terms"],
+      [1, "4. Governing Laws"],
+      [1, "5. Data Protection"]
+    ]
+  );
+  assert.match(sections[6].body, /# not a heading/);
+  assert.deepEqual(parseSections("plain"), [
+    { index: 0, heading: null, level: 0, number: null, title: "", key: "", start: 0, body: "plain", bodyStart: 0 }
+  ]);
+});
+
+test("sections are aligned across renumbering, reordering and renames", () => {
+  const { summary, items } = diffSections(LEFT, RIGHT, { diff: rawDiff, count: words });
+  assert.deepEqual(summary, { added: 1, removed: 1, modified: 2, unchanged: 4, total: 8 });
+
+  const byTitle = Object.fromEntries(items.map((item) => [item.title || "(preamble)", item]));
+  assert.equal(byTitle["Payment Terms"].status, "modified");
+  assert.equal(byTitle["Payment Terms"].renumbered, true);
+  assert.equal(byTitle["Payment Terms"].additions, 1);
+  assert.equal(byTitle["Payment Terms"].removals, 1);
+  assert.deepEqual(
+    [byTitle.Confidentiality.status, byTitle.Confidentiality.renumbered, byTitle.Confidentiality.left.number],
+    ["unchanged", true, "3"]
+  );
+  assert.equal(byTitle["Governing Laws"].status, "modified");
+  assert.equal(byTitle["Governing Laws"].renamed, true);
+  assert.equal(byTitle["Governing Laws"].left.heading, "4. Governing Law");
+  assert.equal(byTitle["Data Protection"].status, "added");
+  assert.equal(byTitle.Warranties.status, "removed");
+  assert.equal(byTitle.Services.parentId, byTitle.Definitions.id);
+  assert.equal(byTitle.Definitions.parentId, null);
+  assert.equal(
+    [byTitle["Payment Terms"], byTitle.Confidentiality].filter((item) => item.moved).length,
+    1
+  );
+  assert.deepEqual(items.map((item) => item.title).slice(-2), ["Data Protection", "Warranties"]);
+
+  assert.deepEqual(diffSections("no headings", "still none", { diff: rawDiff, count: words }).items, []);
+});
+
+test("compare responses include the section summary with per-section diffs", async () => {
+  const res = await request(makeApp())
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" })
+    .field("diff_mode", "words");
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.sections.summary, { added: 1, removed: 1, modified: 2, unchanged: 4, total: 8 });
+
+  const payment = res.body.sections.items.find((item) => item.title === "Payment Terms");
+  assert.match(
+    payment.html,
+    /<span class="diff-replaced" data-replacement="replacement-1"><span class="diff-removed">30<\/span><span class="diff-added">45<\/span><\/span>/
+  );
+  assert.equal(payment.parts, undefined);
+  assert.equal(payment.right.number, "3");
+});
@@ -0,0 +1,190 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { collectArrayKeys, collectTolerances, diffStructured, stripAnnotations } from "../src/structured-diff.js";
+
+const item = (description, quantity, amount) => ({ description, quantity, amount });
+
+const SCHEMA = {
+  type: "object",
+  properties: {
+    total: { type: "number", "x-tolerance": 0.05 },
+    line_items: {
+      type: "array",
+      "x-match-key": "description",
+      items: { type: "object", properties: { description: { type: "string" }, amount: { "x-tolerance": "1%" } } }
+    },
+    orders: {
+      type: "array",
+      items: { type: "object", properties: { lines: { type: "array", "x-match-key": "sku" } } }
+    }
+  }
+};
+
+test("match keys and tolerances are read from the schema and stripped before extraction", () => {
+  assert.deepEqual(collectArrayKeys(SCHEMA), { line_items: "description", "orders[].lines": "sku" });
+  assert.deepEqual(collectTolerances(SCHEMA), { total: { absolute: 0.05 }, "line_items[].amount": { percent: 1 } });
+  assert.throws(() => collectTolerances({ properties: { total: { "x-tolerance": "lots" } } }), /total: x-tolerance/);
+
+  const stripped = stripAnnotations(SCHEMA);
+  assert.equal(/x-match-key|x-tolerance/.test(JSON.stringify(stripped)), false);
+  assert.deepEqual(stripped.properties.line_items.items.properties.description, { type: "string" });
+});
+
+test("an inserted line item does not shift the items after it", () => {
+  const left = { values: { line_items: [item("Hosting", 1, 100), item("Support", 2, 50)] } };
+  const right = { values: { line_items: [item("Setup", 1, 30), item("Hosting", 1, 100), item("Support", 3, 75)] } };
+
+  const changes = diffStructured(left, right, { arrayKeys: { line_items: "description" } });
+  assert.deepEqual(
+    changes.map(({ path, type }) => [path, type]),
+    [
+      ["values.line_items[0]", "added"],
+      ["values.line_items[2]", "modified"],
+      ["values.line_items[2].quantity", "changed"],
+      ["values.line_items[2].amount", "changed"]
+    ]
+  );
+  assert.equal(changes[1].leftPath, "values.line_items[1]");
+  assert.equal(changes[1].key, "description");
+  assert.equal(changes[1].value, "Support");
+});
+
+test("reordered and removed items are reported as moved and removed", () => {
+  const left = { line_items: [item("A", 1, 10), item("B", 1, 20), item("C", 1, 30), item("D", 1, 40)] };
+  const right = { line_items: [item("D", 1, 40), item("A", 1, 10), item("B", 1, 20)] };
+
+  const changes = diffStructured(left, right);
+  assert.deepEqual(
+    changes.map(({ path, type, leftPath }) => [path, type, leftPath]),
+    [
+      ["line_items[0]", "moved", "line_items[3]"],
+      ["line_items[2]", "removed", undefined]
+    ]
+  );
+  assert.equal(changes[0].key, "description");
+});
+
+test("items without a key value pair by similarity rather than with each other", () => {
+  const left = { line_items: [item("A", 1, 10), { note: "Shipping", amount: 5 }, { note: "Rebate", amount: -2 }] };
+  const right = { line_items: [{ note: "Discount", total: -3 }, item("A", 1, 10), { note: "Shipping", amount: 6 }] };
+
+  assert.deepEqual(
+    diffStructured(left, right, { arrayKeys: { line_items: "description" } }).map(({ path, type }) => [path, type]),
+    [
+      ["line_items[0]", "added"],
+      ["line_items[2]", "modified"],
+      ["line_items[2].amount", "changed"],
+      ["line_items[2]", "removed"]
+    ]
+  );
+});
+
+test("without a usable key, items pair by similarity and strings by value", () => {
+  const left = {
+    rows: [
+      { label: "x", qty: 1, unit: "kg" },
+      { label: "x", qty: 2, unit: "kg" }
+    ],
+    parties: ["ACME Corp", "Globex"]
+  };
+  const right = {
+    rows: [
+      { label: "y", qty: 9, unit: "lb" },
+      { label: "x", qty: 1, unit: "kg" },
+      { label: "x", qty: 3, unit: "kg" }
+    ],
+    parties: ["Initech", "ACME Corp", "Globex Inc"]
+  };
+
+  assert.deepEqual(
+    diffStructured(left, right).map(({ path, type }) => [path, type]),
+    [
+      ["rows[0]", "added"],
+      ["rows[2]", "modified"],
+      ["rows[2].qty", "changed"],
+      ["parties[0]", "added"],
+      ["parties[2]", "changed"]
+    ]
+  );
+  assert.deepEqual(diffStructured({ a: [1, 2] }, { a: [1, 2] }), []);
+});
+
+test("format-only differences and values within tolerance are flagged", () => {
+  const left = {
+    values: {
+      total: "1,200.00",
+      issued: "2024-01-05",
+      vendor: " ACME  Corp",
+      tax: 100,
+      line_items: [item("Hosting", 1, 100), item("Support", 2, 50)]
+    }
+  };
+  const right = {
+    values: {
+      total: 1200.04,
+      issued: "Jan 5, 2024",
+      vendor: "acme corp",
+      tax: "$110",
+      line_items: [item("hosting", "1", 100.5), item("Support", 2, 52)]
+    }
+  };
+  const tolerances = { total: { absolute: 0.05 }, "line_items[].amount": { percent: 1 } };
+
+  const changes = diffStructured(left, right, { tolerances });
+  assert.deepEqual(
+    changes.map(({ path, type, formatOnly }) => [path, type, formatOnly]),
+    [
+      ["values.total", "changed", true],
+      ["values.issued", "changed", true],
+      ["values.vendor", "changed", true],
+      ["values.tax", "changed", false],
+      ["values.line_items[0]", "modified", true],
+      ["values.line_items[0].description", "changed", true],
+      ["values.line_items[0].quantity", "changed", true],
+      ["values.line_items[0].amount", "changed", true],
+      ["values.line_items[1]", "modified", false],
+      ["values.line_items[1].amount", "changed", false]
+    ]
+  );
+  assert.deepEqual(changes[0].tolerance, { absolute: 0.05 });
+  assert.equal(changes[1].tolerance, undefined);
+  assert.equal(diffStructured({ total: "1,200.00" }, { total: 1200.04 })[0].formatOnly, false);
+});
+
+test("compare uses x-match-key from the submitted schema", async () => {
+  const outputs = {
+    "a.pdf": { values: { invoice_number: "7", line_items: [item("Hosting", 1, 100), item("Support", 2, 50)] } },
+    "b.pdf": {
+      values: { invoice_number: "7", line_items: [item("Setup", 1, 30), item("Hosting", 1, 100), item("Support", 2, 50)] }
+    }
+  };
+  const received = [];
+  const app = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file, structuredOutput }) => {
+        received.push(structuredOutput);
+        return { markdown: "invoice", structured_output: outputs[file.filename] };
+      }
+    })
+  }).app;
+
+  const res = await request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" })
+    .field("structured_enabled", "true")
+    .field("structured_schema", JSON.stringify(SCHEMA));
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.structuredDiff.changes.map(({ path, type }) => [path, type]),
+    [["values.line_items[0]", "added"]]
+  );
+  assert.equal(res.body.structuredDiff.formatOnly, 0);
+  assert.deepEqual(Object.keys(received[0]), ["schema", "schemaPrompt"]);
+  assert.equal(/x-match-key|x-tolerance/.test(JSON.stringify(received[0].schema)), false);
+});
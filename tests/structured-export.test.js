@@ -0,0 +1,168 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { structuredChangesToCsv } from "../src/structured-export.js";
+
+const readZip = (buffer) => {
+  const eocd = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+  const files = {};
+  for (let i = 0; i < count; i += 1) {
+    assert.equal(buffer.readUInt32LE(offset), 0x02014b50);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    assert.equal(buffer.readUInt32LE(localOffset), 0x04034b50);
+    const dataStart =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    files[name] = zlib
+      .inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize))
+      .toString("utf8");
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+};
+
+const binaryParser = (response, callback) => {
+  const chunks = [];
+  response.on("data", (chunk) => chunks.push(chunk));
+  response.on("end", () => callback(null, Buffer.concat(chunks)));
+};
+
+const compareAndStore = async () => {
+  const historyDir = await fs.mkdtemp(path.join(os.tmpdir(), "pulse-export-"));
+  let call = 0;
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyDir },
+    createPulseClient: () => ({
+      extract: async () => {
+        call += 1;
+        return call === 1
+          ? {
+              markdown: "invoice",
+              structured_output: {
+                values: { invoice_number: "1", total: 10, note: 'Net 30, "due"' },
+                citations: { total: { page: 1 } }
+              }
+            }
+          : {
+              markdown: "invoice",
+              structured_output: {
+                values: { invoice_number: "2", total: 12, lines: [{ sku: "A" }] },
+                citations: { total: { page: 2 } }
+              }
+            };
+      }
+    })
+  });
+
+  const res = await request(app)
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" })
+    .field("structured_enabled", "true")
+    .field("structured_schema", JSON.stringify({ type: "object" }));
+  assert.equal(res.status, 200);
+  return { app, id: res.body.id, historyDir };
+};
+
+test("CSV export lists every field change with normalized paths and leaves citations out", async () => {
+  const { app, id, historyDir } = await compareAndStore();
+
+  const res = await request(app).get(`/api/comparisons/${id}/structured-diff?format=csv`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers["content-type"], /text\/csv/);
+  assert.match(res.headers["content-disposition"], new RegExp(`comparison-${id}-structured\\.csv`));
+
+  assert.ok(res.text.startsWith("﻿path,field,change_type,left_value,right_value\r\n"));
+  const lines = res.text.slice(1).trimEnd().split("\r\n");
+  assert.ok(lines.includes("values.invoice_number,invoice_number,changed,1,2"));
+  assert.ok(lines.includes("values.total,total,changed,10,12"));
+  assert.ok(lines.includes('values.note,note,removed,"Net 30, ""due""",'));
+  assert.ok(lines.includes('values.lines,lines,added,,"[{""sku"":""A""}]"'));
+  assert.ok(!lines.some((line) => line.startsWith("citations")));
+
+  const withCitations = await request(app).get(
+    `/api/comparisons/${id}/structured-diff?format=csv&citations=include`
+  );
+  assert.match(withCitations.text, /\r\ncitations\.total\.page,citations\.total\.page,changed,1,2\r\n/);
+
+  const sheet = await request(app).get(`/api/comparisons/${id}/structured-diff?format=csv&citations=sheet`);
+  assert.equal(sheet.status, 400);
+
+  await fs.rm(historyDir, { recursive: true, force: true });
+});
+
+test("CSV cells that would start a spreadsheet formula are prefixed and quoted", () => {
+  const csv = structuredChangesToCsv([
+    { path: "values.total", type: "changed", left: "=SUM(A1:A9)", right: -5 },
+    { path: "values.note", type: "changed", left: "@cmd", right: "+1" },
+    { path: "values.code", type: "changed", left: "\tx", right: '-2 "net"' }
+  ]);
+  const lines = csv.slice(1).trimEnd().split("\r\n");
+  assert.deepEqual(lines.slice(1), [
+    `values.total,total,changed,"'=SUM(A1:A9)",-5`,
+    `values.note,note,changed,"'@cmd","'+1"`,
+    `values.code,code,changed,"'\tx","'-2 ""net"""`
+  ]);
+});
+
+test("XLSX export is a valid workbook with citations on their own sheet", async () => {
+  const { app, id, historyDir } = await compareAndStore();
+
+  const res = await request(app)
+    .get(`/api/comparisons/${id}/structured-diff?format=xlsx`)
+    .buffer(true)
+    .parse(binaryParser);
+  assert.equal(res.status, 200);
+  assert.equal(
+    res.headers["content-type"],
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+
+  const files = readZip(res.body);
+  assert.ok(files["[Content_Types].xml"]);
+  assert.ok(files["xl/styles.xml"]);
+  assert.match(files["xl/workbook.xml"], /<sheet name="Field changes" sheetId="1"/);
+  assert.match(files["xl/workbook.xml"], /<sheet name="Citations" sheetId="2"/);
+
+  const fields = files["xl/worksheets/sheet1.xml"];
+  assert.match(fields, /state="frozen"/);
+  assert.match(fields, /<c r="A1" t="inlineStr" s="1"><is><t xml:space="preserve">path<\/t>/);
+  assert.match(fields, /<t xml:space="preserve">Net 30, &quot;due&quot;<\/t>/);
+  assert.match(fields, /<c r="D\d+"><v>10<\/v><\/c><c r="E\d+"><v>12<\/v><\/c>/);
+  assert.doesNotMatch(fields, /citations/);
+  assert.match(files["xl/worksheets/sheet2.xml"], /citations\.total\.page/);
+
+  const excluded = await request(app)
+    .get(`/api/comparisons/${id}/structured-diff?format=xlsx&citations=exclude`)
+    .buffer(true)
+    .parse(binaryParser);
+  assert.equal(readZip(excluded.body)["xl/worksheets/sheet2.xml"], undefined);
+
+  await fs.rm(historyDir, { recursive: true, force: true });
+});
+
+test("structured exports reject unknown formats and missing comparisons", async () => {
+  const { app, id, historyDir } = await compareAndStore();
+
+  const badFormat = await request(app).get(`/api/comparisons/${id}/structured-diff?format=ods`);
+  assert.equal(badFormat.status, 400);
+
+  const missing = await request(app).get("/api/comparisons/nope/structured-diff?format=csv");
+  assert.equal(missing.status, 404);
+
+  await fs.rm(historyDir, { recursive: true, force: true });
+});
@@ -0,0 +1,141 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { createApp } from "../src/app.js";
+import { diffTables, findTables } from "../src/tables.js";
+
+const LEFT = `Invoice 1001 for ACME Corp.
+
+| SKU | Item | Qty | Price |
+| --- | --- | ---: | ---: |
+| A-1 | Hosting | 1 | 100.00 |
+| B-2 | Support | 2 | 50.00 |
+| C-3 | Backups | 1 | 20.00 |
+
+Payment is due in 30 days.
+`;
+
+const RIGHT = `Invoice 1001 for ACME Corp.
+
+| SKU | Item | Qty | Price | Tax |
+|-----|------|----:|------:|-----|
+| B-2 | Support | 3 | 50.00 | 0 |
+| A-1 | Hosting | 1 | 110.00 | 0 |
+| D-4 | Monitoring | 1 | 15.00 | 0 |
+
+Payment is due in 45 days.
+
+<table>
+  <tr><th>Name</th><th>Role</th></tr>
+  <tr><td>Ann &amp; Bo</td><td>Signatory</td></tr>
+</table>
+`;
+
+const documents = { "a.pdf": LEFT, "b.pdf": RIGHT };
+
+const makeApp = () =>
+  createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => ({ markdown: documents[file.filename] })
+    })
+  }).app;
+
+const compare = (fields) => {
+  let req = request(makeApp())
+    .post("/api/compare")
+    .attach("left", Buffer.from("x"), { filename: "a.pdf", contentType: "application/pdf" })
+    .attach("right", Buffer.from("y"), { filename: "b.pdf", contentType: "application/pdf" });
+  for (const [name, value] of Object.entries(fields)) req = req.field(name, value);
+  return req;
+};
+
+test("markdown and HTML tables are found with their spans", () => {
+  const tables = findTables(RIGHT);
+  assert.deepEqual(
+    tables.map(({ format, headers, rows }) => ({ format, headers, rows: rows.length })),
+    [
+      { format: "markdown", headers: ["SKU", "Item", "Qty", "Price", "Tax"], rows: 3 },
+      { format: "html", headers: ["Name", "Role"], rows: 1 }
+    ]
+  );
+  assert.deepEqual(tables[1].rows, [["Ann & Bo", "Signatory"]]);
+  assert.match(RIGHT.slice(tables[0].start, tables[0].end), /^\| SKU[\s\S]*\| 0 \|$/);
+  assert.deepEqual(findTables("| not | a table |\nno separator"), []);
+
+  const unclosed = "<table><tr><td>x".repeat(20000);
+  assert.deepEqual(findTables(unclosed), []);
+  const [afterBroken] = findTables(`<TABLE class="x"><tr><td>a<tr><th>B</th></tr></table><table`);
+  assert.deepEqual(afterBroken.headers, ["aB"]);
+});
+
+test("rows are matched by a key column and diffed cell by cell", () => {
+  const { summary, items } = diffTables(LEFT, RIGHT);
+  assert.deepEqual(summary, { added: 1, removed: 0, modified: 1, unchanged: 0, cellsChanged: 2 });
+
+  const [invoice, signatories] = items;
+  assert.equal(invoice.key, "SKU");
+  assert.deepEqual(
+    invoice.columns.map((column) => column.status),
+    ["unchanged", "unchanged", "unchanged", "unchanged", "added"]
+  );
+  assert.deepEqual(
+    invoice.rows.map((row) => [row.status, row.cells[0].right ?? row.cells[0].left]),
+    [
+      ["modified", "B-2"],
+      ["modified", "A-1"],
+      ["added", "D-4"],
+      ["removed", "C-3"]
+    ]
+  );
+  assert.deepEqual(invoice.rows[1].cells[3], { left: "100.00", right: "110.00", changed: true });
+  assert.deepEqual(invoice.summary, {
+    rowsAdded: 1,
+    rowsRemoved: 1,
+    rowsModified: 2,
+    cellsChanged: 2,
+    columnsAdded: 1,
+    columnsRemoved: 0
+  });
+  assert.equal(signatories.status, "added");
+});
+
+test("without a key column rows are aligned by similarity", () => {
+  const left = "| Item | Price |\n| --- | --- |\n| Hosting | 100 |\n| Support | 50 |\n| Support | 60 |";
+  const right = "| Item | Price |\n| --- | --- |\n| Setup | 60 |\n| Hosting | 100 |\n| Support | 55 |\n| Support | 60 |";
+  const [table] = diffTables(left, right).items;
+  assert.equal(table.key, null);
+  assert.deepEqual(
+    table.rows.map((row) => row.status),
+    ["added", "unchanged", "modified", "unchanged"]
+  );
+
+  const keyed = diffTables(LEFT, RIGHT, { key: "item" }).items[0];
+  assert.equal(keyed.key, "Item");
+});
+
+test("table_diff renders a cell grid and keeps tables out of the text diff", async () => {
+  const plain = await compare({ diff_mode: "words" });
+  assert.equal(plain.status, 200);
+  assert.equal(plain.body.tables, null);
+
+  const res = await compare({ diff_mode: "words", table_diff: "true" });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.tables.summary.cellsChanged, 2);
+  const html = res.body.tables.items[0].html;
+  assert.match(html, /<tr class="row-added"><td class="row-marker">\+<\/td><td>D-4<\/td>/);
+  assert.match(html, /<tr class="row-removed"><td class="row-marker">−<\/td><td>C-3<\/td>/);
+  assert.match(
+    html,
+    /<td class="cell-changed"><span class="diff-removed">100\.00<\/span> <span class="diff-added">110\.00<\/span><\/td>/
+  );
+  assert.match(html, /<th class="col-added">Tax<\/th>/);
+  assert.match(res.body.tables.items[1].html, /Ann &amp; Bo/);
+
+  assert.equal(res.body.summary.additions, 1);
+  assert.equal(res.body.summary.removals, 1);
+  assert.ok(plain.body.summary.additions > res.body.summary.additions);
+  assert.deepEqual(res.body.ignoredRanges, { left: [], right: [] });
+});
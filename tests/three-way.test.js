@@ -0,0 +1,129 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { diffLines, diffWordsWithSpace } from "diff";
+import { createApp } from "../src/app.js";
+import { classifyStructuredThreeWay, mergeThreeWay } from "../src/three-way.js";
+
+const merge = (base, left, right, diffFn = diffWordsWithSpace) =>
+  mergeThreeWay(base, diffFn(base, left), diffFn(base, right));
+
+test("three-way merge classifies one-sided, shared and conflicting edits", () => {
+  const regions = merge(
+    "The fee is 100 USD payable in 30 days by the customer.",
+    "The annual fee is 100 USD payable in 45 days by the client.",
+    "The fee is 120 USD payable in 60 days by the client."
+  );
+
+  const changed = regions
+    .filter((region) => region.type !== "unchanged")
+    .map((region) => [region.type, region.base, region.left, region.right]);
+  assert.deepEqual(changed, [
+    ["changed-left-only", "", "annual ", ""],
+    ["changed-right-only", "100", "100", "120"],
+    ["conflicting", "30", "45", "60"],
+    ["changed-both", "customer", "client", "client"]
+  ]);
+
+  const rebuild = (side) => regions.map((region) => region[side]).join("");
+  assert.equal(rebuild("base"), "The fee is 100 USD payable in 30 days by the customer.");
+  assert.equal(rebuild("left"), "The annual fee is 100 USD payable in 45 days by the client.");
+  assert.equal(rebuild("right"), "The fee is 120 USD payable in 60 days by the client.");
+});
+
+test("three-way merge on lines treats insertions at the same point as a conflict", () => {
+  const regions = merge("a\nb\nc\n", "a\nleft\nb\nc\n", "a\nright\nb\nc\nd\n", diffLines);
+  assert.deepEqual(
+    regions.map((region) => region.type),
+    ["unchanged", "conflicting", "unchanged", "changed-right-only"]
+  );
+  assert.equal(regions[1].left, "left\n");
+  assert.equal(regions[1].right, "right\n");
+  assert.equal(regions[3].right, "d\n");
+});
+
+test("structured three-way classification covers nested conflicts", () => {
+  const changes = classifyStructuredThreeWay({
+    left: { total: 12, vendor: { name: "Acme" }, due: "2024-02-01" },
+    right: { total: 12, vendor: "Acme Inc", currency: "EUR" },
+    leftChanges: [
+      { path: "total", type: "changed", left: 10, right: 12 },
+      { path: "vendor.name", type: "changed", left: "ACME", right: "Acme" },
+      { path: "due", type: "changed", left: "2024-01-01", right: "2024-02-01" }
+    ],
+    rightChanges: [
+      { path: "total", type: "changed", left: 10, right: 12 },
+      { path: "vendor", type: "changed", left: { name: "ACME" }, right: "Acme Inc" },
+      { path: "currency", type: "added", left: null, right: "EUR" }
+    ]
+  });
+
+  const byPath = Object.fromEntries(changes.map((change) => [change.path, change]));
+  assert.equal(byPath.total.type, "changed-both");
+  assert.equal(byPath["vendor.name"].type, "conflicting");
+  assert.equal(byPath["vendor.name"].right, null);
+  assert.equal(byPath.vendor.type, "conflicting");
+  assert.deepEqual(byPath.vendor.left, { name: "Acme" });
+  assert.equal(byPath.due.type, "changed-left-only");
+  assert.equal(byPath.due.right, null);
+  assert.equal(byPath.currency.type, "changed-right-only");
+  assert.equal(byPath.currency.left, null);
+});
+
+test("POST /api/compare/three-way returns regions, counts and structured classification", async () => {
+  const documents = {
+    "base.pdf": { markdown: "Term: 12 months.\nFee: 100 USD.\n", structured_output: { term: 12, fee: 100 } },
+    "team-a.pdf": { markdown: "Term: 24 months.\nFee: 100 USD.\n", structured_output: { term: 24, fee: 100 } },
+    "team-b.pdf": { markdown: "Term: 12 months.\nFee: 150 USD.\n", structured_output: { term: 18, fee: 150 } }
+  };
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) => documents[file.filename]
+    })
+  });
+
+  const upload = (names) => {
+    let req = request(app).post("/api/compare/three-way");
+    for (const [field, name] of Object.entries(names)) {
+      req = req.attach(field, Buffer.from(name), { filename: name, contentType: "application/pdf" });
+    }
+    return req
+      .field("diff_mode", "lines")
+      .field("structured_enabled", "true")
+      .field("structured_schema", JSON.stringify({ type: "object" }));
+  };
+
+  const res = await upload({ base: "base.pdf", left: "team-a.pdf", right: "team-b.pdf" });
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.names, { base: "base.pdf", left: "team-a.pdf", right: "team-b.pdf" });
+  assert.deepEqual(res.body.summary, {
+    unchanged: 0,
+    "changed-left-only": 1,
+    "changed-right-only": 1,
+    "changed-both": 0,
+    conflicting: 0
+  });
+  assert.match(
+    res.body.inlineHtml,
+    /<span class="merge-region merge-changed-left-only" title="Changed in team-a\.pdf"><span class="diff-removed">Term: 12 months\.\n<\/span><span class="diff-added">Term: 24 months\.\n<\/span><\/span>/
+  );
+  assert.equal(res.body.extracted.base, documents["base.pdf"].markdown);
+
+  const structured = Object.fromEntries(res.body.structuredDiff.changes.map((c) => [c.path, c.type]));
+  assert.deepEqual(structured, { term: "conflicting", fee: "changed-right-only" });
+  assert.equal(res.body.structuredDiff.summary.conflicting, 1);
+
+  const missingBase = await upload({ left: "team-a.pdf", right: "team-b.pdf" });
+  assert.equal(missingBase.status, 400);
+  assert.match(missingBase.body.error, /base document/);
+
+  const unsupported = await upload({ base: "base.pdf", left: "team-a.pdf", right: "team-b.pdf" })
+    .field("ignore_case", "true")
+    .field("ignore_rule_sets", "missing")
+    .field("output", "patch");
+  assert.equal(unsupported.status, 400);
+  assert.equal(unsupported.body.error, "Three-way comparisons do not support ignore_case, ignore_rule_sets, output.");
+});
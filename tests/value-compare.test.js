@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { compareValues, parseDate, parseNumber, parseTolerance } from "../src/value-compare.js";
+
+test("numbers are parsed across separators, currencies and signs", () => {
+  assert.deepEqual(parseNumber("1,200.00"), { amount: 1200, unit: null });
+  assert.deepEqual(parseNumber("€1.200,50"), { amount: 1200.5, unit: "EUR" });
+  assert.deepEqual(parseNumber("1 200,5 USD"), { amount: 1200.5, unit: "USD" });
+  assert.deepEqual(parseNumber("(50)"), { amount: -50, unit: null });
+  assert.deepEqual(parseNumber("-$75"), { amount: -75, unit: "USD" });
+  assert.deepEqual(parseNumber("12,5%"), { amount: 12.5, unit: "%" });
+  assert.equal(parseNumber("12-34"), null);
+  assert.equal(parseNumber("ACME"), null);
+  assert.equal(parseNumber("00123"), null);
+  assert.equal(parseNumber("$0123"), null);
+  assert.deepEqual(parseNumber("0.50"), { amount: 0.5, unit: null });
+  assert.deepEqual(parseNumber("0"), { amount: 0, unit: null });
+});
+
+test("dates are read in ISO, named-month and numeric formats", () => {
+  assert.deepEqual(parseDate("2024-01-05T09:30:00Z"), ["2024-01-05"]);
+  assert.deepEqual(parseDate("Jan 5th, 2024"), ["2024-01-05"]);
+  assert.deepEqual(parseDate("5 January 2024"), ["2024-01-05"]);
+  assert.deepEqual(parseDate("01/05/2024"), ["2024-01-05", "2024-05-01"]);
+  assert.deepEqual(parseDate("25/12/2024"), ["2024-12-25"]);
+  assert.deepEqual(parseDate("2024-02-30"), []);
+});
+
+test("values are compared by meaning", () => {
+  assert.equal(compareValues("x", "x"), "equal");
+  assert.equal(compareValues("1,200.00", 1200), "format");
+  assert.equal(compareValues("$1,200", "1200 USD"), "format");
+  assert.equal(compareValues("$5", "€5"), "changed");
+  assert.equal(compareValues("00123", "123"), "changed");
+  assert.equal(compareValues("PO 0042", "PO 42"), "changed");
+  assert.equal(compareValues("2024-01-05", "Jan 5, 2024"), "format");
+  assert.equal(compareValues("2024-01-05", "Jan 6, 2024"), "changed");
+  assert.equal(compareValues("01/05/2024", "05/01/2024"), "changed");
+  assert.equal(compareValues("01/05/2024", "1.5.2024"), "format");
+  assert.equal(compareValues("05/01/2024", "2024-01-05"), "format");
+  assert.equal(compareValues("05/01/2024", "May 1, 2024"), "format");
+  assert.equal(compareValues(" ACME Corp", "acme  corp"), "format");
+  assert.equal(compareValues(null, ""), "changed");
+
+  assert.equal(compareValues(100, 101, parseTolerance("1%")), "tolerance");
+  assert.equal(compareValues(100, 102, parseTolerance("1%")), "changed");
+  assert.equal(compareValues("10.00", 10.01, parseTolerance(0.01)), "tolerance");
+  assert.equal(parseTolerance("-1"), null);
+});
@@ -0,0 +1,150 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import request from "supertest";
+import { diffWordsWithSpace } from "diff";
+import { createApp } from "../src/app.js";
+import { attributeDiffParts, attributeVersionChain } from "../src/version-chain.js";
+
+const REVISIONS = {
+  "v1.pdf": "The fee is 100 USD payable in 30 days.",
+  "v2.pdf": "The annual fee is 100 USD payable in 30 days.",
+  "v3.pdf": "The annual fee is 120 USD payable in 30 days.",
+  "v4.pdf": "The annual fee is 120 USD payable in 45 days. Late fees apply."
+};
+
+const createChainApp = (calls = []) =>
+  createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false, maxVersions: 4 },
+    createPulseClient: () => ({
+      extract: async ({ file }) => {
+        calls.push(file.filename);
+        return { markdown: REVISIONS[file.filename] };
+      }
+    })
+  });
+
+const uploadVersions = (app, names, fields = {}) => {
+  let req = request(app).post("/api/compare/versions");
+  for (const name of names) {
+    req = req.attach("versions", Buffer.from(name), { filename: name, contentType: "application/pdf" });
+  }
+  for (const [key, value] of Object.entries(fields)) req = req.field(key, value);
+  return req;
+};
+
+test("attribution tracks which version introduced or removed each surviving change", () => {
+  const texts = Object.values(REVISIONS);
+  const stepParts = texts.slice(1).map((text, i) => diffWordsWithSpace(texts[i], text));
+  const parts = attributeDiffParts(
+    diffWordsWithSpace(texts[0], texts[3]),
+    attributeVersionChain(texts, stepParts),
+    { lastVersion: 3 }
+  );
+
+  const changes = parts
+    .filter((part) => part.added || part.removed)
+    .map((part) => `${part.added ? "+" : "-"}${part.value.trim()}@${part.version}`);
+  assert.deepEqual(changes, ["+annual@1", "-100@2", "+120@2", "-30@3", "+45@3", "+Late fees apply.@3"]);
+
+  // " B" arrives in v2 and survives v2 → v3 unchanged; "A" is kept from v1 by
+  // the steps but added by the overall diff, so it goes to the last version.
+  const chain = attributeVersionChain(
+    ["A", "A B", "A B"],
+    [[{ value: "A" }, { value: " B", added: true }], [{ value: "A B" }]]
+  );
+  const rewritten = attributeDiffParts([{ value: "A", removed: true }, { value: "A B", added: true }], chain, {
+    lastVersion: 2
+  });
+  assert.deepEqual(
+    rewritten.map((part) => `${part.added ? "+" : "-"}${part.value}@${part.version}`),
+    ["-A@2", "+A@2", "+ B@1"]
+  );
+});
+
+test("POST /api/compare/versions diffs consecutive versions and the overall chain", async () => {
+  const calls = [];
+  const { app } = createChainApp(calls);
+
+  const res = await uploadVersions(app, Object.keys(REVISIONS));
+  assert.equal(res.status, 200);
+  assert.deepEqual(calls, Object.keys(REVISIONS));
+
+  assert.deepEqual(
+    res.body.versions.map((v) => `${v.label}:${v.name}`),
+    ["v1:v1.pdf", "v2:v2.pdf", "v3:v3.pdf", "v4:v4.pdf"]
+  );
+  assert.deepEqual(res.body.extracted, Object.values(REVISIONS));
+
+  assert.equal(res.body.steps.length, 3);
+  assert.deepEqual(
+    res.body.steps.map((step) => [step.from, step.to, step.summary.additions, step.summary.removals]),
+    [
+      [0, 1, 1, 0],
+      [1, 2, 1, 1],
+      [2, 3, 4, 1]
+    ]
+  );
+  assert.match(res.body.steps[1].inlineHtml, /<span class="diff-removed">100<\/span>/);
+
+  const { overall } = res.body;
+  assert.equal(overall.from, 0);
+  assert.equal(overall.to, 3);
+  assert.equal(overall.summary.additions, 6);
+  assert.equal(overall.summary.removals, 2);
+  assert.match(overall.inlineHtml, /<span class="diff-added" title="Added in v2 \(v2\.pdf\)">annual <\/span>/);
+  assert.match(overall.inlineHtml, /<span class="diff-removed" title="Removed in v3 \(v3\.pdf\)">100<\/span>/);
+  assert.match(overall.sideBySideHtml.right, /title="Added in v4 \(v4\.pdf\)">45<\/span>/);
+  assert.deepEqual(
+    overall.attribution.map((a) => [a.label, a.additions, a.removals]),
+    [
+      ["v2", 1, 0],
+      ["v3", 1, 1],
+      ["v4", 4, 1]
+    ]
+  );
+});
+
+test("line-mode chains keep one attribution per line", async () => {
+  const { app } = createApp({
+    disableStatic: true,
+    openaiConfig: { enabled: false },
+    config: { debugEnabled: false, extractionCacheEnabled: false, historyEnabled: false },
+    createPulseClient: () => ({
+      extract: async ({ file }) =>
+        ({
+          "a.pdf": { markdown: "one\ntwo\n" },
+          "b.pdf": { markdown: "one\ntwo\nthree\n" },
+          "c.pdf": { markdown: "one\n2\nthree\n" }
+        })[file.filename]
+    })
+  });
+
+  const res = await uploadVersions(app, ["a.pdf", "b.pdf", "c.pdf"], { diff_mode: "lines" });
+  assert.equal(res.status, 200);
+  const { inlineHtml } = res.body.overall;
+  assert.match(
+    inlineHtml,
+    /<div class="diff-line diff-removed" title="Removed in v3 \(c\.pdf\)"><span class="diff-word-removed">two<\/span><\/div>/
+  );
+  assert.match(
+    inlineHtml,
+    /<div class="diff-line diff-added" title="Added in v3 \(c\.pdf\)"><span class="diff-word-added">2<\/span><\/div>/
+  );
+  assert.match(inlineHtml, /<div class="diff-line diff-added" title="Added in v2 \(b\.pdf\)">three<\/div>/);
+});
+
+test("version chains need between two and the configured maximum of files", async () => {
+  const calls = [];
+  const { app } = createChainApp(calls);
+
+  const tooFew = await uploadVersions(app, ["v1.pdf"]);
+  assert.equal(tooFew.status, 400);
+  assert.match(tooFew.body.error, /at least two versions/);
+
+  const tooMany = await uploadVersions(app, [...Object.keys(REVISIONS), "v1.pdf"]);
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.body.error, /at most 4/);
+  assert.deepEqual(calls, []);
+});